@@ -3,43 +3,142 @@
 var fs = require("fs");
 var path = require("path");
 
+var BlacklistCommand = require("./src/blacklist_command");
+var ChatFilter = require("./src/chat_filter");
+var CommandArgs = require("./src/command_args");
+var CommandRouter = require("./src/command_router");
+var CommandThrottle = require("./src/command_throttle");
 var Config = require("./src/config");
+var Connection = require("./src/connection");
 var Log = require("./src/log");
 var Dubtrack = require("./src/dubtrack");
+var Errors = require("./src/errors");
+var HelpCommand = require("./src/help_command");
+var HistoryQuery = require("./src/history_query");
+var HotReloader = require("./src/hot_reloader");
+var MediaPolicy = require("./src/media_policy");
+var MessageCatalog = require("./src/message_catalog");
+var PluginLoader = require("./src/plugin_loader");
+var ReenableCommand = require("./src/reenable_command");
+var RepeatRules = require("./src/repeat_rules");
+var RoomStateStore = require("./src/room_state_store");
+var Scheduler = require("./src/scheduler");
+var SimulatedRoom = require("./src/simulated_room");
 var StateTracker = require("./src/state_tracker");
+var Template = require("./src/template");
 var Types = require("./src/types");
 var Utils = require("./src/utils");
 
 var Event = Types.Event;
 
+// The kinds of module loaded from a bot's base directory, and the subdirectory each is loaded from
+var ModuleType = {
+    COMMAND: "commands",
+    EVENT_LISTENER: "event_listeners",
+    MIDDLEWARE: "middleware",
+    SCHEDULED_TASK: "scheduled_tasks"
+};
+
 var LOG = new Log("DubBotBaseMain");
 
 /**
- * Starts up the bot, registering all commands and event listeners.
+ * Starts up the bot, registering all commands and event listeners, along with those
+ * of any plugins listed in DubBotBase.plugins.
+ *
+ * The returned global object has a stop() function, which stops the scheduler, unloads every
+ * module, runs the plugins' shutdown hooks and disconnects the bot.
  *
- * @param {string} basedir - The base directory containing the commands/ and event_listeners/ subdirectories
+ * @param {string} basedir - The base directory containing the commands/, event_listeners/ and (optionally) middleware/
+ *                           and scheduled_tasks/ subdirectories
  * @param {function} connectionCompleteCallback - A function to be called once the bot has connected to the room and is ready to use
+ * @param {object} options - Optional. May contain a 'backend' to use in place of dubtrack.fm, such as a SimulatedRoom,
+ *                           and a 'roomStateStore' to persist room state with, in place of the configured one
  * @returns {object} The global object which contains a reference to the bot
  */
-function start(basedir, connectionCompleteCallback) {
+function start(basedir, connectionCompleteCallback, options) {
+    options = options || {};
+
     var defaultConfig = require("./config/defaults.json");
-    var config = Config.create(basedir, defaultConfig);
+    var plugins = [];
+
+    // Plugins are listed in config, but can add config of their own, so they're loaded partway through
+    var config = Config.create(basedir, defaultConfig, null, function(loadedConfig) {
+        var pluginNames = loadedConfig.DubBotBase.plugins;
+
+        if (Array.isArray(pluginNames)) {
+            plugins = PluginLoader.load(pluginNames, basedir);
+            PluginLoader.registerConfig(plugins);
+        }
+    });
+
+    Log.configure(config.DubBotBase.logging, basedir);
 
-    var globalObject = { config: config };
+    var globalObject = {
+        chatFilter: config.DubBotBase.chatFilter.enabled ? new ChatFilter.ChatFilter(config.DubBotBase.chatFilter) : null,
+        config: config,
+        mediaPolicy: config.DubBotBase.mediaPolicy.enabled ? new MediaPolicy.MediaPolicy(config.DubBotBase.mediaPolicy, basedir) : null,
+        messageCatalog: new MessageCatalog(basedir, config.DubBotBase.messages),
+        roomStateStore: options.roomStateStore || RoomStateStore.create(basedir, config)
+    };
+
+    // Tracks every loaded plugin and module, so they can be unloaded again by hot reload or stop()
+    var registry = {
+        commands: [],
+        files: {}, // maps file paths to { filePath, module, registrations, type }
+        hotReloader: null,
+        middleware: [], // registry entries for middleware, in the order it runs
+        plugins: plugins // in the order they're initialized
+    };
+
+    globalObject.stop = function() {
+        _stop(globalObject, registry);
+    };
 
     var loginCompleteCallback = function(bot) {
         globalObject.bot = bot;
-        bot.connect(config.DubBotBase.roomName);
+        globalObject.scheduler = new Scheduler.Scheduler(globalObject, globalObject.roomStateStore);
+
+        // Everything below only happens the first time the bot joins the room; reconnections
+        // are handled by the bot and StateTracker
+        var onFirstConnection = function() {
+            bot.off(Event.CONNECTED, onFirstConnection);
 
-        LOG.info("Connect request sent. Waiting 5 seconds for the connection to be established.");
-        var innerConnectionCompleteCallback = function() {
             StateTracker.init(globalObject, function() {
+                // The chat filter has to see messages before anything but StateTracker does
+                if (globalObject.chatFilter) {
+                    bot.on(Event.CHAT, globalObject.chatFilter.createChatHandler());
+                }
+
+                ChatFilter.defineTasks(globalObject.scheduler);
+
                 // Connect before registering anything, because StateTracker depends on being connected
-                var commands = _registerCommands(basedir, globalObject);
-                var eventListeners = _registerEventListeners(basedir, globalObject);
+                _initPlugins(globalObject, registry);
+                _registerCommands(basedir, globalObject, registry);
+                _registerHelpCommand(globalObject, registry);
+                _registerReenableCommand(basedir, globalObject, registry);
+                _registerBlacklistCommand(globalObject, registry);
+                _checkCommandAliases(globalObject, registry);
+                _registerEventListeners(basedir, globalObject, registry);
+                _registerMiddleware(basedir, globalObject, registry);
+                _registerScheduledTasks(basedir, globalObject, registry);
+
+                // Persisted jobs can only be restored once the tasks they run have been defined
+                globalObject.scheduler.restore();
 
                 // Hook our own event listener in to chat, for the command framework
-                bot.on(Event.CHAT, _createCommandHandler(commands));
+                bot.on(Event.CHAT, _createCommandHandler(registry));
+
+                if (config.DubBotBase.repeatRules.enabled) {
+                    bot.on(Event.ADVANCE, RepeatRules.createAdvanceHandler(config.DubBotBase.repeatRules));
+                }
+
+                if (globalObject.mediaPolicy) {
+                    bot.on(Event.ADVANCE, globalObject.mediaPolicy.createAdvanceHandler());
+                }
+
+                if (config.DubBotBase.enableHotReload) {
+                    registry.hotReloader = _enableHotReload(basedir, globalObject, registry);
+                }
 
                 if (connectionCompleteCallback) {
                     connectionCompleteCallback(globalObject);
@@ -47,65 +146,303 @@ function start(basedir, connectionCompleteCallback) {
             });
         };
 
-        setTimeout(innerConnectionCompleteCallback, 5000);
+        bot.on(Event.CONNECTED, onFirstConnection);
+        bot.connect(config.DubBotBase.roomName);
     };
 
     new Dubtrack.Bot({
         username: config.DubBotBase.botEmail,
         password: config.DubBotBase.botPassword
-    }, globalObject, loginCompleteCallback);
+    }, globalObject, loginCompleteCallback, options.backend);
 
     return globalObject;
 }
 
+/**
+ * Initializes each plugin in turn, loading its commands, event listeners, middleware and scheduled tasks
+ * right after its init hook has run.
+ *
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules, which holds the plugins
+ */
+function _initPlugins(globalObject, registry) {
+    for (var i = 0; i < registry.plugins.length; i++) {
+        var plugin = registry.plugins[i];
+
+        LOG.info("Initializing plugin '{}'", plugin.name);
+
+        if (plugin.module.init) {
+            plugin.module.init(globalObject);
+        }
+
+        plugin.isInitialized = true;
+
+        // Unlike a bot, a plugin may well leave out any of these directories
+        if (fs.existsSync(path.resolve(plugin.directory, ModuleType.COMMAND))) {
+            _registerCommands(plugin.directory, globalObject, registry);
+        }
+
+        if (fs.existsSync(path.resolve(plugin.directory, ModuleType.EVENT_LISTENER))) {
+            _registerEventListeners(plugin.directory, globalObject, registry);
+        }
+
+        _registerMiddleware(plugin.directory, globalObject, registry);
+        _registerScheduledTasks(plugin.directory, globalObject, registry);
+    }
+}
+
+/**
+ * Shuts the bot down: the scheduler is stopped and every module is disposed of and
+ * unloaded, then each plugin's shutdown hook is run (in the reverse of the order they
+ * were initialized), and finally the bot leaves the room.
+ *
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _stop(globalObject, registry) {
+    LOG.info("Stopping the bot");
+
+    if (registry.hotReloader) {
+        registry.hotReloader.stop();
+        registry.hotReloader = null;
+    }
+
+    if (globalObject.scheduler) {
+        globalObject.scheduler.stop();
+    }
+
+    for (var filePath in registry.files) {
+        _unloadModule(filePath, globalObject, registry);
+    }
+
+    for (var i = registry.plugins.length - 1; i >= 0; i--) {
+        var plugin = registry.plugins[i];
+
+        if (!plugin.isInitialized) {
+            continue;
+        }
+
+        plugin.isInitialized = false;
+
+        if (plugin.module.shutdown) {
+            try {
+                plugin.module.shutdown(globalObject);
+            }
+            catch (e) {
+                LOG.error("Error while shutting down plugin '{}'; continuing anyway. Error: {}", plugin.name, e.stack || e);
+            }
+        }
+    }
+
+    if (globalObject.bot) {
+        globalObject.bot.disconnect();
+    }
+
+    if (globalObject.roomStateStore && typeof globalObject.roomStateStore.close === "function") {
+        globalObject.roomStateStore.close();
+    }
+}
+
 /**
  * Creates a handler for the CHAT_COMMAND event which will distribute
  * chat commands to the appropriate registered handlers.
  *
- * @param {array} commands - All of the registered command handlers
+ * @param {object} registry - The registry of loaded modules, which holds the commands and middleware
  * @returns {function} An event handler
  */
-function _createCommandHandler(commands) {
+function _createCommandHandler(registry) {
+    var commands = registry.commands;
+    var throttle = new CommandThrottle.CommandThrottle();
+
     return function(chatEvent, globalObject) {
 
-        if (!chatEvent.command) {
+        // Messages the chat filter has acted on (beyond a warning) don't get to run commands
+        if (!chatEvent.command || chatEvent.filterViolation) {
             return;
         }
 
+        var isCaseSensitive = globalObject.config.DubBotBase.areCommandsCaseSensitive;
+        chatEvent = CommandRouter.expandAlias(chatEvent, globalObject.config.DubBotBase.commandAliases, commands, isCaseSensitive);
+
         var commandName = chatEvent.command;
 
-        if (!globalObject.config.DubBotBase.areCommandsCaseSensitive) {
+        if (!isCaseSensitive) {
             commandName = commandName.toLowerCase();
         }
 
         for (var i = 0; i < commands.length; i++) {
-            var command = commands[i];
-
-            if (command.triggers.indexOf(commandName) >= 0) {
-                if (command.minimumRole && chatEvent.userRole.level < command.minimumRole.level) {
-                    // user doesn't have sufficient permissions; notify the command module if possible
-                    if (command.insufficientPermissionsHandler) {
-                        command.insufficientPermissionsHandler.call(command.context, chatEvent, globalObject);
-                    }
+            if (commands[i].triggers.indexOf(commandName) < 0) {
+                continue;
+            }
 
-                    continue;
-                }
+            var source = _findModuleSource(registry, commands[i]);
 
-                command.handler.call(command.context, chatEvent, globalObject);
+            if (globalObject.bot.faultTracker.isDisabled(source)) {
+                LOG.debug("Ignoring command '{}' because module {} is disabled", commandName, source);
+                continue;
             }
+
+            var resolved = CommandRouter.resolveSubcommand(commands[i], chatEvent, isCaseSensitive);
+
+            _runMiddleware(registry.middleware, resolved.chatEvent, resolved.command, globalObject, function(commandEvent, command) {
+                return _executeCommand(command, source, commandEvent, globalObject, throttle);
+            });
         }
     };
 }
 
+/**
+ * Runs a command's permission, throttle and argument checks, and then its handler
+ * if they all pass. Anything the command's handlers throw is caught and reported
+ * by the bot's FaultTracker.
+ *
+ * @param {object} command - The command (or subcommand) being invoked
+ * @param {string} source - The file path of the command's module, or null for built-in commands
+ * @param {object} chatEvent - The chat event which triggered the command
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} throttle - The CommandThrottle tracking command usage
+ * @returns {mixed} Whatever the command's handler returns, or undefined if it wasn't called or threw
+ */
+function _executeCommand(command, source, chatEvent, globalObject, throttle) {
+    var faultTracker = globalObject.bot.faultTracker;
+    var handlerInfo = { command: command.triggers[0], eventName: Event.CHAT, source: source };
+
+    if (command.minimumRole && chatEvent.userRole.level < command.minimumRole.level) {
+        // user doesn't have sufficient permissions; notify the command module if possible
+        if (command.insufficientPermissionsHandler) {
+            faultTracker.run(handlerInfo, command.insufficientPermissionsHandler, command.context, [chatEvent, globalObject]);
+        }
+
+        return;
+    }
+
+    if (!command.handler) {
+        // a command which only has subcommands, invoked without a valid one
+        _sendSubcommandUsage(command, chatEvent, globalObject);
+        return;
+    }
+
+    var throttleInfo = throttle.check(command, chatEvent, globalObject.config);
+    if (throttleInfo) {
+        // user is on cooldown or over the rate limit; notify the command module if possible
+        if (command.throttledHandler) {
+            faultTracker.run(handlerInfo, command.throttledHandler, command.context, [chatEvent, globalObject, throttleInfo]);
+        }
+
+        return;
+    }
+
+    if (command.args && !_parseCommandArgs(command, chatEvent, globalObject)) {
+        return;
+    }
+
+    throttle.recordUse(command, chatEvent, globalObject.config);
+    return faultTracker.run(handlerInfo, command.handler, command.context, [chatEvent, globalObject]);
+}
+
+/**
+ * Passes a command invocation through each middleware in turn, finishing with the
+ * command itself. Each middleware's handle function is called as
+ * handle(chatEvent, command, globalObject, next). Calling next() continues down the
+ * chain and returns whatever the command's handler returned; code after it runs once
+ * the command has finished. A middleware can pass a different chat event to next
+ * (e.g. with changed arguments), or not call next at all to stop the command running.
+ *
+ * If a middleware throws, the error is reported by the bot's FaultTracker and the command
+ * doesn't run (unless the middleware had already called next). Middleware which has been
+ * disabled for failing is skipped.
+ *
+ * @param {array} middleware - The registry entries of the middleware, in order
+ * @param {object} chatEvent - The chat event which triggered the command
+ * @param {object} command - The command (or subcommand) being invoked
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {function} execute - Runs the command; called as execute(chatEvent, command)
+ * @returns {mixed} Whatever the first middleware returns
+ */
+function _runMiddleware(middleware, chatEvent, command, globalObject, execute) {
+    // Work from a snapshot, in case middleware is reloaded partway through
+    var chain = middleware.slice();
+
+    var dispatch = function(index, event) {
+        if (index >= chain.length) {
+            return execute(event, command);
+        }
+
+        var entry = chain[index];
+        var faultTracker = globalObject.bot.faultTracker;
+
+        if (faultTracker.isDisabled(entry.filePath)) {
+            return dispatch(index + 1, event);
+        }
+
+        var hasCalledNext = false;
+
+        var next = function(nextEvent) {
+            if (hasCalledNext) {
+                throw new Error("Middleware called next() more than once for command " + command.triggers[0]);
+            }
+
+            hasCalledNext = true;
+            return dispatch(index + 1, nextEvent || event);
+        };
+
+        var handlerInfo = { command: command.triggers[0], eventName: Event.CHAT, source: entry.filePath };
+        return faultTracker.run(handlerInfo, entry.module.handle, entry.module, [event, command, globalObject, next]);
+    };
+
+    return dispatch(0, chatEvent);
+}
+
+/**
+ * Parses a chat command's arguments according to the command's 'args' spec, storing
+ * the result in chatEvent.parsedArgs. If the input doesn't match the spec, the user
+ * is told what went wrong along with the command's usage.
+ *
+ * @param {object} command - The command module being invoked
+ * @param {object} chatEvent - The chat event which triggered the command
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @returns {boolean} True if the arguments were valid and the handler should be called
+ */
+function _parseCommandArgs(command, chatEvent, globalObject) {
+    var result = CommandArgs.parse(command.args, chatEvent.argsText, globalObject);
+
+    if (result.error) {
+        var usage = CommandArgs.formatUsage(command.triggers[0], command.args, chatEvent.prefix);
+        globalObject.bot.sendMessage("dubbotbase.commands.invalidArguments", chatEvent.username, result.error, usage);
+        return false;
+    }
+
+    chatEvent.parsedArgs = result.values;
+    return true;
+}
+
+/**
+ * Tells the user which subcommands a command has, when they've invoked it without one.
+ *
+ * @param {object} command - The command (or subcommand) which has subcommands
+ * @param {object} chatEvent - The chat event which triggered the command
+ * @param {object} globalObject - The global object shared throughout the bot
+ */
+function _sendSubcommandUsage(command, chatEvent, globalObject) {
+    var names = Object.keys(command.subcommands).filter(function(name) {
+        var subcommand = CommandRouter.getSubcommand(command, name);
+        return !subcommand.minimumRole || chatEvent.userRole.level >= subcommand.minimumRole.level;
+    });
+
+    var usage = CommandRouter.formatCommand(chatEvent.prefix, command.triggers[0]) + " <" + names.join("|") + ">";
+    globalObject.bot.sendMessage("dubbotbase.commands.usage", chatEvent.username, usage);
+}
+
 /**
  * Registers all of the eligible files from the commands
  * directory as commands with the bot.
  *
  * @param {string} basedir - The base directory which holds the commands directory
- * @param {object} bot - An instance of DubBotBase.Bot
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules, which commands will be added to
  */
-function _registerCommands(basedir, globalObject) {
-    var commandsDir = path.resolve(basedir, "commands");
+function _registerCommands(basedir, globalObject, registry) {
+    var commandsDir = path.resolve(basedir, ModuleType.COMMAND);
 
     var files;
     try {
@@ -117,30 +454,186 @@ function _registerCommands(basedir, globalObject) {
         return;
     }
 
-    var commands = [];
     for (var i = 0; i < files.length; i++) {
-        var filePath = files[i];
-        if (filePath.lastIndexOf(".js") !== filePath.length - 3) {
-            LOG.info("File {} doesn't appear to be a JS module. Ignoring.", filePath);
-            continue;
+        _registerCommandFile(files[i], globalObject, registry);
+    }
+}
+
+/**
+ * Loads a single file as a command, if it appears to be one, and adds it to the registry.
+ *
+ * @param {string} filePath - The absolute path to the file to load
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _registerCommandFile(filePath, globalObject, registry) {
+    if (filePath.lastIndexOf(".js") !== filePath.length - 3) {
+        LOG.info("File {} doesn't appear to be a JS module. Ignoring.", filePath);
+        return;
+    }
+
+    var module = require(filePath);
+
+    if (!module.triggers || !(module.handler || module.subcommands)) {
+        LOG.warn("Found a module at {} but it doesn't appear to be a command handler. Ignoring.", filePath);
+        return;
+    }
+
+    try {
+        _validateCommand(module, globalObject);
+    }
+    catch (e) {
+        throw new Error("Command at " + filePath + " " + e.message);
+    }
+
+    var entry = {
+        filePath: filePath,
+        module: module,
+        registrations: [],
+        type: ModuleType.COMMAND
+    };
+
+    _activateModule(entry, globalObject, registry);
+    registry.files[filePath] = entry;
+    LOG.info("Registered command from file {}", filePath);
+}
+
+/**
+ * Checks a command's 'args' spec, throttle settings and help metadata, along with
+ * those of each of its subcommands. Throws if anything is invalid.
+ *
+ * @param {object} command - The command module or subcommand
+ * @param {object} globalObject - The global object shared throughout the bot
+ */
+function _validateCommand(command, globalObject) {
+    if (command.args) {
+        try {
+            CommandArgs.validateSpec(command.args);
+        }
+        catch (e) {
+            throw new Error("has an invalid 'args' spec: " + e.message);
         }
+    }
 
-        var module = require(filePath);
+    try {
+        CommandThrottle.getSettings(command, globalObject.config);
+    }
+    catch (e) {
+        throw new Error("has invalid throttle settings: " + e.message);
+    }
 
-        if (!module.triggers || !module.handler) {
-            LOG.warn("Found a module at {} but it doesn't appear to be a command handler. Ignoring.", filePath);
-            continue;
+    try {
+        HelpCommand.validateMetadata(command);
+    }
+    catch (e) {
+        throw new Error("has invalid help metadata: " + e.message);
+    }
+
+    for (var name in command.subcommands || {}) {
+        var subcommand = CommandRouter.getSubcommand(command, name);
+
+        if (!subcommand.handler && !subcommand.subcommands) {
+            throw new Error("has a subcommand '" + subcommand.triggers[0] + "' with neither a handler nor subcommands");
+        }
+
+        try {
+            _validateCommand(subcommand, globalObject);
         }
+        catch (e) {
+            throw new Error("(subcommand '" + subcommand.triggers[0] + "') " + e.message);
+        }
+    }
+}
+
+/**
+ * Warns about any aliases in config which don't point at a registered command,
+ * or which are never used because a command already has the same trigger.
+ *
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _checkCommandAliases(globalObject, registry) {
+    var aliases = globalObject.config.DubBotBase.commandAliases || {};
+    var isCaseSensitive = globalObject.config.DubBotBase.areCommandsCaseSensitive;
 
-        if (typeof module.init === "function") {
-            module.init(globalObject);
+    for (var alias in aliases) {
+        var target = aliases[alias].trim().split(/\s+/)[0];
+
+        if (CommandRouter.findCommand(registry.commands, alias, isCaseSensitive)) {
+            LOG.warn("The command alias '{}' is also the trigger of a command, so the alias will never be used", alias);
+        }
+        else if (!CommandRouter.findCommand(registry.commands, target, isCaseSensitive)) {
+            LOG.warn("The command alias '{}' refers to '{}', which isn't a registered command", alias, aliases[alias]);
         }
+    }
+}
+
+/**
+ * Registers the built-in command which lets mods edit the media blacklist, if the media
+ * policy and the command are both enabled in config.
+ *
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _registerBlacklistCommand(globalObject, registry) {
+    var settings = globalObject.config.DubBotBase.mediaPolicy.blacklistCommand;
+
+    if (globalObject.mediaPolicy && settings.enabled) {
+        _registerBuiltInCommand("blacklist", BlacklistCommand.create(globalObject.mediaPolicy, settings), registry);
+    }
+}
+
+/**
+ * Registers the built-in help command, if it's enabled in config. If one of the bot's
+ * own commands already uses a help trigger, the built-in command steps aside.
+ *
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _registerHelpCommand(globalObject, registry) {
+    var settings = globalObject.config.DubBotBase.helpCommand;
+
+    if (settings.enabled) {
+        _registerBuiltInCommand("help", HelpCommand.create(registry.commands, settings), registry);
+    }
+}
+
+/**
+ * Registers the built-in command which lets mods re-enable modules that were disabled
+ * for failing, if it's enabled in config.
+ *
+ * @param {string} basedir - The base directory, which module names are given relative to
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _registerReenableCommand(basedir, globalObject, registry) {
+    var settings = globalObject.config.DubBotBase.faultIsolation.reenableCommand;
 
-        commands.push(module);
-        LOG.info("Registered command from file {}", filePath);
+    if (settings.enabled) {
+        _registerBuiltInCommand("re-enable", ReenableCommand.create(settings, basedir), registry);
     }
+}
 
-    return commands;
+/**
+ * Registers one of the framework's own commands, unless one of the bot's commands
+ * already uses one of its triggers, in which case the built-in command steps aside.
+ *
+ * @param {string} name - What to call the command in log messages
+ * @param {object} command - The command module
+ * @param {object} registry - The registry of loaded modules
+ */
+function _registerBuiltInCommand(name, command, registry) {
+    for (var i = 0; i < registry.commands.length; i++) {
+        for (var j = 0; j < command.triggers.length; j++) {
+            if (registry.commands[i].triggers.indexOf(command.triggers[j]) >= 0) {
+                LOG.warn("A command is already registered with the trigger '{}'; not registering the built-in {} command", command.triggers[j], name);
+                return;
+            }
+        }
+    }
+
+    registry.commands.push(command);
+    LOG.info("Registered the built-in {} command with triggers {}", name, command.triggers);
 }
 
 /**
@@ -148,11 +641,11 @@ function _registerCommands(basedir, globalObject) {
  * directory as event listeners with the bot.
  *
  * @param {string} basedir - The base directory which holds the event_listeners directory
- * @param {object} bot - An instance of DubBotBase.Bot
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules, which event listeners will be added to
  */
-function _registerEventListeners(basedir, globalObject) {
-    var bot = globalObject.bot;
-    var eventListenerDir = path.resolve(basedir, "event_listeners");
+function _registerEventListeners(basedir, globalObject, registry) {
+    var eventListenerDir = path.resolve(basedir, ModuleType.EVENT_LISTENER);
 
     var files;
     try {
@@ -164,76 +657,522 @@ function _registerEventListeners(basedir, globalObject) {
         return;
     }
 
-    var listeners = [];
     for (var i = 0; i < files.length; i++) {
-        var filePath = files[i];
-        if (filePath.lastIndexOf(".js") !== filePath.length - 3) {
-            LOG.info("File {} doesn't appear to be a JS module. Ignoring.", filePath);
+        _registerEventListenerFile(files[i], globalObject, registry);
+    }
+}
+
+/**
+ * Loads a single file as an event listener, if it appears to be one, and hooks
+ * its handlers up to the bot.
+ *
+ * @param {string} filePath - The absolute path to the file to load
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _registerEventListenerFile(filePath, globalObject, registry) {
+    if (filePath.lastIndexOf(".js") !== filePath.length - 3) {
+        LOG.info("File {} doesn't appear to be a JS module. Ignoring.", filePath);
+        return;
+    }
+
+    var module = require(filePath);
+    var registrations = [];
+
+    /* Check each event key and look for an export in one of two forms:
+     *
+     * 1) EVENT_KEY : some_function
+     * 2) EVENT_KEY : { handler: some_function, context: some_object }
+     *
+     * Context is optional even in the second form, but a function is always required.
+     */
+    for (var eventKey in Event) {
+        var eventValue = Event[eventKey];
+        var eventHandler = null;
+        var handlerContext = null;
+
+        if (!module[eventValue]) {
             continue;
         }
 
-        var module = require(filePath);
+        if (typeof module[eventValue] === "function") {
+            eventHandler = module[eventValue];
+        }
+        else if (typeof module[eventValue] === "object") {
+            if (typeof module[eventValue].handler !== "function") {
+                LOG.error("An error occurred while reading event listener from file {}", filePath);
+                LOG.error("Event listener for event '{}' has an object type, but the 'handler' property does not refer to a function", eventKey);
+                throw new Error("An error occurred while initializing event listeners. Check your logfile (or just stdout) for more details.");
+            }
 
-        /* Check each event key and look for an export in one of two forms:
-         *
-         * 1) EVENT_KEY : some_function
-         * 2) EVENT_KEY : { handler: some_function, context: some_object }
-         *
-         * Context is optional even in the second form, but a function is always required.
-         */
-        var eventHandlerFound = false;
-        for (var eventKey in Event) {
-            var eventValue = Event[eventKey];
-            var eventHandler = null;
-            var handlerContext = null;
-            var error = null;
+            eventHandler = module[eventValue].handler;
+            handlerContext = module[eventValue].context;
+        }
+        else {
+            LOG.warn("Found what looks like an event listener, but it's not an object or a function. Event: {}, from file: {}", eventKey, filePath);
+            continue;
+        }
 
-            if (!module[eventValue]) {
-                continue;
-            }
+        registrations.push({
+            callback: eventHandler,
+            context: handlerContext,
+            eventName: eventValue
+        });
+    }
 
-            if (typeof module[eventValue] === "function") {
-                eventHandler = module[eventValue];
-            }
-            else if (typeof module[eventValue] === "object") {
-                if (typeof module[eventValue].handler !== "function") {
-                    LOG.error("An error occurred while reading event listener from file {}", filePath);
-                    LOG.error("Event listener for event '{}' has an object type, but the 'handler' property does not refer to a function", eventKey);
-                    throw new Error("An error occurred while initializing event listeners. Check your logfile (or just stdout) for more details.");
-                }
+    if (registrations.length === 0) {
+        LOG.warn("Found a module at {} but it doesn't appear to be an event handler. Ignoring.", filePath);
+        return;
+    }
 
-                eventHandler = module[eventValue].handler;
-                handlerContext = module[eventValue].context;
-            }
-            else {
-                LOG.warn("Found what looks like an event listener, but it's not an object or a function. Event: {}, from file: {}", eventKey, filePath);
-                continue;
+    var entry = {
+        filePath: filePath,
+        module: module,
+        registrations: registrations,
+        type: ModuleType.EVENT_LISTENER
+    };
+
+    _activateModule(entry, globalObject, registry);
+    registry.files[filePath] = entry;
+    LOG.info("Registered event listener from file {}", filePath);
+}
+
+/**
+ * Registers all of the eligible files from the middleware directory
+ * as command middleware.
+ *
+ * @param {string} basedir - The base directory which holds the middleware directory
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules, which middleware will be added to
+ */
+function _registerMiddleware(basedir, globalObject, registry) {
+    var middlewareDir = path.resolve(basedir, ModuleType.MIDDLEWARE);
+
+    if (!fs.existsSync(middlewareDir)) {
+        // Unlike commands and event listeners, most bots won't have any middleware
+        return;
+    }
+
+    var files;
+    try {
+        files = Utils.getAllFilePathsUnderDirectory(middlewareDir);
+        LOG.info("Found the following potential middleware files: {}", files);
+    }
+    catch (e) {
+        LOG.error("Unable to register middleware from the base directory '{}'. Error: {}", middlewareDir, e);
+        return;
+    }
+
+    for (var i = 0; i < files.length; i++) {
+        _registerMiddlewareFile(files[i], globalObject, registry);
+    }
+}
+
+/**
+ * Loads a single file as command middleware, if it appears to be some. Middleware
+ * exports a handle(chatEvent, command, globalObject, next) function, and optionally
+ * an 'order': middleware with a lower order runs first (default 0). Middleware with
+ * the same order runs in the order of its file paths.
+ *
+ * @param {string} filePath - The absolute path to the file to load
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _registerMiddlewareFile(filePath, globalObject, registry) {
+    if (filePath.lastIndexOf(".js") !== filePath.length - 3) {
+        LOG.info("File {} doesn't appear to be a JS module. Ignoring.", filePath);
+        return;
+    }
+
+    var module = require(filePath);
+
+    if (typeof module.handle !== "function") {
+        LOG.warn("Found a module at {} but it doesn't appear to be middleware. Ignoring.", filePath);
+        return;
+    }
+
+    if ("order" in module && typeof module.order !== "number") {
+        throw new Error("Middleware at " + filePath + " has an 'order' which is not a number");
+    }
+
+    var entry = {
+        filePath: filePath,
+        module: module,
+        registrations: [],
+        type: ModuleType.MIDDLEWARE
+    };
+
+    _activateModule(entry, globalObject, registry);
+    registry.files[filePath] = entry;
+    LOG.info("Registered middleware from file {}", filePath);
+}
+
+/**
+ * Registers all of the eligible files from the scheduled_tasks directory as
+ * tasks with the scheduler.
+ *
+ * @param {string} basedir - The base directory which holds the scheduled_tasks directory
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules, which scheduled tasks will be added to
+ */
+function _registerScheduledTasks(basedir, globalObject, registry) {
+    var tasksDir = path.resolve(basedir, ModuleType.SCHEDULED_TASK);
+
+    if (!fs.existsSync(tasksDir)) {
+        return;
+    }
+
+    var files;
+    try {
+        files = Utils.getAllFilePathsUnderDirectory(tasksDir);
+        LOG.info("Found the following potential scheduled task files: {}", files);
+    }
+    catch (e) {
+        LOG.error("Unable to register scheduled tasks from the base directory '{}'. Error: {}", tasksDir, e);
+        return;
+    }
+
+    for (var i = 0; i < files.length; i++) {
+        _registerScheduledTaskFile(files[i], globalObject, registry);
+    }
+}
+
+/**
+ * Loads a single file as a scheduled task, if it appears to be one. A scheduled task
+ * exports a handler(job, globalObject) function, and optionally a 'name' (defaulting
+ * to the file's name) and either a 'cron' expression or an 'intervalSeconds' to run it on.
+ * A task without a schedule only runs when a job is scheduled for it by name.
+ *
+ * @param {string} filePath - The absolute path to the file to load
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _registerScheduledTaskFile(filePath, globalObject, registry) {
+    if (filePath.lastIndexOf(".js") !== filePath.length - 3) {
+        LOG.info("File {} doesn't appear to be a JS module. Ignoring.", filePath);
+        return;
+    }
+
+    var module = require(filePath);
+
+    if (typeof module.handler !== "function") {
+        LOG.warn("Found a module at {} but it doesn't appear to be a scheduled task. Ignoring.", filePath);
+        return;
+    }
+
+    if ("name" in module && (typeof module.name !== "string" || !module.name)) {
+        throw new Error("Scheduled task at " + filePath + " has a 'name' which is not a non-empty string");
+    }
+
+    if ("cron" in module && "intervalSeconds" in module) {
+        throw new Error("Scheduled task at " + filePath + " has both a 'cron' expression and an 'intervalSeconds'; it can only have one");
+    }
+
+    if ("intervalSeconds" in module && !(typeof module.intervalSeconds === "number" && module.intervalSeconds > 0)) {
+        throw new Error("Scheduled task at " + filePath + " has an 'intervalSeconds' which is not a positive number");
+    }
+
+    var entry = {
+        filePath: filePath,
+        module: module,
+        registrations: [],
+        taskName: module.name || path.basename(filePath, ".js"),
+        type: ModuleType.SCHEDULED_TASK
+    };
+
+    _activateModule(entry, globalObject, registry);
+    registry.files[filePath] = entry;
+    LOG.info("Registered scheduled task '{}' from file {}", entry.taskName, filePath);
+}
+
+/**
+ * Hooks a loaded module into the bot and calls its init function, if it has one.
+ * If init throws, the module is unhooked again before the error is rethrown.
+ *
+ * @param {object} entry - The registry entry for the module
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _activateModule(entry, globalObject, registry) {
+    _hookModule(entry, globalObject, registry);
+
+    try {
+        if (typeof entry.module.init === "function") {
+            entry.module.init(globalObject);
+        }
+    }
+    catch (e) {
+        _unhookModule(entry, globalObject, registry);
+        throw e;
+    }
+}
+
+function _hookModule(entry, globalObject, registry) {
+    if (entry.type === ModuleType.COMMAND) {
+        registry.commands.push(entry.module);
+    }
+    else if (entry.type === ModuleType.MIDDLEWARE) {
+        _insertMiddleware(entry, registry);
+    }
+    else if (entry.type === ModuleType.SCHEDULED_TASK) {
+        _scheduleTask(entry, globalObject);
+    }
+
+    for (var i = 0; i < entry.registrations.length; i++) {
+        var registration = entry.registrations[i];
+        globalObject.bot.on(registration.eventName, registration.callback, registration.context, entry.filePath);
+    }
+}
+
+function _unhookModule(entry, globalObject, registry) {
+    if (entry.type === ModuleType.COMMAND && registry.commands.indexOf(entry.module) >= 0) {
+        registry.commands.splice(registry.commands.indexOf(entry.module), 1);
+    }
+    else if (entry.type === ModuleType.MIDDLEWARE && registry.middleware.indexOf(entry) >= 0) {
+        registry.middleware.splice(registry.middleware.indexOf(entry), 1);
+    }
+    else if (entry.type === ModuleType.SCHEDULED_TASK) {
+        _unscheduleTask(entry, globalObject);
+    }
+
+    for (var i = 0; i < entry.registrations.length; i++) {
+        var registration = entry.registrations[i];
+        globalObject.bot.off(registration.eventName, registration.callback, registration.context);
+    }
+}
+
+/**
+ * Finds the file path of the module a command (or subcommand) was loaded from.
+ *
+ * @param {object} registry - The registry of loaded modules
+ * @param {object} command - The command
+ * @returns {string} The module's file path, or null for built-in commands
+ */
+function _findModuleSource(registry, command) {
+    while (command.parent) {
+        command = command.parent;
+    }
+
+    for (var filePath in registry.files) {
+        if (registry.files[filePath].module === command) {
+            return filePath;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Inserts middleware into the registry's list, keeping it sorted by order and then file path.
+ */
+function _insertMiddleware(entry, registry) {
+    var order = entry.module.order || 0;
+    var index = 0;
+
+    while (index < registry.middleware.length) {
+        var other = registry.middleware[index];
+        var otherOrder = other.module.order || 0;
+
+        if (otherOrder > order || (otherOrder === order && other.filePath > entry.filePath)) {
+            break;
+        }
+
+        index++;
+    }
+
+    registry.middleware.splice(index, 0, entry);
+}
+
+/**
+ * Defines a scheduled task module's task with the scheduler and, if the module has a
+ * schedule, starts a job for it. The job's ID is the task's name.
+ */
+function _scheduleTask(entry, globalObject) {
+    var module = entry.module;
+    var scheduler = globalObject.scheduler;
+
+    scheduler.defineTask(entry.taskName, module.handler, module, entry.filePath);
+
+    try {
+        if (module.cron) {
+            entry.jobID = scheduler.runOnSchedule(module.cron, entry.taskName, { id: entry.taskName });
+        }
+        else if (module.intervalSeconds) {
+            entry.jobID = scheduler.runEvery(module.intervalSeconds, entry.taskName, { id: entry.taskName });
+        }
+    }
+    catch (e) {
+        scheduler.undefineTask(entry.taskName);
+        throw new Error("Scheduled task at " + entry.filePath + " couldn't be scheduled: " + e.message);
+    }
+}
+
+function _unscheduleTask(entry, globalObject) {
+    if (entry.jobID) {
+        globalObject.scheduler.cancel(entry.jobID);
+        entry.jobID = null;
+    }
+
+    globalObject.scheduler.undefineTask(entry.taskName);
+}
+
+/**
+ * Starts watching the commands, event_listeners, middleware and scheduled_tasks directories,
+ * reloading any module whose file changes.
+ *
+ * @param {string} basedir - The base directory which holds the module directories
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ * @returns {object} The HotReloader which is watching for changes
+ */
+function _enableHotReload(basedir, globalObject, registry) {
+    var directories = {}; // maps each watched directory to the type of module it holds
+
+    for (var key in ModuleType) {
+        var directory = path.resolve(basedir, ModuleType[key]);
+
+        // Middleware and scheduled tasks are optional, so only watch their directories if there are any
+        var isOptional = ModuleType[key] === ModuleType.MIDDLEWARE || ModuleType[key] === ModuleType.SCHEDULED_TASK;
+
+        if (!isOptional || fs.existsSync(directory)) {
+            directories[directory] = ModuleType[key];
+        }
+    }
+
+    var reloader = new HotReloader(Object.keys(directories), function(filePath) {
+        if (filePath.lastIndexOf(".js") !== filePath.length - 3) {
+            return;
+        }
+
+        for (var directory in directories) {
+            if (filePath.indexOf(directory + path.sep) === 0) {
+                _reloadFile(filePath, directories[directory], globalObject, registry);
+                return;
             }
+        }
+    });
+
+    reloader.start();
+    LOG.info("Hot reload is enabled. Changes to commands, event listeners, middleware and scheduled tasks will be picked up automatically.");
+
+    return reloader;
+}
+
+/**
+ * Reloads a single command, event listener, middleware or scheduled task file. The previous version of the module
+ * is disposed of and unhooked first; if the new version can't be loaded, the previous
+ * version is put back in place so the bot keeps working.
+ *
+ * @param {string} filePath - The absolute path of the file which changed
+ * @param {string} moduleType - The type of module the file holds, from ModuleType
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _reloadFile(filePath, moduleType, globalObject, registry) {
+    var previousEntry = registry.files[filePath];
+    var previousCacheEntry = require.cache[filePath];
+
+    LOG.info("Detected a change to file {}. Reloading.", filePath);
+
+    if (previousEntry) {
+        _unloadModule(filePath, globalObject, registry);
+    }
 
-            eventHandlerFound = true;
-            bot.on(eventValue, eventHandler, handlerContext);
+    delete require.cache[filePath];
+
+    if (!fs.existsSync(filePath)) {
+        LOG.info("File {} no longer exists; its module has been unloaded", filePath);
+        return;
+    }
+
+    try {
+        if (moduleType === ModuleType.COMMAND) {
+            _registerCommandFile(filePath, globalObject, registry);
+        }
+        else if (moduleType === ModuleType.EVENT_LISTENER) {
+            _registerEventListenerFile(filePath, globalObject, registry);
+        }
+        else if (moduleType === ModuleType.MIDDLEWARE) {
+            _registerMiddlewareFile(filePath, globalObject, registry);
+        }
+        else {
+            _registerScheduledTaskFile(filePath, globalObject, registry);
         }
 
-        if (!eventHandlerFound) {
-            LOG.warn("Found a module at {} but it doesn't appear to be an event handler. Ignoring.", filePath);
-            continue;
+        // Give the new version a clean slate, even if the old one had been disabled for failing
+        globalObject.bot.faultTracker.enable(filePath);
+
+        LOG.info("Successfully reloaded file {}", filePath);
+    }
+    catch (e) {
+        LOG.error("Failed to reload file {}. Rolling back to the previous version. Error: {}", filePath, e.stack || e);
+
+        if (previousCacheEntry) {
+            require.cache[filePath] = previousCacheEntry;
+        }
+        else {
+            delete require.cache[filePath];
+        }
+
+        if (!previousEntry) {
+            return;
         }
 
-        if (typeof module.init === "function") {
-            LOG.info("Calling init for module at {}", filePath);
-            module.init(globalObject);
+        try {
+            _activateModule(previousEntry, globalObject, registry);
+            registry.files[filePath] = previousEntry;
         }
+        catch (restoreError) {
+            LOG.error("Unable to restore the previous version of file {}. The module has been unloaded. Error: {}", filePath, restoreError.stack || restoreError);
+        }
+    }
+}
 
-        listeners.push(module);
-        LOG.info("Registered event listener from file {}", filePath);
+/**
+ * Calls a module's dispose function, if it has one, and unhooks it from the bot.
+ *
+ * @param {string} filePath - The absolute path of the module's file
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} registry - The registry of loaded modules
+ */
+function _unloadModule(filePath, globalObject, registry) {
+    var entry = registry.files[filePath];
+
+    if (typeof entry.module.dispose === "function") {
+        try {
+            entry.module.dispose(globalObject);
+        }
+        catch (e) {
+            LOG.error("Error while disposing of module at {}; unloading it anyway. Error: {}", filePath, e.stack || e);
+        }
     }
 
-    return listeners;
+    _unhookModule(entry, globalObject, registry);
+    delete registry.files[filePath];
 }
 
+exports.ActionFailureReason = Types.ActionFailureReason;
 exports.Bot = Dubtrack.Bot;
+exports.BotActionError = Errors.BotActionError;
+exports.ChatFilterAction = ChatFilter.ChatFilterAction;
+exports.ChatPriority = Types.ChatPriority;
 exports.ChatType = Types.ChatType;
+exports.ConfigValidationError = Errors.ConfigValidationError;
+exports.ConnectionState = Connection.ConnectionState;
 exports.Event = Types.Event;
+exports.HistoryQuery = HistoryQuery;
+exports.JobType = Scheduler.JobType;
+exports.JsonFileStore = RoomStateStore.JsonFileStore;
 exports.Log = Log;
+exports.MediaPolicyAction = MediaPolicy.MediaPolicyAction;
+exports.MediaPolicyRule = MediaPolicy.MediaPolicyRule;
+exports.MessageCatalog = MessageCatalog;
+exports.RepeatRule = RepeatRules.RepeatRule;
+exports.RepeatRuleAction = RepeatRules.RepeatRuleAction;
+exports.SimulatedRoom = SimulatedRoom;
+exports.Template = Template;
+exports.ThrottleReason = CommandThrottle.ThrottleReason;
 exports.UserRole = Types.UserRole;
+exports.registerConfigDefaults = Config.registerDefaults;
+exports.registerConfigSchema = Config.registerSchema;
 exports.start = start;
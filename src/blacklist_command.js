@@ -0,0 +1,119 @@
+"use strict";
+
+/**
+ * The built-in command which lets mods edit the media blacklist from chat:
+ *
+ *     !blacklist add [reason]         - Blacklists the song which is playing, and skips it
+ *     !blacklist add --id ID [reason] - Blacklists the song with the given content ID
+ *     !blacklist remove ID            - Takes a song off the blacklist
+ *     !blacklist list                 - Shows the most recently blacklisted songs
+ *
+ * See DubBotBase.mediaPolicy.blacklistCommand in config.
+ */
+
+var Translator = require("./translator");
+var Types = require("./types");
+
+// How many songs the list subcommand shows
+var MAX_LISTED_SONGS = 10;
+
+/**
+ * Creates the blacklist command module.
+ *
+ * @param {MediaPolicy} policy - The media policy whose blacklist the command edits
+ * @param {object} settings - The DubBotBase.mediaPolicy.blacklistCommand section of config
+ * @returns {object} A command module which can be registered like any other
+ */
+function create(policy, settings) {
+    return {
+        description: "Edits the list of songs which can't be played",
+        minimumRole: Types.UserRole.MOD,
+        subcommands: {
+            add: {
+                args: [
+                    { name: "id", named: true, optional: true },
+                    { name: "reason", optional: true, rest: true }
+                ],
+                description: "Blacklists the current song, or the song with the given content ID",
+                handler: function(chatEvent, globalObject) {
+                    var bot = globalObject.bot;
+                    var contentID = chatEvent.parsedArgs.id;
+                    var fullTitle = null;
+
+                    if (!contentID) {
+                        var media = Translator.translateMediaObject(bot.bot.getMedia());
+
+                        if (!media) {
+                            bot.sendMessage("dubbotbase.blacklist.nothingPlaying", chatEvent.username);
+                            return;
+                        }
+
+                        contentID = media.contentID;
+                        fullTitle = media.fullTitle;
+                    }
+
+                    var isAdded = policy.addToBlacklist(contentID, {
+                        addedBy: chatEvent.username,
+                        fullTitle: fullTitle,
+                        reason: chatEvent.parsedArgs.reason
+                    });
+
+                    if (!isAdded) {
+                        bot.sendMessage("dubbotbase.blacklist.alreadyBlacklisted", chatEvent.username, fullTitle || contentID);
+                        return;
+                    }
+
+                    bot.sendMessage("dubbotbase.blacklist.added", chatEvent.username, fullTitle || contentID);
+
+                    // Skip the song if it's the one playing, just as if it had started while blacklisted
+                    if (fullTitle) {
+                        bot.forceSkip().catch(function(err) {
+                            bot.sendMessage("dubbotbase.blacklist.skipFailed", chatEvent.username, err.message || err);
+                        });
+                    }
+                }
+            },
+            list: {
+                description: "Shows the most recently blacklisted songs",
+                handler: function(chatEvent, globalObject) {
+                    var bot = globalObject.bot;
+                    var blacklist = policy.getBlacklist();
+
+                    if (blacklist.length === 0) {
+                        bot.sendMessage("dubbotbase.blacklist.empty", chatEvent.username);
+                        return;
+                    }
+
+                    var descriptions = blacklist.slice(0, MAX_LISTED_SONGS).map(function(entry) {
+                        return entry.fullTitle ? entry.fullTitle + " (" + entry.contentID + ")" : entry.contentID;
+                    });
+
+                    var key = blacklist.length > MAX_LISTED_SONGS ? "dubbotbase.blacklist.listMostRecent" : "dubbotbase.blacklist.list";
+                    bot.sendMessage(key, chatEvent.username, blacklist.length, descriptions.join(", "));
+                }
+            },
+            remove: {
+                args: [
+                    { name: "id" }
+                ],
+                description: "Takes the song with the given content ID off the blacklist",
+                handler: function(chatEvent, globalObject) {
+                    var bot = globalObject.bot;
+                    var contentID = chatEvent.parsedArgs.id;
+
+                    if (policy.removeFromBlacklist(contentID, chatEvent.username)) {
+                        bot.sendMessage("dubbotbase.blacklist.removed", chatEvent.username, contentID);
+                    }
+                    else {
+                        bot.sendMessage("dubbotbase.blacklist.notBlacklisted", chatEvent.username, contentID);
+                    }
+                }
+            }
+        },
+        triggers: settings.triggers
+    };
+}
+
+module.exports = {
+    create: create
+};
@@ -0,0 +1,407 @@
+"use strict";
+
+/**
+ * Checks every chat message for spam and abuse, before any of the bot's own listeners or
+ * commands see it. The filter is made of detectors, each of which looks at a message (and
+ * the sender's recent messages in roomState.chatHistory) and says whether it breaks a rule.
+ * The built-in detectors, configured under DubBotBase.chatFilter.detectors, are:
+ *
+ *     bannedWords - The message contains any of the 'words' (as whole words, ignoring case)
+ *                   or matches any of the 'patterns' (regular expressions, ignoring case)
+ *     caps        - At least maxCapsRatio of the letters in a message of at least minLength
+ *                   letters are capitals
+ *     flood       - The sender has sent more than maxMessages messages within windowSeconds
+ *     links       - The message contains a link to anywhere but the allowedDomains
+ *     repeats     - The sender has sent the same message maxRepeats times within windowSeconds
+ *
+ * Bots can add detectors of their own with addDetector. Each detector has an 'action' (see
+ * ChatFilterAction) and can be turned off with 'enabled'. Users with at least the detector's
+ * exemptRole, or else DubBotBase.chatFilter.exemptRole, are never checked by it. When more
+ * than one detector matches a message, the most severe action is taken.
+ *
+ * Once action has been taken against a user, their earlier messages no longer count towards
+ * flood and repeat detection, so one burst of spam isn't punished over and over.
+ *
+ * With dryRun set, matches are only logged, and no action is taken.
+ */
+
+var Log = require("./log");
+var Types = require("./types");
+
+var LOG = new Log("DubBotBase-ChatFilter");
+
+// In order of severity, least severe first
+var ChatFilterAction = {
+    WARN: "warn", // tell the user off in chat
+    DELETE: "delete", // delete the message, and tell the user why
+    MUTE: "mute", // delete the message, and mute the user for muteDurationMinutes
+    BAN: "ban" // delete the message, and ban the user for banDurationMinutes
+};
+
+// The scheduler task which lifts mutes once muteDurationMinutes have passed
+var UNMUTE_TASK = "dubbotbase.chatFilter.unmute";
+
+var ACTION_SEVERITIES = [ChatFilterAction.WARN, ChatFilterAction.DELETE, ChatFilterAction.MUTE, ChatFilterAction.BAN];
+
+// Things which look like links: anything with a scheme or "www.", or a bare domain with a common top-level domain
+var LINK_PATTERN = /\b(?:[a-z][a-z0-9+.-]*:\/\/|www\.)[^\s\/]+|\b(?:[a-z0-9-]+\.)+(?:com|net|org|io|gg|ly|me|tv|co|be|info|xyz|ru|uk|de)\b/gi;
+
+/**
+ * The built-in detectors. Each is called with the chat event, the detector's settings and a
+ * context (see _createContext), and returns the key of a message describing the problem, or
+ * null if there isn't one.
+ */
+var BUILT_IN_DETECTORS = {
+    bannedWords: function(chatEvent, settings, context) {
+        var patterns = context.compiled.bannedWords;
+
+        for (var i = 0; i < patterns.length; i++) {
+            if (patterns[i].test(chatEvent.message)) {
+                return "dubbotbase.chatFilter.reasons.bannedWords";
+            }
+        }
+
+        return null;
+    },
+
+    caps: function(chatEvent, settings) {
+        var letters = 0;
+        var capitals = 0;
+
+        for (var i = 0; i < chatEvent.message.length; i++) {
+            var character = chatEvent.message.charAt(i);
+
+            if (character.toLowerCase() !== character.toUpperCase()) {
+                letters++;
+
+                if (character === character.toUpperCase()) {
+                    capitals++;
+                }
+            }
+        }
+
+        if (letters < settings.minLength || capitals / letters < settings.maxCapsRatio) {
+            return null;
+        }
+
+        return "dubbotbase.chatFilter.reasons.caps";
+    },
+
+    flood: function(chatEvent, settings, context) {
+        if (context.getRecentMessages(settings.windowSeconds).length <= settings.maxMessages) {
+            return null;
+        }
+
+        return "dubbotbase.chatFilter.reasons.flood";
+    },
+
+    links: function(chatEvent, settings) {
+        var links = chatEvent.message.match(LINK_PATTERN) || [];
+
+        var forbiddenLinks = links.filter(function(link) {
+            var host = link.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "").replace(/^www\./i, "").toLowerCase();
+
+            return !settings.allowedDomains.some(function(domain) {
+                domain = domain.toLowerCase();
+                return host === domain || host.slice(-domain.length - 1) === "." + domain;
+            });
+        });
+
+        return forbiddenLinks.length > 0 ? "dubbotbase.chatFilter.reasons.links" : null;
+    },
+
+    repeats: function(chatEvent, settings, context) {
+        var message = _normalize(chatEvent.message);
+
+        var repeats = context.getRecentMessages(settings.windowSeconds).filter(function(chat) {
+            return _normalize(chat.message) === message;
+        });
+
+        if (repeats.length < settings.maxRepeats) {
+            return null;
+        }
+
+        return "dubbotbase.chatFilter.reasons.repeats";
+    }
+};
+
+/**
+ * Creates a chat filter. Throws if the settings are invalid.
+ *
+ * @param {object} settings - The DubBotBase.chatFilter section of config
+ */
+function ChatFilter(settings) {
+    this._settings = settings;
+    this._exemptRole = _resolveRole(settings.exemptRole, "DubBotBase.chatFilter.exemptRole");
+    this._lastEnforcementTimes = {}; // maps user IDs to when action was last taken against them
+
+    var bannedWords = settings.detectors.bannedWords;
+    this._compiled = {
+        bannedWords: bannedWords.words.map(function(word) {
+            return new RegExp("(^|\\W)" + _escapeRegExp(word) + "($|\\W)", "i");
+        }).concat(bannedWords.patterns.map(function(pattern) {
+            try {
+                return new RegExp(pattern, "i");
+            }
+            catch (e) {
+                throw new Error("Invalid pattern in DubBotBase.chatFilter.detectors.bannedWords.patterns: " + e.message);
+            }
+        }))
+    };
+
+    this._detectors = {}; // maps detector names to { detect, exemptRole, settings }
+
+    for (var name in BUILT_IN_DETECTORS) {
+        this.addDetector(name, BUILT_IN_DETECTORS[name]);
+    }
+}
+
+/**
+ * Adds a detector to the filter, or replaces the one with the same name.
+ *
+ * @param {string} name - The name of the detector. Its settings are read from
+ *                        DubBotBase.chatFilter.detectors[name] in config.
+ * @param {function} detect - Called as detect(chatEvent, settings, context) for each chat message
+ *                            from a user who isn't exempt. 'context' has a getRecentMessages(windowSeconds)
+ *                            function, which returns the sender's messages from roomState.chatHistory
+ *                            (newest first, including this one), and the 'globalObject'. Should return the
+ *                            key of a message in the message catalog which says what's wrong with the
+ *                            message, such as "dubbotbase.chatFilter.reasons.caps", or null if nothing is.
+ * @param {object} defaultSettings - Optional. Settings to use where config doesn't give any. Every
+ *                                   detector needs an 'action'; detectors are enabled unless
+ *                                   'enabled' is false.
+ */
+ChatFilter.prototype.addDetector = function(name, detect, defaultSettings) {
+    if (typeof detect !== "function") {
+        throw new Error("The chat filter detector '" + name + "' must be a function");
+    }
+
+    var settings = {};
+    var configured = this._settings.detectors[name] || {};
+    var key;
+
+    for (key in defaultSettings || {}) {
+        settings[key] = defaultSettings[key];
+    }
+
+    for (key in configured) {
+        settings[key] = configured[key];
+    }
+
+    if (ACTION_SEVERITIES.indexOf(settings.action) < 0) {
+        throw new Error("The chat filter detector '" + name + "' has no valid action; expected one of " + ACTION_SEVERITIES.join(", "));
+    }
+
+    this._detectors[name] = {
+        detect: detect,
+        exemptRole: settings.exemptRole ? _resolveRole(settings.exemptRole, "the exemptRole of chat filter detector '" + name + "'") : this._exemptRole,
+        settings: settings
+    };
+}
+
+/**
+ * Checks a chat message against every enabled detector.
+ *
+ * @param {object} chatEvent - The chat event
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @returns {array} An object for each detector the message breaks, with the 'detector' name, the
+ *                  'action' to take and the 'reason' it gave, in the room's locale; empty if the
+ *                  message is fine
+ */
+ChatFilter.prototype.check = function(chatEvent, globalObject) {
+    var context = this._createContext(chatEvent, globalObject);
+    var matches = [];
+
+    for (var name in this._detectors) {
+        var detector = this._detectors[name];
+
+        if (detector.settings.enabled === false) {
+            continue;
+        }
+
+        if (detector.exemptRole && chatEvent.userRole && chatEvent.userRole.level >= detector.exemptRole.level) {
+            continue;
+        }
+
+        var reasonKey = detector.detect(chatEvent, detector.settings, context);
+
+        if (reasonKey) {
+            matches.push({ action: detector.settings.action, detector: name, reason: _describe(reasonKey, name, globalObject) });
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Creates a handler for the CHAT event which checks each message and acts on it. It should
+ * be subscribed after StateTracker (so the message is already in the chat history) and
+ * before anything else.
+ *
+ * When action other than a warning is taken, the chat event is given a 'filterViolation' with
+ * the 'detector', 'action' and 'reason', and commands in the message aren't run.
+ *
+ * @returns {function} An event handler
+ */
+ChatFilter.prototype.createChatHandler = function() {
+    return (function(chatEvent, globalObject) {
+        if (chatEvent.isMuted || chatEvent.userID === globalObject.bot.bot.getSelf().id) {
+            return;
+        }
+
+        var matches = this.check(chatEvent, globalObject);
+
+        if (matches.length === 0) {
+            return;
+        }
+
+        // Act on the most severe match
+        var match = matches.reduce(function(worst, candidate) {
+            return ACTION_SEVERITIES.indexOf(candidate.action) > ACTION_SEVERITIES.indexOf(worst.action) ? candidate : worst;
+        });
+
+        if (this._settings.dryRun) {
+            LOG.info("[Dry run] Would take action '{}' against {} for message '{}' (detectors: {})", match.action, chatEvent.username,
+                     chatEvent.message, matches.map(function(m) { return m.detector; }).join(", "));
+            return;
+        }
+
+        if (match.action !== ChatFilterAction.WARN) {
+            chatEvent.filterViolation = match;
+        }
+
+        this._lastEnforcementTimes[chatEvent.userID] = Date.now();
+        this._enforce(chatEvent, match, globalObject);
+    }).bind(this);
+}
+
+/**
+ * Removes a detector from the filter.
+ *
+ * @param {string} name - The name of the detector
+ * @returns {boolean} True if there was a detector with that name
+ */
+ChatFilter.prototype.removeDetector = function(name) {
+    if (!this._detectors[name]) {
+        return false;
+    }
+
+    delete this._detectors[name];
+    return true;
+}
+
+ChatFilter.prototype._createContext = function(chatEvent, globalObject) {
+    var lastEnforcementTime = this._lastEnforcementTimes[chatEvent.userID] || 0;
+
+    return {
+        compiled: this._compiled,
+        getRecentMessages: function(windowSeconds) {
+            var since = Math.max(Date.now() - windowSeconds * 1000, lastEnforcementTime + 1);
+
+            return globalObject.roomState.chatHistory.filter(function(chat) {
+                return chat.userID === chatEvent.userID && chat.timestamp >= since;
+            });
+        },
+        globalObject: globalObject
+    };
+}
+
+ChatFilter.prototype._enforce = function(chatEvent, match, globalObject) {
+    var bot = globalObject.bot;
+    var settings = this._settings;
+    var username = chatEvent.username;
+
+    LOG.info("Taking action '{}' against {} for message '{}' (detector: {})", match.action, username, chatEvent.message, match.detector);
+
+    if (match.action === ChatFilterAction.WARN) {
+        bot.sendMessage("dubbotbase.chatFilter.warned", username, match.reason);
+        return;
+    }
+
+    var onFailure = function(err) {
+        LOG.warn("Unable to take action '{}' against {}. Error: {}", match.action, username, err.message || err);
+    };
+
+    bot.deleteChatMessage(chatEvent.chatID).catch(onFailure);
+
+    if (match.action === ChatFilterAction.DELETE) {
+        bot.sendMessage("dubbotbase.chatFilter.deleted", username, match.reason);
+    }
+    else if (match.action === ChatFilterAction.MUTE) {
+        bot.sendMessage("dubbotbase.chatFilter.muted", username, match.reason);
+
+        bot.muteUser(chatEvent.userID).then(function() {
+            if (settings.muteDurationMinutes > 0 && globalObject.scheduler) {
+                // Persisted, so the user is still unmuted if the bot restarts in the meantime
+                globalObject.scheduler.runAfter(settings.muteDurationMinutes * 60, UNMUTE_TASK, {
+                    data: { userID: chatEvent.userID },
+                    persist: true
+                });
+            }
+        }).catch(onFailure);
+    }
+    else if (match.action === ChatFilterAction.BAN) {
+        bot.sendMessage("dubbotbase.chatFilter.banned", username, match.reason);
+        bot.banUser(chatEvent.userID, settings.banDurationMinutes).catch(onFailure);
+    }
+}
+
+/**
+ * Looks up the message a detector gave as its reason, falling back to the key itself so
+ * that the user is still told something.
+ */
+function _describe(reasonKey, detectorName, globalObject) {
+    var reason = globalObject.messageCatalog ? globalObject.messageCatalog.format(reasonKey) : null;
+
+    if (reason === null) {
+        LOG.warn("The chat filter detector '{}' gave the reason '{}', which isn't the key of any message", detectorName, reasonKey);
+        return reasonKey;
+    }
+
+    return reason;
+}
+
+/**
+ * Defines the scheduler task which unmutes users once their mute is up. It should be defined
+ * whether or not the chat filter is enabled, so that mutes from before a restart are still lifted.
+ *
+ * @param {Scheduler} scheduler - The bot's scheduler
+ */
+function defineTasks(scheduler) {
+    scheduler.defineTask(UNMUTE_TASK, function(job, globalObject) {
+        globalObject.bot.unmuteUser(job.data.userID).catch(function(err) {
+            LOG.warn("Unable to unmute user {} after their mute was up. Error: {}", job.data.userID, err.message || err);
+        });
+    });
+}
+
+function _escapeRegExp(string) {
+    return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Makes messages which differ only in case or spacing compare equal.
+ */
+function _normalize(message) {
+    return message.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function _resolveRole(roleName, description) {
+    if (!roleName) {
+        return null;
+    }
+
+    for (var key in Types.UserRole) {
+        if (Types.UserRole[key].name === roleName) {
+            return Types.UserRole[key];
+        }
+    }
+
+    throw new Error("Unknown role '" + roleName + "' in " + description);
+}
+
+module.exports = {
+    ChatFilter: ChatFilter,
+    ChatFilterAction: ChatFilterAction,
+    defineTasks: defineTasks
+};
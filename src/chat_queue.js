@@ -0,0 +1,293 @@
+"use strict";
+
+/**
+ * Queues the bot's outgoing chat messages, so that bursts of messages go out
+ * at a steady rate rather than being dropped or rate-limited by dubtrack.fm.
+ *
+ * Messages are sent in priority order (highest first), and in the order they
+ * were queued within each priority. Messages longer than the maximum length are
+ * split on word boundaries, and if duplicateWindowSeconds is set, a message identical
+ * to one queued recently is dropped rather than sent twice.
+ */
+
+var Errors = require("./errors");
+var Log = require("./log");
+var Types = require("./types");
+
+var LOG = new Log("ChatQueue");
+
+/**
+ * Creates a new, empty chat queue.
+ *
+ * @param {function} send - Sends a single message immediately. Must return a Promise
+ *                          which resolves once the message has been sent.
+ * @param {object} options - Optional. May contain any of the following (see DubBotBase.chatQueue in config):
+ *                           millisecondsBetweenMessages, maxMessageLength,
+ *                           duplicateWindowSeconds and maxQueuedMessages
+ */
+function ChatQueue(send, options) {
+    options = options || {};
+
+    this._send = send;
+    this._millisecondsBetweenMessages = typeof options.millisecondsBetweenMessages === "number" ? options.millisecondsBetweenMessages : 1000;
+    this._maxMessageLength = options.maxMessageLength || 255;
+    this._duplicateWindowMs = (options.duplicateWindowSeconds || 0) * 1000;
+    this._maxQueuedMessages = options.maxQueuedMessages || 0;
+
+    this._lastSendTime = 0;
+    this._pending = [];
+    this._recentMessages = Object.create(null); // maps message text to the last time it was queued
+    this._timer = null;
+}
+
+/**
+ * Adds a message to the queue.
+ *
+ * @param {string} message - The message to send
+ * @param {integer} priority - Optional. A value from the ChatPriority enum (default NORMAL)
+ * @returns {Promise} Resolves once every part of the message has been sent. Rejects with a
+ *                    BotActionError if the message is dropped or can't be sent.
+ */
+ChatQueue.prototype.enqueue = function(message, priority) {
+    if (typeof priority !== "number") {
+        priority = Types.ChatPriority.NORMAL;
+    }
+
+    return new Promise((function(resolve, reject) {
+        var now = Date.now();
+
+        if (this._isDuplicate(message, now)) {
+            reject(_droppedError("it duplicates a message queued within the last " + (this._duplicateWindowMs / 1000) + " seconds"));
+            return;
+        }
+
+        var parts = splitMessage(message, this._maxMessageLength);
+
+        if (parts.length === 0) {
+            reject(_droppedError("it is empty"));
+            return;
+        }
+
+        var group = {
+            reject: reject,
+            remainingParts: parts.length,
+            resolve: resolve
+        };
+
+        for (var i = 0; i < parts.length; i++) {
+            this._insert({
+                enqueuedAt: now,
+                group: group,
+                priority: priority,
+                text: parts[i]
+            });
+        }
+
+        this._recentMessages[message] = now;
+        this._enforceMaxLength();
+        this._scheduleNext();
+    }).bind(this));
+}
+
+/**
+ * Discards every message in the queue without sending it. The Promises for those
+ * messages are rejected.
+ *
+ * @returns {integer} The number of messages discarded
+ */
+ChatQueue.prototype.clear = function() {
+    var discarded = this._pending;
+    this._pending = [];
+
+    for (var i = 0; i < discarded.length; i++) {
+        _failGroup(discarded[i].group, _droppedError("the chat queue was cleared"));
+    }
+
+    this._cancelTimer();
+    return discarded.length;
+}
+
+/**
+ * Immediately sends every message in the queue, ignoring the send rate.
+ *
+ * @returns {integer} The number of messages sent
+ */
+ChatQueue.prototype.flush = function() {
+    var count = this._pending.length;
+
+    this._cancelTimer();
+    while (this._pending.length > 0) {
+        this._sendEntry(this._pending.shift());
+    }
+
+    return count;
+}
+
+/**
+ * Returns the messages waiting to be sent, in the order they'll be sent.
+ *
+ * @returns {array} An array of { text, priority, enqueuedAt } objects
+ */
+ChatQueue.prototype.getPending = function() {
+    return this._pending.map(function(entry) {
+        return {
+            enqueuedAt: entry.enqueuedAt,
+            priority: entry.priority,
+            text: entry.text
+        };
+    });
+}
+
+ChatQueue.prototype._cancelTimer = function() {
+    if (this._timer) {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+}
+
+/**
+ * If the queue has grown past its maximum length, drops messages from the back
+ * of the queue (lowest priority, most recently queued) until it fits again.
+ */
+ChatQueue.prototype._enforceMaxLength = function() {
+    if (!this._maxQueuedMessages) {
+        return;
+    }
+
+    while (this._pending.length > this._maxQueuedMessages) {
+        var dropped = this._pending.pop();
+        LOG.warn("Chat queue is full; dropping message: {}", dropped.text);
+        _failGroup(dropped.group, _droppedError("the chat queue is full"));
+    }
+}
+
+/**
+ * Inserts an entry after every entry with the same or higher priority.
+ */
+ChatQueue.prototype._insert = function(entry) {
+    var index = this._pending.length;
+
+    while (index > 0 && this._pending[index - 1].priority < entry.priority) {
+        index--;
+    }
+
+    this._pending.splice(index, 0, entry);
+}
+
+ChatQueue.prototype._isDuplicate = function(message, now) {
+    if (!this._duplicateWindowMs) {
+        return false;
+    }
+
+    // Prune anything old, so this map doesn't grow forever
+    for (var text in this._recentMessages) {
+        if (now - this._recentMessages[text] >= this._duplicateWindowMs) {
+            delete this._recentMessages[text];
+        }
+    }
+
+    return message in this._recentMessages;
+}
+
+ChatQueue.prototype._scheduleNext = function() {
+    if (this._timer || this._pending.length === 0) {
+        return;
+    }
+
+    var delay = Math.max(0, this._lastSendTime + this._millisecondsBetweenMessages - Date.now());
+
+    this._timer = setTimeout((function() {
+        this._timer = null;
+
+        if (this._pending.length > 0) {
+            this._sendEntry(this._pending.shift());
+        }
+
+        this._scheduleNext();
+    }).bind(this), delay);
+}
+
+ChatQueue.prototype._sendEntry = function(entry) {
+    var group = entry.group;
+
+    this._lastSendTime = Date.now();
+
+    if (group.failed) {
+        return;
+    }
+
+    this._send(entry.text).then((function() {
+        group.remainingParts--;
+
+        if (group.remainingParts === 0) {
+            group.resolve();
+        }
+    }).bind(this), (function(err) {
+        // Don't send the rest of a message which is already incomplete
+        this._pending = this._pending.filter(function(other) {
+            return other.group !== group;
+        });
+
+        _failGroup(group, err);
+    }).bind(this));
+}
+
+/**
+ * Splits a message into parts no longer than the maximum length, breaking on
+ * whitespace where possible. Words longer than the maximum length are broken up.
+ * Messages which are short enough are left exactly as they are, and whitespace
+ * within each part is kept, so line breaks and spacing survive.
+ *
+ * @param {string} message - The message to split
+ * @param {integer} maxLength - The maximum length of each part
+ * @returns {array} The parts of the message, in order; empty if the message is blank
+ */
+function splitMessage(message, maxLength) {
+    if (!message.trim()) {
+        return [];
+    }
+
+    if (message.length <= maxLength) {
+        return [message];
+    }
+
+    var parts = [];
+    var remaining = message.trim();
+
+    while (remaining.length > maxLength) {
+        // Break at the last whitespace which keeps the part short enough, or mid-word if there's none
+        var breakIndex = maxLength;
+
+        while (breakIndex > 0 && !/\s/.test(remaining.charAt(breakIndex))) {
+            breakIndex--;
+        }
+
+        var part = remaining.substring(0, breakIndex || maxLength);
+
+        parts.push(part.replace(/\s+$/, ""));
+        remaining = remaining.substring(part.length).replace(/^\s+/, "");
+    }
+
+    if (remaining) {
+        parts.push(remaining);
+    }
+
+    return parts;
+}
+
+function _droppedError(why) {
+    return new Errors.BotActionError("sendChat", Types.ActionFailureReason.MESSAGE_DROPPED, "Message was dropped because " + why);
+}
+
+function _failGroup(group, err) {
+    if (group.failed) {
+        return;
+    }
+
+    group.failed = true;
+    group.reject(err);
+}
+
+ChatQueue.splitMessage = splitMessage;
+
+module.exports = ChatQueue;
@@ -0,0 +1,471 @@
+"use strict";
+
+/**
+ * Parses and validates chat command arguments against a declarative spec,
+ * so that command modules don't have to pick apart chatEvent.args by hand.
+ *
+ * A command declares its arguments by exporting an 'args' array. Each entry
+ * describes one argument:
+ *
+ *     name     - Required. The key the parsed value is stored under
+ *     type     - One of the keys of ARG_TYPES (default "string")
+ *     optional - If true, the argument may be omitted
+ *     default  - The value to use when an optional argument is omitted
+ *     rest     - If true, the argument consumes all remaining positional input.
+ *                Only the last positional argument may be a rest argument.
+ *     named    - If true, the argument is given by name, as "--name value" or
+ *                "--name=value", instead of by position. Named booleans may be
+ *                given as just "--name".
+ *     choices  - For strings, a list of the only acceptable values
+ *     min/max  - For integers, numbers and durations, the acceptable range (inclusive)
+ *
+ * @example <caption>A command which takes a user, an optional duration and a reason.</caption>
+ * exports.triggers = ["mute"];
+ * exports.args = [
+ *     { name: "target", type: "username" },
+ *     { name: "length", type: "duration", optional: true, default: 300, max: 3600 },
+ *     { name: "reason", type: "string", rest: true, optional: true },
+ *     { name: "silent", type: "boolean", named: true, optional: true, default: false }
+ * ];
+ * exports.handler = function(chatEvent, globalObject) {
+ *     // chatEvent.parsedArgs.target is a user from roomState.usersInRoom
+ *     // chatEvent.parsedArgs.length is a number of seconds
+ * };
+ */
+
+var CommandRouter = require("./command_router");
+var Utils = require("./utils");
+
+var DURATION_UNITS = {
+    s: 1,
+    m: 60,
+    h: 3600,
+    d: 86400
+};
+
+/**
+ * Each type takes the raw string token and the global object, and returns
+ * either { value: parsedValue } or { error: "human-readable reason" }.
+ */
+var ARG_TYPES = {
+    boolean: _parseBoolean,
+    duration: _parseDuration,
+    integer: _parseInteger,
+    mention: _parseMention,
+    number: _parseNumber,
+    string: _parseString,
+    username: _parseUsername
+};
+
+/**
+ * Checks that an argument spec is well-formed. Called when a command is registered,
+ * so mistakes in a spec are found at startup rather than the first time someone uses
+ * the command.
+ *
+ * @param {array} spec - The 'args' array exported by a command module
+ * @throws {Error} If the spec is invalid
+ */
+function validateSpec(spec) {
+    if (!Array.isArray(spec)) {
+        throw new Error("Command 'args' must be an array");
+    }
+
+    var names = [];
+    var positionals = spec.filter(function(arg) { return !arg.named; });
+
+    for (var i = 0; i < spec.length; i++) {
+        var arg = spec[i];
+
+        Utils.checkHasType(arg.name, "string", "Every entry in 'args' must have a string 'name', but found {{actual}}");
+
+        if (names.indexOf(arg.name) >= 0) {
+            throw new Error("Argument '" + arg.name + "' is declared more than once");
+        }
+
+        if (arg.type && !ARG_TYPES[arg.type]) {
+            throw new Error("Argument '" + arg.name + "' has unknown type '" + arg.type + "'. Known types: " + Object.keys(ARG_TYPES).join(", "));
+        }
+
+        if (arg.rest && arg.named) {
+            throw new Error("Argument '" + arg.name + "' can't be both named and rest");
+        }
+
+        names.push(arg.name);
+    }
+
+    var seenOptional = false;
+    for (i = 0; i < positionals.length; i++) {
+        if (positionals[i].rest && i !== positionals.length - 1) {
+            throw new Error("Argument '" + positionals[i].name + "' is a rest argument, but isn't the last positional argument");
+        }
+
+        if (seenOptional && !positionals[i].optional) {
+            throw new Error("Required argument '" + positionals[i].name + "' can't follow an optional argument");
+        }
+
+        seenOptional = seenOptional || !!positionals[i].optional;
+    }
+}
+
+/**
+ * Parses the argument text of a chat command according to a spec.
+ *
+ * @param {array} spec - The 'args' array exported by a command module
+ * @param {string} argsText - Everything in the chat message after the command itself
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @returns {object} An object with either 'values' (a map from argument name to parsed value)
+ *                   or 'error' (a message describing what was wrong with the input)
+ */
+function parse(spec, argsText, globalObject) {
+    var tokens;
+    try {
+        tokens = tokenize(argsText || "");
+    }
+    catch (e) {
+        return { error: e.message };
+    }
+
+    var values = {};
+    var positionalTokens = [];
+
+    // Named arguments can appear anywhere, so pull them out first
+    for (var i = 0; i < tokens.length; i++) {
+        var token = tokens[i];
+
+        if (token.quoted || token.text.indexOf("--") !== 0 || token.text.length <= 2) {
+            positionalTokens.push(token.text);
+            continue;
+        }
+
+        var nameAndValue = token.text.substring(2).split("=");
+        var name = nameAndValue[0];
+        var namedArg = _findNamedArg(spec, name);
+
+        if (!namedArg) {
+            return { error: "Unknown option --" + name };
+        }
+
+        var rawValue;
+        if (nameAndValue.length > 1) {
+            rawValue = nameAndValue.slice(1).join("=");
+        }
+        else if ((namedArg.type || "string") === "boolean") {
+            rawValue = "true";
+        }
+        else if (i + 1 < tokens.length) {
+            rawValue = tokens[++i].text;
+        }
+        else {
+            return { error: "Option --" + name + " needs a value" };
+        }
+
+        var namedResult = _convert(namedArg, rawValue, globalObject);
+        if (namedResult.error) {
+            return namedResult;
+        }
+
+        values[namedArg.name] = namedResult.value;
+    }
+
+    var positionalIndex = 0;
+    for (i = 0; i < spec.length; i++) {
+        var arg = spec[i];
+
+        if (arg.named) {
+            if (!(arg.name in values)) {
+                if (!arg.optional) {
+                    return { error: "Missing required option --" + arg.name };
+                }
+
+                values[arg.name] = arg.default;
+            }
+
+            continue;
+        }
+
+        if (positionalIndex >= positionalTokens.length) {
+            if (!arg.optional) {
+                return { error: "Missing required argument <" + arg.name + ">" };
+            }
+
+            values[arg.name] = arg.default;
+            continue;
+        }
+
+        if (arg.rest) {
+            var restTokens = positionalTokens.slice(positionalIndex);
+            positionalIndex = positionalTokens.length;
+
+            var restResult = _convertRest(arg, restTokens, globalObject);
+            if (restResult.error) {
+                return restResult;
+            }
+
+            values[arg.name] = restResult.value;
+            continue;
+        }
+
+        var result = _convert(arg, positionalTokens[positionalIndex++], globalObject);
+        if (result.error) {
+            return result;
+        }
+
+        values[arg.name] = result.value;
+    }
+
+    if (positionalIndex < positionalTokens.length) {
+        return { error: "Too many arguments" };
+    }
+
+    return { values: values };
+}
+
+/**
+ * Produces a usage string for a command, such as "!mute <target> [length] [reason...] [--silent]".
+ *
+ * @param {string} trigger - The trigger to show in the usage string
+ * @param {array} spec - The 'args' array exported by the command module
+ * @param {string} prefix - Optional. The command prefix to show (default "!")
+ * @returns {string} A usage string suitable for sending to chat
+ */
+function formatUsage(trigger, spec, prefix) {
+    var parts = [CommandRouter.formatCommand(prefix || "!", trigger)];
+
+    for (var i = 0; i < (spec || []).length; i++) {
+        var arg = spec[i];
+        var text;
+
+        if (arg.named) {
+            text = "--" + arg.name + ((arg.type || "string") === "boolean" ? "" : " <" + (arg.type || "value") + ">");
+        }
+        else {
+            text = arg.name + (arg.rest ? "..." : "");
+        }
+
+        if (arg.optional) {
+            parts.push("[" + text + "]");
+        }
+        else {
+            parts.push(arg.named ? text : "<" + text + ">");
+        }
+    }
+
+    return parts.join(" ");
+}
+
+/**
+ * Splits argument text into tokens on whitespace, treating anything in single or
+ * double quotes as a single token. A backslash escapes the character after it.
+ *
+ * @param {string} text - The text to split
+ * @returns {array} An array of { text, quoted } objects
+ * @throws {Error} If a quote is left unclosed
+ */
+function tokenize(text) {
+    var tokens = [];
+    var current = null;
+    var quoteChar = null;
+
+    for (var i = 0; i < text.length; i++) {
+        var c = text[i];
+
+        if (c === "\\" && i + 1 < text.length) {
+            current = current || { text: "", quoted: false };
+            current.text += text[++i];
+        }
+        else if (quoteChar) {
+            if (c === quoteChar) {
+                quoteChar = null;
+            }
+            else {
+                current.text += c;
+            }
+        }
+        else if (c === "\"" || c === "'") {
+            current = current || { text: "", quoted: true };
+            current.quoted = true;
+            quoteChar = c;
+        }
+        else if (/\s/.test(c)) {
+            if (current) {
+                tokens.push(current);
+                current = null;
+            }
+        }
+        else {
+            current = current || { text: "", quoted: false };
+            current.text += c;
+        }
+    }
+
+    if (quoteChar) {
+        throw new Error("Missing closing quote (" + quoteChar + ")");
+    }
+
+    if (current) {
+        tokens.push(current);
+    }
+
+    return tokens;
+}
+
+function _convert(arg, rawValue, globalObject) {
+    var result = ARG_TYPES[arg.type || "string"](rawValue, arg, globalObject);
+
+    if (result.error) {
+        result.error = "Invalid value for <" + arg.name + ">: " + result.error;
+    }
+
+    return result;
+}
+
+function _convertRest(arg, rawValues, globalObject) {
+    if ((arg.type || "string") === "string") {
+        return _convert(arg, rawValues.join(" "), globalObject);
+    }
+
+    var values = [];
+    for (var i = 0; i < rawValues.length; i++) {
+        var result = _convert(arg, rawValues[i], globalObject);
+        if (result.error) {
+            return result;
+        }
+
+        values.push(result.value);
+    }
+
+    return { value: values };
+}
+
+function _findNamedArg(spec, name) {
+    for (var i = 0; i < spec.length; i++) {
+        if (spec[i].named && spec[i].name === name) {
+            return spec[i];
+        }
+    }
+
+    return null;
+}
+
+function _checkRange(value, arg, raw) {
+    if (typeof arg.min === "number" && value < arg.min) {
+        return { error: "'" + raw + "' is below the minimum of " + arg.min };
+    }
+
+    if (typeof arg.max === "number" && value > arg.max) {
+        return { error: "'" + raw + "' is above the maximum of " + arg.max };
+    }
+
+    return { value: value };
+}
+
+function _findUserByName(name, globalObject) {
+    var users = globalObject.roomState ? globalObject.roomState.usersInRoom : [];
+    var lowerName = name.toLowerCase();
+
+    for (var i = 0; i < users.length; i++) {
+        if (users[i].username && users[i].username.toLowerCase() === lowerName) {
+            return users[i];
+        }
+    }
+
+    return null;
+}
+
+// =============================
+// Type parsers
+// =============================
+
+function _parseBoolean(raw) {
+    var lower = raw.toLowerCase();
+
+    if (["true", "yes", "on", "1"].indexOf(lower) >= 0) {
+        return { value: true };
+    }
+
+    if (["false", "no", "off", "0"].indexOf(lower) >= 0) {
+        return { value: false };
+    }
+
+    return { error: "'" + raw + "' is not yes or no" };
+}
+
+/**
+ * Durations are returned in seconds. They may be a plain number of seconds,
+ * or a sequence of number/unit pairs such as "90s", "5m" or "1h30m".
+ */
+function _parseDuration(raw, arg) {
+    var lower = raw.toLowerCase();
+    var seconds;
+
+    if (/^\d+$/.test(lower)) {
+        seconds = parseInt(lower, 10);
+    }
+    else if (/^(\d+[smhd])+$/.test(lower)) {
+        seconds = 0;
+        var parts = lower.match(/\d+[smhd]/g);
+
+        for (var i = 0; i < parts.length; i++) {
+            var unit = parts[i][parts[i].length - 1];
+            seconds += parseInt(parts[i], 10) * DURATION_UNITS[unit];
+        }
+    }
+    else {
+        return { error: "'" + raw + "' is not a duration (try something like 90s, 5m or 1h30m)" };
+    }
+
+    return _checkRange(seconds, arg, raw);
+}
+
+function _parseInteger(raw, arg) {
+    if (!/^[-+]?\d+$/.test(raw)) {
+        return { error: "'" + raw + "' is not a whole number" };
+    }
+
+    return _checkRange(parseInt(raw, 10), arg, raw);
+}
+
+function _parseMention(raw, arg, globalObject) {
+    if (raw[0] !== "@") {
+        return { error: "'" + raw + "' is not an @mention" };
+    }
+
+    return _parseUsername(raw, arg, globalObject);
+}
+
+function _parseNumber(raw, arg) {
+    var value = Number(raw);
+
+    if (!raw.trim() || !isFinite(value)) {
+        return { error: "'" + raw + "' is not a number" };
+    }
+
+    return _checkRange(value, arg, raw);
+}
+
+function _parseString(raw, arg) {
+    if (arg.choices && arg.choices.indexOf(raw) < 0) {
+        return { error: "'" + raw + "' must be one of: " + arg.choices.join(", ") };
+    }
+
+    return { value: raw };
+}
+
+function _parseUsername(raw, arg, globalObject) {
+    var name = raw[0] === "@" ? raw.substring(1) : raw;
+    var user = _findUserByName(name, globalObject);
+
+    if (!user) {
+        return { error: "nobody named '" + name + "' is in the room" };
+    }
+
+    return { value: user };
+}
+
+module.exports = {
+    ARG_TYPES: ARG_TYPES,
+    formatUsage: formatUsage,
+    parse: parse,
+    tokenize: tokenize,
+    validateSpec: validateSpec
+};
@@ -0,0 +1,187 @@
+"use strict";
+
+/**
+ * Works out which command a chat command refers to, taking aliases and subcommands
+ * into account.
+ *
+ * Aliases come from DubBotBase.commandAliases in config, which maps new trigger words
+ * to existing commands, e.g. { "np": "nowplaying", "qa": "queue add" }. An alias is
+ * expanded as though the user had typed its target, so aliases can point at subcommands.
+ *
+ * Subcommands let a single command module handle several related commands, such as
+ * "!queue add" and "!queue remove". A command module may export 'subcommands', which maps
+ * each subcommand's name to an object shaped like a command module: it may have its own
+ * handler, args, minimumRole, throttle, description and even subcommands of its own. Anything
+ * a subcommand doesn't specify (such as minimumRole or throttledHandler) is inherited from its
+ * parent. A parent needs no handler of its own if it has subcommands.
+ */
+
+// Properties a subcommand takes from its parent unless it has its own
+var INHERITED_PROPERTIES = ["context", "insufficientPermissionsHandler", "minimumRole", "throttle", "throttledHandler"];
+
+/**
+ * Returns a copy of a command event with the command's arguments replaced.
+ *
+ * @param {object} chatEvent - The original chat event
+ * @param {string} command - The command word
+ * @param {string} argsText - The new text following the command
+ * @returns {object} The updated copy of the event
+ */
+function withArguments(chatEvent, command, argsText) {
+    var copy = {};
+
+    for (var key in chatEvent) {
+        copy[key] = chatEvent[key];
+    }
+
+    copy.command = command;
+    copy.argsText = argsText;
+    copy.args = argsText ? argsText.split(/\s+/) : [];
+
+    return copy;
+}
+
+/**
+ * Expands a command alias, if the chat command uses one. Aliases never override the
+ * triggers of registered commands.
+ *
+ * @param {object} chatEvent - The chat event for the command
+ * @param {object} aliases - Maps alias words to the command text they stand for
+ * @param {array} commands - The registered command modules
+ * @param {boolean} isCaseSensitive - Whether command names are case sensitive
+ * @returns {object} The chat event with the alias expanded, or the original event if there was no alias
+ */
+function expandAlias(chatEvent, aliases, commands, isCaseSensitive) {
+    if (findCommand(commands, chatEvent.command, isCaseSensitive)) {
+        return chatEvent;
+    }
+
+    var alias = _findKey(aliases || {}, chatEvent.command, isCaseSensitive);
+
+    if (!alias) {
+        return chatEvent;
+    }
+
+    var target = aliases[alias].trim().split(/\s+/);
+    var argsText = target.slice(1).concat(chatEvent.argsText ? [chatEvent.argsText] : []).join(" ");
+
+    var expanded = withArguments(chatEvent, target[0], argsText);
+    expanded.alias = chatEvent.command; // the alias the user typed
+    return expanded;
+}
+
+/**
+ * Finds the first registered command with the given trigger.
+ *
+ * @param {array} commands - The registered command modules
+ * @param {string} name - The trigger to look for
+ * @param {boolean} isCaseSensitive - Whether command names are case sensitive
+ * @returns {object} The command module, or null if none matches
+ */
+function findCommand(commands, name, isCaseSensitive) {
+    if (!isCaseSensitive) {
+        name = name.toLowerCase();
+    }
+
+    for (var i = 0; i < commands.length; i++) {
+        if (commands[i].triggers.indexOf(name) >= 0) {
+            return commands[i];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Formats how to invoke a command with a prefix, e.g. "!skip" or "@mybot skip".
+ *
+ * @param {string} prefix - The command prefix
+ * @param {string} name - The command, including any subcommands
+ * @returns {string} The formatted command
+ */
+function formatCommand(prefix, name) {
+    return prefix + (/\w$/.test(prefix) ? " " : "") + name;
+}
+
+/**
+ * Creates the command object for one of a command's subcommands, filling in
+ * whatever the subcommand inherits from its parent. Its single trigger is the
+ * full name of the subcommand, such as "queue add", which is also what its
+ * cooldowns are tracked under.
+ *
+ * @param {object} parent - The parent command
+ * @param {string} name - The name of the subcommand
+ * @returns {object} The subcommand
+ */
+function getSubcommand(parent, name) {
+    var spec = parent.subcommands[name];
+    var subcommand = {};
+    var key;
+
+    for (var i = 0; i < INHERITED_PROPERTIES.length; i++) {
+        key = INHERITED_PROPERTIES[i];
+        if (key in parent) {
+            subcommand[key] = parent[key];
+        }
+    }
+
+    for (key in spec) {
+        subcommand[key] = spec[key];
+    }
+
+    subcommand.parent = parent;
+    subcommand.triggers = [parent.triggers[0] + " " + name];
+    return subcommand;
+}
+
+/**
+ * Follows a command's subcommands as far as the words of the chat command allow.
+ * For "!queue add song", this returns the "queue add" subcommand with "song" as
+ * its arguments.
+ *
+ * @param {object} command - The top-level command which was matched
+ * @param {object} chatEvent - The chat event for the command
+ * @param {boolean} isCaseSensitive - Whether subcommand names are case sensitive
+ * @returns {object} An object with 'command' (the deepest matching command or subcommand)
+ *                   and 'chatEvent' (the event, with arguments following that subcommand)
+ */
+function resolveSubcommand(command, chatEvent, isCaseSensitive) {
+    var resolved = { chatEvent: chatEvent, command: command };
+
+    while (resolved.command.subcommands && resolved.chatEvent.args.length > 0) {
+        var word = resolved.chatEvent.args[0];
+        var name = _findKey(resolved.command.subcommands, word, isCaseSensitive);
+
+        if (!name) {
+            break;
+        }
+
+        var argsText = resolved.chatEvent.argsText.substring(word.length).trim();
+
+        resolved = {
+            chatEvent: withArguments(resolved.chatEvent, resolved.chatEvent.command, argsText),
+            command: getSubcommand(resolved.command, name)
+        };
+    }
+
+    return resolved;
+}
+
+function _findKey(object, name, isCaseSensitive) {
+    for (var key in object) {
+        if (key === name || (!isCaseSensitive && key.toLowerCase() === name.toLowerCase())) {
+            return key;
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    expandAlias: expandAlias,
+    findCommand: findCommand,
+    formatCommand: formatCommand,
+    getSubcommand: getSubcommand,
+    resolveSubcommand: resolveSubcommand,
+    withArguments: withArguments
+};
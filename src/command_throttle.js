@@ -0,0 +1,221 @@
+"use strict";
+
+/**
+ * Enforces cooldowns and rate limits on chat commands, so a single user
+ * can't make the bot flood the room.
+ *
+ * Throttle settings come from three places, each overriding the one before:
+ *
+ * 1) config.DubBotBase.commandThrottling, which sets defaults for every command
+ * 2) A 'throttle' object exported by the command module
+ * 3) config.DubBotBase.commandThrottling.overrides[trigger], for any of the command's triggers
+ *
+ * All three use the same keys:
+ *
+ *     globalCooldownSeconds  - How long after anyone uses the command before it can be used again
+ *     perUserCooldownSeconds - How long after a user uses the command before that user can use it again
+ *     maxUsesPerWindow       - How many times a single user may use the command within windowSeconds
+ *                              (0 for no limit)
+ *     windowSeconds          - The length of the window for maxUsesPerWindow
+ *     exemptRole             - Users with at least this role are never throttled. May be an object
+ *                              from the UserRole enum, or the name of a role (e.g. "mod"). Null
+ *                              means nobody is exempt.
+ */
+
+var Types = require("./types");
+
+var THROTTLE_KEYS = [
+    "exemptRole",
+    "globalCooldownSeconds",
+    "maxUsesPerWindow",
+    "perUserCooldownSeconds",
+    "windowSeconds"
+];
+
+var ThrottleReason = {
+    GLOBAL_COOLDOWN: "globalCooldown", // the command was used too recently by anyone
+    RATE_LIMIT: "rateLimit", // the user has used the command too many times within the window
+    USER_COOLDOWN: "userCooldown" // the command was used too recently by this user
+};
+
+/**
+ * Creates a new throttle with no usage history.
+ */
+function CommandThrottle() {
+    this._usage = {}; // maps a command's key to { lastUse, lastUseByUser, usesByUser }
+}
+
+/**
+ * Determines whether a user is currently allowed to invoke a command.
+ *
+ * @param {object} command - The command module being invoked
+ * @param {object} chatEvent - The chat event which triggered the command
+ * @param {object} config - The bot's configuration
+ * @returns {object} Null if the command may run; otherwise an object containing the 'reason'
+ *                   (from ThrottleReason) and 'retryAfterSeconds'
+ */
+CommandThrottle.prototype.check = function(command, chatEvent, config) {
+    var settings = getSettings(command, config);
+
+    if (_isExempt(chatEvent, settings)) {
+        return null;
+    }
+
+    var usage = this._getUsage(command);
+    var now = Date.now();
+    var userID = chatEvent.userID;
+
+    if (settings.globalCooldownSeconds > 0 && usage.lastUse) {
+        var globalRemaining = usage.lastUse + settings.globalCooldownSeconds * 1000 - now;
+        if (globalRemaining > 0) {
+            return _throttled(ThrottleReason.GLOBAL_COOLDOWN, globalRemaining);
+        }
+    }
+
+    if (settings.perUserCooldownSeconds > 0 && usage.lastUseByUser[userID]) {
+        var userRemaining = usage.lastUseByUser[userID] + settings.perUserCooldownSeconds * 1000 - now;
+        if (userRemaining > 0) {
+            return _throttled(ThrottleReason.USER_COOLDOWN, userRemaining);
+        }
+    }
+
+    if (settings.maxUsesPerWindow > 0) {
+        var uses = _pruneUses(usage, userID, now - settings.windowSeconds * 1000);
+        if (uses.length >= settings.maxUsesPerWindow) {
+            return _throttled(ThrottleReason.RATE_LIMIT, uses[0] + settings.windowSeconds * 1000 - now);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Records that a user has invoked a command. This should be called only once
+ * the command's handler is actually going to run.
+ *
+ * @param {object} command - The command module being invoked
+ * @param {object} chatEvent - The chat event which triggered the command
+ * @param {object} config - The bot's configuration
+ */
+CommandThrottle.prototype.recordUse = function(command, chatEvent, config) {
+    var settings = getSettings(command, config);
+
+    if (_isExempt(chatEvent, settings)) {
+        return;
+    }
+
+    var usage = this._getUsage(command);
+    var now = Date.now();
+    var userID = chatEvent.userID;
+
+    usage.lastUse = now;
+    usage.lastUseByUser[userID] = now;
+
+    if (settings.maxUsesPerWindow > 0) {
+        _pruneUses(usage, userID, now - settings.windowSeconds * 1000).push(now);
+    }
+}
+
+/**
+ * Forgets all usage history, for every command and user.
+ */
+CommandThrottle.prototype.reset = function() {
+    this._usage = {};
+}
+
+CommandThrottle.prototype._getUsage = function(command) {
+    // Key on the primary trigger rather than the module object, so history survives hot reloads
+    var key = command.triggers[0];
+
+    if (!this._usage[key]) {
+        this._usage[key] = {
+            lastUse: 0,
+            lastUseByUser: {},
+            usesByUser: {}
+        };
+    }
+
+    return this._usage[key];
+}
+
+/**
+ * Resolves the effective throttle settings for a command, combining the configured
+ * defaults, the command's own settings and any per-command overrides from config.
+ *
+ * @param {object} command - The command module
+ * @param {object} config - The bot's configuration
+ * @returns {object} The effective settings, with exemptRole resolved to a UserRole (or null)
+ */
+function getSettings(command, config) {
+    var defaults = config.DubBotBase.commandThrottling || {};
+    var overrides = defaults.overrides || {};
+    var settings = {};
+
+    _copySettings(defaults, settings);
+    _copySettings(command.throttle, settings);
+
+    for (var i = 0; i < command.triggers.length; i++) {
+        _copySettings(overrides[command.triggers[i]], settings);
+    }
+
+    settings.exemptRole = _resolveRole(settings.exemptRole);
+    return settings;
+}
+
+function _copySettings(source, destination) {
+    if (!source) {
+        return;
+    }
+
+    for (var i = 0; i < THROTTLE_KEYS.length; i++) {
+        var key = THROTTLE_KEYS[i];
+
+        if (key in source) {
+            destination[key] = source[key];
+        }
+    }
+}
+
+function _isExempt(chatEvent, settings) {
+    return !!(settings.exemptRole && chatEvent.userRole && chatEvent.userRole.level >= settings.exemptRole.level);
+}
+
+function _pruneUses(usage, userID, cutoff) {
+    var uses = (usage.usesByUser[userID] || []).filter(function(timestamp) {
+        return timestamp > cutoff;
+    });
+
+    usage.usesByUser[userID] = uses;
+    return uses;
+}
+
+function _resolveRole(role) {
+    if (!role) {
+        return null;
+    }
+
+    if (typeof role === "object") {
+        return role;
+    }
+
+    for (var key in Types.UserRole) {
+        if (Types.UserRole[key].name === role) {
+            return Types.UserRole[key];
+        }
+    }
+
+    throw new Error("Unknown role '" + role + "' in command throttle settings");
+}
+
+function _throttled(reason, remainingMs) {
+    return {
+        reason: reason,
+        retryAfterSeconds: Math.ceil(remainingMs / 1000)
+    };
+}
+
+module.exports = {
+    CommandThrottle: CommandThrottle,
+    ThrottleReason: ThrottleReason,
+    getSettings: getSettings
+};
@@ -3,31 +3,69 @@
 var fs = require("fs");
 var path = require("path");
 
+var ConfigSchema = require("./config_schema");
+var Errors = require("./errors");
 var Log = require("./log");
 var Utils = require("./utils");
 
 var LOG = new Log("config");
 
-var REQUIRED_CONFIG_VARIABLES = [
-    "botEmail",
-    "botPassword",
-    "roomName"
-];
+// Separates the levels of a config key in environment variable names, e.g. DUBBOTBASE__CHATQUEUE__MAXMESSAGELENGTH
+var ENVIRONMENT_SEPARATOR = "__";
+
+// Maps top-level config sections to the schemas which describe them
+var _schemas = {
+    DubBotBase: ConfigSchema.DUBBOTBASE_SCHEMA
+};
+
+// Maps top-level config sections to default values registered for them, such as by plugins
+var _defaults = {};
 
 /**
  * Initializes the application's configuration by reading from
- * a config file defined in NPM configuration.
+ * a config file defined in NPM configuration. Environment variables
+ * override values from files, and the result is checked against every
+ * registered schema. If anything is invalid, every problem is logged
+ * and a ConfigValidationError listing them is thrown.
  *
  * @param {string} basedir - The base directory of the bot, containing a "config" subdirectory
  * @param {object} defaults - An optional object containing default configuration.
+ * @param {object} environment - Optional. The environment variables to read overrides from (default process.env)
+ * @param {function} onLoaded - Optional. Called with the config once config files and environment variables
+ *                              have been read, but before defaults are filled in and it's validated. It may
+ *                              register further schemas and defaults (e.g. for plugins), in which case
+ *                              environment variables are read again so they can override the new sections.
  * @returns {object} An object representing configuration
  */
-function create(basedir, defaults) {
+function create(basedir, defaults, environment, onLoaded) {
     LOG.info("Initializing application configuration");
     var config = defaults || {};
 
     _loadConfigurationFiles(basedir, config);
-    _validateConfig(config);
+
+    var failures = _applyEnvironmentOverrides(config, environment || process.env);
+
+    if (onLoaded) {
+        var registeredSections = Object.keys(_schemas).concat(Object.keys(_defaults)).join();
+        onLoaded(config);
+
+        if (Object.keys(_schemas).concat(Object.keys(_defaults)).join() !== registeredSections) {
+            failures = _applyEnvironmentOverrides(config, environment || process.env);
+        }
+    }
+
+    _applyRegisteredDefaults(config);
+    _applySchemaDefaults(config);
+    failures = failures.concat(_validateConfig(config));
+
+    if (failures.length > 0) {
+        LOG.error("Configuration is invalid. Found {} problem(s):", failures.length);
+        for (var i = 0; i < failures.length; i++) {
+            LOG.error("  {}", failures[i]);
+        }
+
+        throw new Errors.ConfigValidationError(failures);
+    }
 
     if (config.DubBotBase.isConfigImmutable) {
         _freezeConfig(config);
@@ -40,15 +78,195 @@ function create(basedir, defaults) {
     return config;
 }
 
+/**
+ * Registers a schema for a top-level section of config, so that the section is
+ * validated and has its defaults applied when the bot starts. Must be called
+ * before DubBotBase.start. See src/config_schema.js for what a schema contains.
+ *
+ * @param {string} section - The name of the top-level config key, e.g. "MyBot"
+ * @param {object} schema - The schema describing the section
+ */
+function registerSchema(section, schema) {
+    Utils.checkNotEmpty(section, "A config section name is required to register a schema");
+
+    if (section in _schemas) {
+        throw new Error("A config schema has already been registered for section '" + section + "'");
+    }
+
+    ConfigSchema.validateSchema(schema, section);
+    _schemas[section] = schema;
+}
+
+/**
+ * Registers default values for a top-level section of config. Anything set in config
+ * files or environment variables takes precedence over them. Must be called before
+ * DubBotBase.start.
+ *
+ * @param {string} section - The name of the top-level config key, e.g. "MyBot"
+ * @param {object} defaults - The default values for the section
+ */
+function registerDefaults(section, defaults) {
+    Utils.checkNotEmpty(section, "A config section name is required to register defaults");
+
+    if (section in _defaults) {
+        throw new Error("Config defaults have already been registered for section '" + section + "'");
+    }
+
+    _defaults[section] = defaults;
+}
+
+/**
+ * Returns the schema registered for a top-level section of config.
+ *
+ * @param {string} section - The name of the top-level config key
+ * @returns {object} The schema, or null if none has been registered
+ */
+function getSchema(section) {
+    return _schemas[section] || null;
+}
+
+/**
+ * Overrides config values from environment variables. A variable is used if its
+ * name is made up of a config section and keys, separated by double underscores and
+ * in any case; for example, DUBBOTBASE__ROOMNAME overrides DubBotBase.roomName.
+ * Values are converted to the type the schema expects, or parsed as JSON if there
+ * is no schema.
+ *
+ * @param {object} config - The current config object
+ * @param {object} environment - The environment variables
+ * @returns {array} A message for each variable which looks like an override but doesn't match a config key
+ */
+function _applyEnvironmentOverrides(config, environment) {
+    var failures = [];
+
+    Object.keys(environment).sort().forEach(function(variable) {
+        var keys = variable.split(ENVIRONMENT_SEPARATOR);
+        var section = _findKey(keys[0], [config, _schemas]);
+
+        if (keys.length < 2 || !section) {
+            return;
+        }
+
+        var target = config[section] = config[section] || {};
+        var schema = _schemas[section];
+        var keyPath = section;
+
+        for (var i = 1; i < keys.length; i++) {
+            var properties = schema && schema.properties;
+            var key = _findKey(keys[i], [target, properties || {}]);
+
+            if (!key) {
+                if (properties && !schema.additionalProperties) {
+                    failures.push("Environment variable " + variable + " doesn't match any config key under " + keyPath);
+                    return;
+                }
+
+                key = keys[i];
+            }
+
+            keyPath += "." + key;
+            schema = properties && properties[key] ? properties[key] : (schema && typeof schema.additionalProperties === "object" ? schema.additionalProperties : null);
+
+            if (i === keys.length - 1) {
+                target[key] = ConfigSchema.parseString(environment[variable], schema);
+            }
+            else {
+                if (!target[key] || typeof target[key] !== "object") {
+                    target[key] = {};
+                }
+
+                target = target[key];
+            }
+        }
+
+        LOG.info("Config key {} has been overridden by environment variable {}", keyPath, variable);
+    });
+
+    return failures;
+}
+
+/**
+ * Fills in registered defaults wherever config doesn't already have a value.
+ *
+ * @param {object} config - The current config object
+ */
+function _applyRegisteredDefaults(config) {
+    for (var section in _defaults) {
+        config[section] = _fillDefaults(config[section], _defaults[section]);
+    }
+}
+
+/**
+ * Fills in defaults from every registered schema.
+ *
+ * @param {object} config - The current config object
+ */
+function _applySchemaDefaults(config) {
+    for (var section in _schemas) {
+        var value = ConfigSchema.applyDefaults(config[section], _schemas[section]);
+
+        if (value !== undefined) {
+            config[section] = value;
+        }
+    }
+}
+
+/**
+ * Fills in any values which are missing from 'value' with copies of those from 'defaults'.
+ * Objects are filled in recursively; arrays are treated as single values.
+ *
+ * @param {mixed} value - The configured value, if any
+ * @param {mixed} defaults - The default value
+ * @returns {mixed} The value with its defaults filled in
+ */
+function _fillDefaults(value, defaults) {
+    if (value === undefined) {
+        return JSON.parse(JSON.stringify(defaults));
+    }
+
+    if (_isPlainObject(value) && _isPlainObject(defaults)) {
+        for (var key in defaults) {
+            value[key] = _fillDefaults(value[key], defaults[key]);
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Finds a key in any of the given objects which matches the name, ignoring case.
+ *
+ * @param {string} name - The name to look for
+ * @param {array} objects - The objects whose keys to search
+ * @returns {string} The matching key, or null if there is none
+ */
+function _findKey(name, objects) {
+    for (var i = 0; i < objects.length; i++) {
+        for (var key in objects[i]) {
+            if (key.toLowerCase() === name.toLowerCase()) {
+                return key;
+            }
+        }
+    }
+
+    return null;
+}
+
+function _isPlainObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
 /**
  * Loads configuration out of the config/ subdirectory. All .json files found
- * under config/ or any of its subdirectories will be loaded into configuration.
+ * under config/ or any of its subdirectories will be loaded into configuration,
+ * except for those under config/messages/, which hold chat messages (see MessageCatalog).
  *
  * @param {string} baseDir - The directory to find config/ under
  * @param {object} config - The current config object
  */
 function _loadConfigurationFiles(basedir, config) {
     var configDirPath = path.resolve(basedir, "config");
+    var messagesDirPath = path.join(configDirPath, "messages");
 
     var files;
     try {
@@ -62,6 +280,10 @@ function _loadConfigurationFiles(basedir, config) {
     for (var i = 0; i < files.length; i++) {
         var filePath = files[i];
 
+        if (filePath.indexOf(messagesDirPath + path.sep) === 0) {
+            continue;
+        }
+
         if (filePath.lastIndexOf(".json") !== filePath.length - 5) {
             LOG.info("File {} doesn't appear to be a JSON file (therefore not configuration). Ignoring.", filePath);
             continue;
@@ -103,15 +325,16 @@ function _freezeConfig(config) {
 }
 
 /**
- * Merges the 'override' object into the 'base' object. Scalar values which exist in
- * both places are overridden, while object values are merged recursively.
+ * Merges the 'override' object into the 'base' object. Scalar values and arrays which
+ * exist in both places are overridden, while object values are merged recursively.
  *
  * @param {object} base - The base object to merge into
  * @param {object} override - An object containing overriding values to merge from
  */
 function _mergeConfig(base, override) {
     for (var key in override) {
-        if (base[key] && typeof base[key] === "object" && typeof override[key] === "object") {
+        if (base[key] && typeof base[key] === "object" && !Array.isArray(base[key]) &&
+            override[key] && typeof override[key] === "object" && !Array.isArray(override[key])) {
             _mergeConfig(base[key], override[key]);
         }
         else {
@@ -121,19 +344,22 @@ function _mergeConfig(base, override) {
 }
 
 /**
- * Performs validation to ensure the npm environment has been set up properly.
- * If anything is wrong, throws an error.
+ * Checks every section of config which has a registered schema.
  *
  * @params {object} config - The current config object to validate
+ * @returns {array} A message for each problem found
  */
 function _validateConfig(config) {
-    for (var i = 0; i < REQUIRED_CONFIG_VARIABLES.length; i++) {
-        var key = REQUIRED_CONFIG_VARIABLES[i];
-        var value = config.DubBotBase[key];
-        if (!value || value === "UNSET") {
-            throw new Error("No value has been set in config for key: DubBotBase." + key);
-        }
+    var failures = [];
+
+    for (var section in _schemas) {
+        failures = failures.concat(ConfigSchema.validate(config[section], _schemas[section], section));
     }
+
+    return failures;
 }
 
 exports.create = create;
+exports.getSchema = getSchema;
+exports.registerDefaults = registerDefaults;
+exports.registerSchema = registerSchema;
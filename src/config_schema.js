@@ -0,0 +1,786 @@
+"use strict";
+
+/**
+ * Describes and validates the shape of configuration.
+ *
+ * A schema describes a single value, and may contain any of the following:
+ *
+ *   type: One of "any", "array", "boolean", "integer", "number", "object" or "string" (default "any")
+ *   description: What the value is for
+ *   required: If true, the value must be present (and strings must be non-empty)
+ *   default: The value to use when none is configured
+ *   min, max: For numbers, the inclusive range the value must fall in
+ *   choices: An array of the values which are allowed
+ *   properties: For objects, maps each known key to its own schema
+ *   additionalProperties: For objects, whether keys not listed in 'properties' are allowed. May also
+ *                         be a schema, which each of those keys must then match. Defaults to false
+ *                         when 'properties' is given, and true otherwise.
+ *   items: For arrays, a schema which every element must match
+ */
+
+var Types = require("./types");
+
+var TYPES = ["any", "array", "boolean", "integer", "number", "object", "string"];
+
+var ROLE_NAMES = Object.keys(Types.UserRole).map(function(key) {
+    return Types.UserRole[key].name;
+});
+
+var CHAT_FILTER_ACTIONS = ["ban", "delete", "mute", "warn"];
+
+// The settings every chat filter detector has, whether built in or added by a bot
+var CHAT_FILTER_DETECTOR_PROPERTIES = {
+    action: { type: "string", choices: CHAT_FILTER_ACTIONS, description: "What to do about a message the detector matches" },
+    enabled: { type: "boolean", description: "Whether to run the detector" },
+    exemptRole: { type: "string", choices: ROLE_NAMES, description: "Users with at least this role aren't checked by the detector (default DubBotBase.chatFilter.exemptRole)" }
+};
+
+/**
+ * Creates the schema for one of the chat filter's built-in detectors, which has the common
+ * detector settings along with its own.
+ */
+function _chatFilterDetector(description, properties) {
+    for (var key in CHAT_FILTER_DETECTOR_PROPERTIES) {
+        properties[key] = CHAT_FILTER_DETECTOR_PROPERTIES[key];
+    }
+
+    return {
+        type: "object",
+        description: description,
+        properties: properties
+    };
+}
+
+var LOG_LEVELS = ["debug", "info", "warn", "error", "DEBUG", "INFO", "WARN", "ERROR"];
+
+var LOG_FORMATS = ["json", "text"];
+
+// The escalating actions for one of DubBotBase.mediaPolicy's rules: the first is taken for a DJ's first violation, and so on
+var MEDIA_POLICY_ACTIONS = {
+    type: "array",
+    items: { type: "string", required: true, choices: ["ban", "kick", "skip", "warn"] },
+    description: "The actions to take for a DJ's first, second and later violations of the rule; the last one repeats"
+};
+
+/**
+ * The schema for the DubBotBase section of config. Defaults live in config/defaults.json.
+ */
+var DUBBOTBASE_SCHEMA = {
+    type: "object",
+    properties: {
+        afkDetection: {
+            type: "object",
+            description: "When users count as AFK, and how often the wait list is checked for AFK users",
+            properties: {
+                afkAfterSeconds: {
+                    type: "number",
+                    min: 1,
+                    description: "How long a user must go without chatting, voting or grabbing to count as AFK"
+                },
+                checkIntervalSeconds: {
+                    type: "number",
+                    min: 1,
+                    description: "How often to check the wait list for users who have gone AFK"
+                },
+                enabled: {
+                    type: "boolean",
+                    description: "Whether to check the wait list and raise USER_AFK events"
+                }
+            }
+        },
+        areCommandsCaseSensitive: {
+            type: "boolean",
+            description: "Whether command triggers must match the case of the chat message"
+        },
+        botEmail: {
+            type: "string",
+            required: true,
+            description: "The email address or username the bot logs in to dubtrack.fm with"
+        },
+        botPassword: {
+            type: "string",
+            required: true,
+            description: "The password the bot logs in to dubtrack.fm with"
+        },
+        chatQueue: {
+            type: "object",
+            description: "How the bot's outgoing chat messages are paced",
+            properties: {
+                duplicateWindowSeconds: {
+                    type: "number",
+                    min: 0,
+                    description: "A message identical to one queued this recently is dropped. Off by default (0); set a number of seconds to turn it on"
+                },
+                maxMessageLength: {
+                    type: "integer",
+                    min: 1,
+                    description: "Messages longer than this are split into several"
+                },
+                maxQueuedMessages: {
+                    type: "integer",
+                    min: 0,
+                    description: "The most messages which can wait to be sent (0 for no limit)"
+                },
+                millisecondsBetweenMessages: {
+                    type: "integer",
+                    min: 0,
+                    description: "The minimum time between two chat messages"
+                }
+            }
+        },
+        chatFilter: {
+            type: "object",
+            description: "Checks for spam and abuse in chat, which run before any of the bot's own listeners",
+            properties: {
+                banDurationMinutes: {
+                    type: "integer",
+                    min: 0,
+                    description: "How long the ban action bans a user for (0 for good)"
+                },
+                detectors: {
+                    type: "object",
+                    description: "Settings for each detector, keyed by name. Detectors added by the bot can be configured here too.",
+                    properties: {
+                        bannedWords: _chatFilterDetector("Matches messages containing banned words or patterns", {
+                            patterns: {
+                                type: "array",
+                                items: { type: "string", required: true },
+                                description: "Regular expressions which messages can't match, ignoring case"
+                            },
+                            words: {
+                                type: "array",
+                                items: { type: "string", required: true },
+                                description: "Words or phrases which messages can't contain, ignoring case"
+                            }
+                        }),
+                        caps: _chatFilterDetector("Matches messages typed mostly in capitals", {
+                            maxCapsRatio: { type: "number", min: 0, max: 1, description: "The fraction of letters which must be capitals to match" },
+                            minLength: { type: "integer", min: 1, description: "How many letters a message needs before it's checked" }
+                        }),
+                        flood: _chatFilterDetector("Matches users sending too many messages", {
+                            maxMessages: { type: "integer", min: 1, description: "The most messages a user can send within windowSeconds" },
+                            windowSeconds: { type: "number", min: 1, description: "How far back to count messages" }
+                        }),
+                        links: _chatFilterDetector("Matches messages containing links", {
+                            allowedDomains: {
+                                type: "array",
+                                items: { type: "string", required: true },
+                                description: "Domains which can be linked to, along with their subdomains"
+                            }
+                        }),
+                        repeats: _chatFilterDetector("Matches users sending the same message over and over", {
+                            maxRepeats: { type: "integer", min: 2, description: "How many times the same message can be sent within windowSeconds before it matches" },
+                            windowSeconds: { type: "number", min: 1, description: "How far back to look for repeats" }
+                        })
+                    },
+                    additionalProperties: {
+                        type: "object",
+                        properties: CHAT_FILTER_DETECTOR_PROPERTIES,
+                        additionalProperties: true
+                    }
+                },
+                dryRun: {
+                    type: "boolean",
+                    description: "If true, only log what would have been done, and take no action"
+                },
+                enabled: {
+                    type: "boolean",
+                    description: "Whether to check chat messages"
+                },
+                exemptRole: {
+                    type: "string",
+                    choices: ROLE_NAMES,
+                    description: "Users with at least this role aren't checked by any detector, unless the detector sets its own exemptRole"
+                },
+                muteDurationMinutes: {
+                    type: "number",
+                    min: 0,
+                    description: "How long the mute action mutes a user for (0 to leave them muted until a mod unmutes them)"
+                }
+            }
+        },
+        commandAliases: {
+            type: "object",
+            additionalProperties: { type: "string", required: true },
+            description: "Maps extra trigger words to existing commands, e.g. { \"np\": \"nowplaying\" }"
+        },
+        commandPrefixes: {
+            type: "array",
+            items: { type: "string", required: true },
+            description: "The prefixes which mark a chat message as a command"
+        },
+        commandThrottling: {
+            type: "object",
+            description: "Default cooldowns and rate limits for every command",
+            properties: {
+                exemptRole: {
+                    type: "string",
+                    choices: ROLE_NAMES,
+                    description: "Users with at least this role are never throttled"
+                },
+                globalCooldownSeconds: {
+                    type: "number",
+                    min: 0,
+                    description: "How long after any use a command can be used again by anyone"
+                },
+                maxUsesPerWindow: {
+                    type: "integer",
+                    min: 0,
+                    description: "How many times a user can use a command per window (0 for no limit)"
+                },
+                overrides: {
+                    type: "object",
+                    additionalProperties: { type: "object" },
+                    description: "Throttle settings for individual commands, keyed by their first trigger"
+                },
+                perUserCooldownSeconds: {
+                    type: "number",
+                    min: 0,
+                    description: "How long after using a command a user can use it again"
+                },
+                windowSeconds: {
+                    type: "number",
+                    min: 1,
+                    description: "The length of the window for maxUsesPerWindow"
+                }
+            }
+        },
+        connection: {
+            type: "object",
+            description: "How the bot connects to the room, and reconnects when the connection is lost",
+            properties: {
+                connectTimeoutSeconds: {
+                    type: "number",
+                    min: 1,
+                    description: "How long to wait for the room to be joined before trying again"
+                },
+                initialRetryDelaySeconds: {
+                    type: "number",
+                    min: 0,
+                    description: "How long to wait before the first retry; the wait doubles with each retry after that"
+                },
+                maxRetries: {
+                    type: "integer",
+                    min: 0,
+                    description: "How many times in a row to retry connecting (or logging in) before giving up"
+                },
+                maxRetryDelaySeconds: {
+                    type: "number",
+                    min: 0,
+                    description: "The longest to wait between retries"
+                }
+            }
+        },
+        enableHotReload: {
+            type: "boolean",
+            description: "Whether to reload commands and event listeners when their files change"
+        },
+        enableMentionPrefix: {
+            type: "boolean",
+            description: "Whether mentioning the bot (e.g. \"@mybot skip\") also invokes commands"
+        },
+        faultIsolation: {
+            type: "object",
+            description: "How commands, event listeners and middleware which keep failing are handled",
+            properties: {
+                maxFailures: {
+                    type: "integer",
+                    min: 0,
+                    description: "How many errors a module may throw within windowSeconds before it's disabled (0 to never disable)"
+                },
+                reenableCommand: {
+                    type: "object",
+                    description: "The built-in command which lets mods re-enable disabled modules",
+                    properties: {
+                        enabled: {
+                            type: "boolean",
+                            description: "Whether to register the re-enable command"
+                        },
+                        triggers: {
+                            type: "array",
+                            items: { type: "string", required: true },
+                            description: "The triggers for the re-enable command, without a prefix"
+                        }
+                    }
+                },
+                windowSeconds: {
+                    type: "number",
+                    min: 1,
+                    description: "The period over which a module's errors are counted"
+                }
+            }
+        },
+        helpCommand: {
+            type: "object",
+            description: "The built-in command which lists commands and shows how to use them",
+            properties: {
+                commandsPerPage: {
+                    type: "integer",
+                    min: 1,
+                    description: "How many commands are listed in each chat message"
+                },
+                enabled: {
+                    type: "boolean",
+                    description: "Whether to register the help command"
+                },
+                triggers: {
+                    type: "array",
+                    items: { type: "string", required: true },
+                    description: "The triggers for the help command, without a prefix"
+                }
+            }
+        },
+        isConfigImmutable: {
+            type: "boolean",
+            description: "Whether the config object is frozen once loaded"
+        },
+        logAllEvents: {
+            type: "boolean",
+            description: "Whether to log every event received from dubtrack.fm"
+        },
+        logging: {
+            type: "object",
+            description: "Where log messages go, and which are kept",
+            properties: {
+                console: {
+                    type: "object",
+                    properties: {
+                        enabled: { type: "boolean", description: "Whether to log to the console" },
+                        format: { type: "string", choices: LOG_FORMATS, description: "How console log lines are formatted" }
+                    }
+                },
+                files: {
+                    type: "array",
+                    description: "Files to log to",
+                    items: {
+                        type: "object",
+                        properties: {
+                            format: { type: "string", choices: LOG_FORMATS },
+                            maxFiles: { type: "integer", min: 1 },
+                            maxSizeBytes: { type: "integer", min: 1 },
+                            path: { type: "string", required: true },
+                            rotate: { type: "string", choices: ["daily", "none", "size"] }
+                        }
+                    }
+                },
+                level: {
+                    type: "string",
+                    choices: LOG_LEVELS,
+                    description: "The minimum level of log message to write"
+                },
+                loggerLevels: {
+                    type: "object",
+                    additionalProperties: { type: "string", choices: LOG_LEVELS },
+                    description: "Minimum levels for individual loggers, keyed by logger name"
+                }
+            }
+        },
+        mediaPolicy: {
+            type: "object",
+            description: "Rules about what media can be played, which are checked whenever a song starts",
+            properties: {
+                auditLogFile: {
+                    type: "string",
+                    required: true,
+                    description: "Where to record enforcements and blacklist changes, relative to the bot's base directory"
+                },
+                banDurationMinutes: {
+                    type: "integer",
+                    min: 0,
+                    description: "How long the ban action bans a DJ for (0 for good)"
+                },
+                blacklist: {
+                    type: "object",
+                    description: "Songs which can't be played, by content ID",
+                    properties: {
+                        actions: MEDIA_POLICY_ACTIONS,
+                        file: { type: "string", required: true, description: "Where the blacklist is saved, relative to the bot's base directory" }
+                    }
+                },
+                blacklistCommand: {
+                    type: "object",
+                    description: "The built-in command which lets mods edit the blacklist",
+                    properties: {
+                        enabled: { type: "boolean", description: "Whether to register the command" },
+                        triggers: {
+                            type: "array",
+                            items: { type: "string", required: true },
+                            description: "The words which invoke the command"
+                        }
+                    }
+                },
+                enabled: {
+                    type: "boolean",
+                    description: "Whether to check songs against the policy"
+                },
+                escalationWindowHours: {
+                    type: "number",
+                    min: 0,
+                    description: "How long a DJ's violations of a rule count towards escalating the action taken"
+                },
+                maxDuration: {
+                    type: "object",
+                    description: "How long songs can be",
+                    properties: {
+                        actions: MEDIA_POLICY_ACTIONS,
+                        exemptRole: { type: "string", choices: ROLE_NAMES, description: "DJs with at least this role can play songs of any length" },
+                        maxSeconds: { type: "integer", min: 0, description: "The longest a song can be (0 for no limit)" }
+                    }
+                },
+                titleBlacklist: {
+                    type: "object",
+                    description: "Words and patterns which can't appear in song titles",
+                    properties: {
+                        actions: MEDIA_POLICY_ACTIONS,
+                        keywords: {
+                            type: "array",
+                            items: { type: "string", required: true },
+                            description: "Words or phrases which can't appear in titles, ignoring case"
+                        },
+                        patterns: {
+                            type: "array",
+                            items: { type: "string", required: true },
+                            description: "Regular expressions which titles can't match, ignoring case"
+                        }
+                    }
+                },
+                unavailableSource: {
+                    type: "object",
+                    description: "Where songs can come from; songs from anywhere else, or with no length, can't be played",
+                    properties: {
+                        actions: MEDIA_POLICY_ACTIONS,
+                        allowedSources: {
+                            type: "array",
+                            items: { type: "string", required: true },
+                            description: "The sources songs can come from, such as \"youtube\" (empty to allow any)"
+                        }
+                    }
+                }
+            }
+        },
+        messages: {
+            type: "object",
+            description: "Where the bot's chat messages are loaded from, and which language they're sent in",
+            properties: {
+                defaultLocale: {
+                    type: "string",
+                    required: true,
+                    description: "The locale to fall back to for messages which haven't been written in 'locale'"
+                },
+                directories: {
+                    type: "array",
+                    items: { type: "string", required: true },
+                    description: "The directories to load message files (named after their locale, e.g. en.json) from, relative to the bot's base directory"
+                },
+                locale: {
+                    type: "string",
+                    required: true,
+                    description: "The locale to send messages in, e.g. \"en\" or \"pt-BR\""
+                }
+            }
+        },
+        numberOfChatEventsToStore: {
+            type: "integer",
+            min: 0,
+            description: "How many chat messages to keep in roomState"
+        },
+        numberOfPlayedSongsToStore: {
+            type: "integer",
+            min: 0,
+            description: "How many plays to keep in roomState"
+        },
+        persistence: {
+            type: "object",
+            description: "Whether and where room state is saved across restarts",
+            properties: {
+                directory: { type: "string", required: true, description: "Where to save room state, relative to the bot's base directory" },
+                enabled: { type: "boolean", description: "Whether to save room state at all" },
+                maxStoredChatMessages: { type: "integer", min: 0, description: "How many chat messages to save" },
+                maxStoredPlays: { type: "integer", min: 0, description: "How many plays to save" },
+                snapshotEveryNEntries: { type: "integer", min: 1, description: "How many changes to journal before writing a new snapshot" },
+                type: { type: "string", choices: ["jsonFile"], description: "How room state is saved" }
+            }
+        },
+        plugins: {
+            type: "array",
+            items: { type: "string", required: true },
+            description: "The npm packages to load as plugins"
+        },
+        repeatRules: {
+            type: "object",
+            description: "Rules about repeating songs, which are checked whenever a song starts",
+            properties: {
+                action: {
+                    type: "string",
+                    choices: ["skip", "skipAndMove", "warn"],
+                    description: "What to do about a song which breaks a rule: warn the DJ, skip it, or skip it and move the DJ to moveToPosition"
+                },
+                enabled: {
+                    type: "boolean",
+                    description: "Whether to check songs against the rules"
+                },
+                maxPlaysPerDay: {
+                    type: "integer",
+                    min: 0,
+                    description: "The most times a song can be played in 24 hours (0 for no limit)"
+                },
+                minHoursBetweenRepeats: {
+                    type: "number",
+                    min: 0,
+                    description: "How long after a song starts before it can be played again (0 to allow repeats)"
+                },
+                moveToPosition: {
+                    type: "integer",
+                    min: 0,
+                    description: "Where in the wait list to move a DJ whose song was skipped, for the skipAndMove action"
+                },
+                preventSameArtistBackToBack: {
+                    type: "boolean",
+                    description: "Whether to stop an artist being played twice in a row"
+                }
+            }
+        },
+        roomName: {
+            type: "string",
+            required: true,
+            description: "The name of the room to join, as it appears in the room's URL"
+        }
+    }
+};
+
+/**
+ * Fills in defaults from the schema for any values which are missing. Modifies
+ * the value in place where possible.
+ *
+ * @param {mixed} value - The configured value, possibly undefined
+ * @param {object} schema - The schema describing the value
+ * @returns {mixed} The value with defaults applied
+ */
+function applyDefaults(value, schema) {
+    if (value === undefined && "default" in schema) {
+        value = _copy(schema.default);
+    }
+
+    if (schema.properties && (value === undefined || _isPlainObject(value))) {
+        for (var key in schema.properties) {
+            var current = value ? value[key] : undefined;
+            var withDefaults = applyDefaults(current, schema.properties[key]);
+
+            if (withDefaults !== undefined) {
+                value = value || {};
+                value[key] = withDefaults;
+            }
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Converts a string (such as from an environment variable) into a value of
+ * the type the schema expects. If the string can't be converted, it's returned
+ * unchanged so that validation can report it.
+ *
+ * @param {string} raw - The string to convert
+ * @param {object} schema - Optional. The schema the value will be validated against
+ * @returns {mixed} The converted value
+ */
+function parseString(raw, schema) {
+    var type = (schema && schema.type) || "any";
+
+    switch (type) {
+        case "string":
+            return raw;
+        case "boolean":
+            return raw === "true" ? true : (raw === "false" ? false : raw);
+        case "integer":
+        case "number":
+            return raw.trim() !== "" && !isNaN(Number(raw)) ? Number(raw) : raw;
+        default:
+            try {
+                return JSON.parse(raw);
+            }
+            catch (e) {
+                return raw;
+            }
+    }
+}
+
+/**
+ * Checks a value against a schema.
+ *
+ * @param {mixed} value - The value to check
+ * @param {object} schema - The schema to check it against
+ * @param {string} path - The name of the value, used in failure messages, e.g. "DubBotBase.roomName"
+ * @returns {array} A message for each problem found; empty if the value is valid
+ */
+function validate(value, schema, path) {
+    var failures = [];
+    _validate(value, schema, path, failures);
+    return failures;
+}
+
+/**
+ * Checks that a schema is itself well-formed, so that mistakes in a schema are
+ * reported when it's registered rather than as confusing validation failures.
+ *
+ * @param {object} schema - The schema to check
+ * @param {string} path - The name of the value the schema describes
+ */
+function validateSchema(schema, path) {
+    if (!schema || typeof schema !== "object") {
+        throw new Error("The schema for " + path + " must be an object");
+    }
+
+    if (schema.type && TYPES.indexOf(schema.type) < 0) {
+        throw new Error("The schema for " + path + " has unknown type '" + schema.type + "'. Valid types are: " + TYPES.join(", "));
+    }
+
+    if (schema.choices && !Array.isArray(schema.choices)) {
+        throw new Error("The schema for " + path + " has 'choices' which is not an array");
+    }
+
+    for (var key in schema.properties || {}) {
+        validateSchema(schema.properties[key], path + "." + key);
+    }
+
+    if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        validateSchema(schema.additionalProperties, path + ".*");
+    }
+
+    if (schema.items) {
+        validateSchema(schema.items, path + "[]");
+    }
+}
+
+function _validate(value, schema, path, failures) {
+    var type = schema.type || "any";
+
+    if (value === undefined || value === null) {
+        if (schema.required) {
+            failures.push(path + " is required" + _describe(schema));
+        }
+
+        return;
+    }
+
+    if (!_hasType(value, type)) {
+        failures.push(path + " should be " + _article(type) + " but is " + _describeValue(value) + _describe(schema));
+        return;
+    }
+
+    if (schema.required && type === "string" && (value.trim() === "" || value === "UNSET")) {
+        failures.push(path + " is required but has not been set" + _describe(schema));
+        return;
+    }
+
+    if (schema.choices && schema.choices.indexOf(value) < 0) {
+        failures.push(path + " is " + JSON.stringify(value) + " but should be one of: " + schema.choices.map(function(choice) {
+            return JSON.stringify(choice);
+        }).join(", "));
+    }
+
+    if (typeof value === "number") {
+        if (typeof schema.min === "number" && value < schema.min) {
+            failures.push(path + " is " + value + " but should be at least " + schema.min);
+        }
+
+        if (typeof schema.max === "number" && value > schema.max) {
+            failures.push(path + " is " + value + " but should be at most " + schema.max);
+        }
+    }
+
+    if (type === "object") {
+        _validateProperties(value, schema, path, failures);
+    }
+
+    if (type === "array" && schema.items) {
+        for (var i = 0; i < value.length; i++) {
+            _validate(value[i], schema.items, path + "[" + i + "]", failures);
+        }
+    }
+}
+
+function _validateProperties(value, schema, path, failures) {
+    var properties = schema.properties || {};
+    var additional = "additionalProperties" in schema ? schema.additionalProperties : !schema.properties;
+    var key;
+
+    for (key in properties) {
+        _validate(value[key], properties[key], path + "." + key, failures);
+    }
+
+    for (key in value) {
+        if (key in properties) {
+            continue;
+        }
+
+        if (!additional) {
+            failures.push(path + "." + key + " is not a recognized config key" + _suggest(key, Object.keys(properties)));
+        }
+        else if (typeof additional === "object") {
+            _validate(value[key], additional, path + "." + key, failures);
+        }
+    }
+}
+
+function _article(type) {
+    return type === "any" ? "anything" : (/^[aeiou]/.test(type) ? "an " : "a ") + type;
+}
+
+function _copy(value) {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function _describe(schema) {
+    return schema.description ? " (" + schema.description + ")" : "";
+}
+
+function _describeValue(value) {
+    var type = Array.isArray(value) ? "array" : typeof value;
+    return _article(type) + " (" + JSON.stringify(value) + ")";
+}
+
+function _hasType(value, type) {
+    switch (type) {
+        case "any":
+            return true;
+        case "array":
+            return Array.isArray(value);
+        case "integer":
+            return typeof value === "number" && value % 1 === 0;
+        case "number":
+            return typeof value === "number" && !isNaN(value);
+        case "object":
+            return _isPlainObject(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+function _isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Suggests a known key which differs from the given one only by case, since
+ * that's the most common way for a key to be misspelled.
+ */
+function _suggest(key, knownKeys) {
+    for (var i = 0; i < knownKeys.length; i++) {
+        if (knownKeys[i].toLowerCase() === key.toLowerCase()) {
+            return ". Did you mean '" + knownKeys[i] + "'?";
+        }
+    }
+
+    return "";
+}
+
+module.exports = {
+    DUBBOTBASE_SCHEMA: DUBBOTBASE_SCHEMA,
+    TYPES: TYPES,
+    applyDefaults: applyDefaults,
+    parseString: parseString,
+    validate: validate,
+    validateSchema: validateSchema
+};
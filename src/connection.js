@@ -0,0 +1,237 @@
+"use strict";
+
+/**
+ * Manages the bot's connection to its room: connecting, noticing when the connection
+ * is lost, and reconnecting with exponential backoff until a retry budget runs out.
+ *
+ * The connection moves between the states in ConnectionState:
+ *
+ *   DISCONNECTED --connect()--> CONNECTING --room joined--> CONNECTED
+ *   CONNECTING --attempt fails or times out--> RECONNECTING --delay passes--> CONNECTING
+ *   CONNECTED --connection lost--> RECONNECTING
+ *   RECONNECTING --retry budget used up--> DISCONNECTED
+ *   any state --disconnect()--> DISCONNECTED
+ *
+ * DubAPI only reports that a connection attempt failed by emitting 'error' (and some
+ * failures aren't reported at all), so each attempt also has a time limit.
+ *
+ * Settings come from DubBotBase.connection in config:
+ *
+ *     connectTimeoutSeconds    - How long to wait for the room to be joined before trying again
+ *     initialRetryDelaySeconds - How long to wait before the first retry; each retry after that
+ *                                waits twice as long as the one before
+ *     maxRetryDelaySeconds     - The longest to wait between retries
+ *     maxRetries               - How many times in a row to retry before giving up
+ */
+
+var Log = require("./log");
+var Types = require("./types");
+
+var LOG = new Log("DubBotBase-Connection");
+
+var ConnectionState = {
+    CONNECTED: "connected", // in the room
+    CONNECTING: "connecting", // an attempt to join the room is in progress
+    DISCONNECTED: "disconnected", // not in the room, and not trying to be
+    RECONNECTING: "reconnecting" // waiting to try joining the room again
+};
+
+/**
+ * Creates a connection which isn't yet connected to anything.
+ *
+ * @param {object} settings - The DubBotBase.connection section of config
+ * @param {function} emit - Called as emit(eventName, event) to raise the CONNECTED,
+ *                          DISCONNECTED and RECONNECTING events
+ */
+function Connection(settings, emit) {
+    this._settings = settings;
+    this._emit = emit;
+
+    this._api = null;
+    this._hasConnected = false;
+    this._retries = 0; // how many times in a row the connection has been retried
+    this._roomName = null;
+    this._state = ConnectionState.DISCONNECTED;
+    this._timer = null;
+}
+
+/**
+ * Starts listening to the API object for the events which move the connection between states.
+ * Must be called once, before connect.
+ *
+ * @param {object} api - The logged-in DubAPI instance, or something which behaves like one
+ */
+Connection.prototype.attach = function(api) {
+    this._api = api;
+
+    api.on("connected", this._onConnected.bind(this));
+    api.on("disconnected", this._onDisconnected.bind(this));
+    api.on("error", this._onError.bind(this));
+}
+
+/**
+ * Joins a room, retrying as needed. Does nothing if the connection is already
+ * connected or trying to connect.
+ *
+ * @param {string} roomName - The name of the room to join
+ */
+Connection.prototype.connect = function(roomName) {
+    if (this._state !== ConnectionState.DISCONNECTED) {
+        LOG.warn("Ignoring a request to connect to room {} because the connection is already {}", roomName, this._state);
+        return;
+    }
+
+    this._roomName = roomName;
+    this._retries = 0;
+    this._attempt();
+}
+
+/**
+ * Leaves the room, and stops any reconnection which is in progress. The connection
+ * won't try to reconnect until connect is called again.
+ */
+Connection.prototype.disconnect = function() {
+    if (this._state === ConnectionState.DISCONNECTED) {
+        return;
+    }
+
+    var wasConnected = this._state === ConnectionState.CONNECTED;
+
+    this._cancelTimer();
+    this._state = ConnectionState.DISCONNECTED;
+    this._api.disconnect();
+
+    LOG.info("Disconnected from room {} on request", this._roomName);
+
+    if (wasConnected) {
+        this._emit(Types.Event.DISCONNECTED, { reason: "requested", roomName: this._roomName, willReconnect: false });
+    }
+}
+
+/**
+ * @returns {string} The current state of the connection, from ConnectionState
+ */
+Connection.prototype.getState = function() {
+    return this._state;
+}
+
+Connection.prototype._attempt = function() {
+    LOG.info("Attempting to connect to room {}", this._roomName);
+
+    this._state = ConnectionState.CONNECTING;
+    this._timer = setTimeout((function() {
+        this._timer = null;
+        this._onAttemptFailed("timed out after " + this._settings.connectTimeoutSeconds + " seconds");
+    }).bind(this), this._settings.connectTimeoutSeconds * 1000);
+
+    this._api.connect(this._roomName);
+}
+
+Connection.prototype._cancelTimer = function() {
+    if (this._timer) {
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+}
+
+Connection.prototype._onAttemptFailed = function(reason) {
+    this._cancelTimer();
+
+    // DubAPI ignores connect requests until it's been told to disconnect, even if it isn't connected
+    this._api.disconnect();
+
+    LOG.warn("Failed to connect to room {}: {}", this._roomName, reason);
+    this._scheduleRetry(reason);
+}
+
+Connection.prototype._onConnected = function(roomName) {
+    if (this._state === ConnectionState.DISCONNECTED) {
+        // A late success for an attempt which was given up on
+        LOG.warn("Joined room {} after giving up on connecting; leaving it again", roomName);
+        this._api.disconnect();
+        return;
+    }
+
+    var event = { isReconnect: this._hasConnected, retries: this._retries, roomName: roomName };
+
+    this._cancelTimer();
+    this._hasConnected = true;
+    this._retries = 0;
+    this._state = ConnectionState.CONNECTED;
+
+    LOG.info("Connected to room {}", roomName);
+    this._emit(Types.Event.CONNECTED, event);
+}
+
+Connection.prototype._onDisconnected = function(roomName) {
+    if (this._state !== ConnectionState.CONNECTED) {
+        return;
+    }
+
+    LOG.warn("Lost the connection to room {}", this._roomName);
+
+    var willReconnect = this._settings.maxRetries > 0;
+    this._state = willReconnect ? ConnectionState.RECONNECTING : ConnectionState.DISCONNECTED;
+    this._emit(Types.Event.DISCONNECTED, { reason: "connectionLost", roomName: this._roomName, willReconnect: willReconnect });
+
+    if (willReconnect) {
+        this._scheduleRetry("the connection was lost");
+    }
+}
+
+Connection.prototype._onError = function(err) {
+    // Once connected, errors are about individual requests; DubAPI disconnects if they're serious
+    if (this._state === ConnectionState.CONNECTING) {
+        this._onAttemptFailed(String(err && err.message || err));
+    }
+}
+
+Connection.prototype._scheduleRetry = function(reason) {
+    if (this._retries >= this._settings.maxRetries) {
+        LOG.error("Giving up on connecting to room {} after {} retries", this._roomName, this._retries);
+
+        this._state = ConnectionState.DISCONNECTED;
+        this._emit(Types.Event.DISCONNECTED, { reason: "retriesExhausted", roomName: this._roomName, willReconnect: false });
+        return;
+    }
+
+    this._retries++;
+
+    var delay = getRetryDelay(this._retries, this._settings);
+
+    LOG.info("Retrying the connection to room {} in {} ms (retry {} of {})", this._roomName, delay, this._retries, this._settings.maxRetries);
+
+    this._state = ConnectionState.RECONNECTING;
+    this._emit(Types.Event.RECONNECTING, {
+        delayMs: delay,
+        maxRetries: this._settings.maxRetries,
+        reason: reason,
+        retry: this._retries,
+        roomName: this._roomName
+    });
+
+    this._timer = setTimeout((function() {
+        this._timer = null;
+        this._attempt();
+    }).bind(this), delay);
+}
+
+/**
+ * Works out how long to wait before a retry. The delay doubles with each retry, up to
+ * the maximum, and is then randomly shortened by up to half so that many bots which lost
+ * their connections at the same time don't all retry at the same moment.
+ *
+ * @param {integer} retry - Which retry this is, starting from 1
+ * @param {object} settings - The DubBotBase.connection section of config
+ * @returns {integer} The delay in milliseconds
+ */
+function getRetryDelay(retry, settings) {
+    var delay = Math.min(settings.maxRetryDelaySeconds, settings.initialRetryDelaySeconds * Math.pow(2, retry - 1)) * 1000;
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+module.exports = {
+    Connection: Connection,
+    ConnectionState: ConnectionState,
+    getRetryDelay: getRetryDelay
+};
@@ -0,0 +1,163 @@
+"use strict";
+
+/**
+ * Parses cron-style schedules and works out when they next fire.
+ *
+ * An expression has five fields, separated by spaces, which are matched against the
+ * local time:
+ *
+ *     minute (0-59)  hour (0-23)  day of month (1-31)  month (1-12)  day of week (0-7; 0 and 7 are Sunday)
+ *
+ * Each field may be "*", a number, a range ("1-5"), either of the last two followed by a
+ * step ("0-30/10" is every tenth minute from 0 to 30), or a comma-separated list of any
+ * of those. As in most cron implementations, if both the day of month and the day of
+ * week are restricted, a time matches if either of them does.
+ *
+ * The shorthands "@yearly" (or "@annually"), "@monthly", "@weekly", "@daily" (or "@midnight")
+ * and "@hourly" are also accepted.
+ */
+
+var SHORTHANDS = {
+    "@annually": "0 0 1 1 *",
+    "@daily": "0 0 * * *",
+    "@hourly": "0 * * * *",
+    "@midnight": "0 0 * * *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@yearly": "0 0 1 1 *"
+};
+
+var FIELDS = [
+    { max: 59, min: 0, name: "minute" },
+    { max: 23, min: 0, name: "hour" },
+    { max: 31, min: 1, name: "day of month" },
+    { max: 12, min: 1, name: "month" },
+    { max: 7, min: 0, name: "day of week" }
+];
+
+// How far ahead to look for a matching time before deciding the expression never matches (e.g. "0 0 31 2 *")
+var MAX_YEARS_TO_SEARCH = 5;
+
+/**
+ * Parses a cron expression. Throws if the expression is invalid.
+ *
+ * @param {string} expression - The expression to parse
+ */
+function CronExpression(expression) {
+    if (typeof expression !== "string") {
+        throw new Error("A cron expression must be a string");
+    }
+
+    this.expression = expression.trim();
+
+    var fields = (SHORTHANDS[this.expression.toLowerCase()] || this.expression).split(/\s+/);
+
+    if (fields.length !== FIELDS.length) {
+        throw new Error("The cron expression '" + expression + "' should have " + FIELDS.length + " fields, but has " + fields.length);
+    }
+
+    var values = fields.map(function(field, index) {
+        return _parseField(field, FIELDS[index], expression);
+    });
+
+    this._minutes = values[0];
+    this._hours = values[1];
+    this._daysOfMonth = values[2];
+    this._months = values[3];
+    this._daysOfWeek = values[4];
+
+    // Sunday can be written as 0 or 7
+    if (this._daysOfWeek[7]) {
+        this._daysOfWeek[0] = true;
+    }
+
+    this._isDayOfMonthRestricted = fields[2] !== "*";
+    this._isDayOfWeekRestricted = fields[4] !== "*";
+}
+
+/**
+ * Finds the first time after the given one which matches the expression.
+ *
+ * @param {Date} after - Optional. The time to search from (default now)
+ * @returns {Date} The next matching time, or null if the expression never matches
+ */
+CronExpression.prototype.getNextTime = function(after) {
+    var time = new Date(after ? after.getTime() : Date.now());
+    var limit = new Date(time.getTime());
+    limit.setFullYear(limit.getFullYear() + MAX_YEARS_TO_SEARCH);
+
+    // Start from the next whole minute
+    time.setSeconds(0, 0);
+    time.setMinutes(time.getMinutes() + 1);
+
+    while (time < limit) {
+        if (!this._months[time.getMonth() + 1]) {
+            time.setMonth(time.getMonth() + 1, 1);
+            time.setHours(0, 0);
+            continue;
+        }
+
+        if (!this._matchesDay(time)) {
+            time.setDate(time.getDate() + 1);
+            time.setHours(0, 0);
+            continue;
+        }
+
+        if (!this._hours[time.getHours()]) {
+            time.setHours(time.getHours() + 1, 0);
+            continue;
+        }
+
+        if (!this._minutes[time.getMinutes()]) {
+            time.setMinutes(time.getMinutes() + 1);
+            continue;
+        }
+
+        return time;
+    }
+
+    return null;
+}
+
+CronExpression.prototype._matchesDay = function(time) {
+    var matchesDayOfMonth = !!this._daysOfMonth[time.getDate()];
+    var matchesDayOfWeek = !!this._daysOfWeek[time.getDay()];
+
+    if (this._isDayOfMonthRestricted && this._isDayOfWeekRestricted) {
+        return matchesDayOfMonth || matchesDayOfWeek;
+    }
+
+    return matchesDayOfMonth && matchesDayOfWeek;
+}
+
+/**
+ * Parses one field of an expression into a lookup of the values it allows.
+ */
+function _parseField(field, spec, expression) {
+    var allowed = {};
+
+    field.split(",").forEach(function(part) {
+        var match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+
+        if (!match) {
+            throw new Error("The cron expression '" + expression + "' has an invalid " + spec.name + " field: '" + field + "'");
+        }
+
+        var start = match[1] === "*" ? spec.min : Number(match[2]);
+        var end = match[1] === "*" ? spec.max : (match[3] !== undefined ? Number(match[3]) : (match[4] ? spec.max : start));
+        var step = match[4] ? Number(match[4]) : 1;
+
+        if (start < spec.min || end > spec.max || start > end || step < 1) {
+            throw new Error("The cron expression '" + expression + "' has an out of range " + spec.name + " field: '" + field + "'" +
+                            " (must be within " + spec.min + "-" + spec.max + ")");
+        }
+
+        for (var value = start; value <= end; value += step) {
+            allowed[value] = true;
+        }
+    });
+
+    return allowed;
+}
+
+module.exports = CronExpression;
@@ -11,11 +11,39 @@
  */
 
 var Log = require("./log");
+var ChatQueue = require("./chat_queue");
+var Connection = require("./connection");
 var DubAPI = require("dubapi");
+var Errors = require("./errors");
+var FaultTracker = require("./fault_tracker");
 var Translator = require("./translator");
 var Types = require("./types");
 var Utils = require("./utils");
 
+var ActionFailureReason = Types.ActionFailureReason;
+var UserRole = Types.UserRole;
+
+// The roles dubtrack.fm allows to give and remove room roles, and those which can also manage managers
+var ROLES_WHICH_CAN_SET_ROLES = [UserRole.MANAGER, UserRole.COOWNER, UserRole.OWNER];
+var ROLES_WHICH_CAN_SET_MANAGERS = [UserRole.COOWNER, UserRole.OWNER];
+
+// The roles dubtrack.fm allows to skip songs; resident DJs share the VIP level but can't skip
+var ROLES_WHICH_CAN_SKIP = [UserRole.VIP, UserRole.MOD, UserRole.MANAGER, UserRole.COOWNER, UserRole.OWNER];
+
+// Events which DubBotBase raises itself, rather than translating them from dubtrack.fm
+var FRAMEWORK_EVENTS = [
+    Types.Event.CONNECTED,
+    Types.Event.DISCONNECTED,
+    Types.Event.HANDLER_ERROR,
+    Types.Event.MEDIA_POLICY_VIOLATION,
+    Types.Event.RECONNECTING,
+    Types.Event.REPEAT_RULE_VIOLATION,
+    Types.Event.USER_AFK,
+    Types.Event.WAITLIST_JOIN,
+    Types.Event.WAITLIST_LEAVE,
+    Types.Event.WAITLIST_MOVE
+];
+
 var LOG = new Log("DubBotBase-Bot");
 
 var _eventTranslatorMap = {
@@ -28,9 +56,13 @@ var _eventTranslatorMap = {
     'room_playlist-queue-update-dub': Translator.translateRoomPlaylistQueueUpdateEvent,
     'user-ban': Translator.translateModBanEvent,
     'user-join': Translator.translateUserJoinEvent,
+    'user-kick': Translator.translateModKickEvent,
     'user-leave': Translator.translateUserLeaveEvent,
     'user-mute': Translator.translateModMuteEvent,
+    'user-setrole': Translator.translateRoleChangeEvent,
+    'user-unban': Translator.translateModUnbanEvent,
     'user-unmute': Translator.translateModMuteEvent,
+    'user-unsetrole': Translator.translateRoleChangeEvent,
     'user_update': Translator.translateUserUpdateEvent,
     'room_playlist-dub': Translator.translateVoteEvent
 };
@@ -38,13 +70,68 @@ var _eventTranslatorMap = {
 /**
  * Creates a new instance of the bot which will automatically connect to dubtrack.fm
  * and set up some event handling.
+ *
+ * If logging in fails, it's retried with the same backoff as reconnecting to the room (see
+ * DubBotBase.connection in config). If every attempt fails, a DISCONNECTED event is raised.
+ *
+ * @param {object} credentials - The username and password to log in with
+ * @param {object} globalObject - The object representing global application state
+ * @param {function} initializationCompleteCallback - Optional. Called with the bot once login completes
+ * @param {object} backend - Optional. An object to use in place of DubAPI, such as a SimulatedRoom.
+ *                           It must provide a login(credentials, callback) method.
  */
-function Bot(credentials, globalObject, initializationCompleteCallback) {
+function Bot(credentials, globalObject, initializationCompleteCallback, backend) {
     LOG.info("Attempting to log in with email {}", credentials.username);
 
-    new DubAPI(credentials, (function(err, _bot) {
+    // All chat goes through this queue, so that it's sent at a rate dubtrack.fm will accept
+    this.chatQueue = new ChatQueue(this._sendChatImmediately.bind(this), globalObject.config.DubBotBase.chatQueue);
+
+    // Every event handler is called through this, so one failing handler can't break the others
+    this.faultTracker = new FaultTracker(globalObject.config.DubBotBase.faultIsolation, (function(failure) {
+        this._dispatchEvent(Types.Event.HANDLER_ERROR, failure);
+    }).bind(this));
+
+    this._globalObject = globalObject;
+    this._commandPrefixes = globalObject.config.DubBotBase.commandPrefixes || ["!"];
+    this._isMentionPrefixEnabled = !!globalObject.config.DubBotBase.enableMentionPrefix;
+
+    // Set up custom event handling to insulate us from changes in the dubtrack API
+    this.eventHandlers = {};
+    for (var eventKey in Types.Event) {
+        var eventName = Types.Event[eventKey];
+        this.eventHandlers[eventName] = [];
+    }
+
+    var connectionSettings = globalObject.config.DubBotBase.connection;
+    this._connection = new Connection.Connection(connectionSettings, this._dispatchEvent.bind(this));
+
+    var loginAttempts = 0;
+
+    var login = (function() {
+        loginAttempts++;
+
+        if (backend) {
+            backend.login(credentials, onLogin);
+        }
+        else {
+            new DubAPI(credentials, onLogin);
+        }
+    }).bind(this);
+
+    var onLogin = (function(err, _bot) {
         if (err) {
-            throw new Error("Error occurred when logging in: " + err);
+            LOG.error("Error occurred when logging in: {}", err.message || err);
+
+            if (loginAttempts > connectionSettings.maxRetries) {
+                LOG.error("Giving up on logging in after {} attempts", loginAttempts);
+                this._dispatchEvent(Types.Event.DISCONNECTED, { reason: "loginFailed", roomName: null, willReconnect: false });
+                return;
+            }
+
+            var delay = Connection.getRetryDelay(loginAttempts, connectionSettings);
+            LOG.info("Retrying login in {} ms (retry {} of {})", delay, loginAttempts, connectionSettings.maxRetries);
+            setTimeout(login, delay);
+            return;
         }
 
         this.bot = _bot;
@@ -56,23 +143,18 @@ function Bot(credentials, globalObject, initializationCompleteCallback) {
             LOG.error("Unhandled error occurred; swallowing it so bot keeps running. Error: {}", err);
         });
 
-        // Reconnect the bot automatically if it disconnects
-        this.bot.on('disconnected', (function(roomName) {
-            LOG.warn("Disconnected from room {}. Reconnecting..", roomName);
-            this.connect(roomName);
-        }).bind(this));
-
-        // Set up custom event handling to insulate us from changes in the dubtrack API
-        this.eventHandlers = {};
-        for (var eventKey in Types.Event) {
-            var eventName = Types.Event[eventKey];
-            this.eventHandlers[eventName] = [];
-        }
+        // Connecting, reconnecting and announcing changes in the connection are all handled by this
+        this._connection.attach(this.bot);
 
         if (globalObject.config.DubBotBase.logAllEvents) {
             LOG.info("Logging of all events is enabled. Setting up logging event handlers.");
             for (var eventKey in Types.Event) {
                 var eventName = Types.Event[eventKey];
+
+                if (FRAMEWORK_EVENTS.indexOf(eventName) >= 0) {
+                    continue;
+                }
+
                 LOG.info("Hooking into eventKey {}, eventName {}", eventKey, eventName);
                 this.bot.on(eventName, (function(name) {
                     return function(event) {
@@ -86,66 +168,148 @@ function Bot(credentials, globalObject, initializationCompleteCallback) {
             var eventName = Types.Event[eventKey];
             var translatorFunction = _eventTranslatorMap[eventName];
 
-            this.bot.on(eventName, _createEventDispatcher(eventName, translatorFunction, globalObject).bind(this));
+            if (FRAMEWORK_EVENTS.indexOf(eventName) >= 0) {
+                continue;
+            }
+
+            this.bot.on(eventName, _createEventDispatcher(eventName, translatorFunction).bind(this));
         }
 
         if (initializationCompleteCallback) {
             initializationCompleteCallback(this);
         }
-    }).bind(this));
+    }).bind(this);
+
+    if (backend) {
+        LOG.info("Using a custom backend in place of DubAPI");
+    }
+
+    login();
 }
 
 /**
- * Attempts to connect the logged-in bot to a specific dubtrack.fm room.
+ * Bans a user from the room. The bot must be a mod or above, and dubtrack.fm
+ * doesn't allow banning users who have a room role.
+ *
+ * @param {string} userID - The ID of the user to ban
+ * @param {integer} durationInMinutes - Optional. How long to ban the user for; omit or pass 0 to ban permanently
+ * @param {function} callback - Optional. If provided, will be called once the user is banned,
+ *                              or once banning has failed. The callback is passed a Boolean
+ *                              parameter which is true if the user was banned.
+ * @returns {Promise} Resolves once the user is banned, or rejects with a BotActionError
+ */
+Bot.prototype.banUser = function(userID, durationInMinutes, callback) {
+    if (typeof durationInMinutes === "function") {
+        callback = durationInMinutes;
+        durationInMinutes = 0;
+    }
+
+    return this._performAction("banUser", callback, function(done) {
+        return this.bot.moderateBanUser(userID, durationInMinutes || 0, done);
+    }, null, function() {
+        return this._checkCanModerateUser(userID);
+    });
+}
+
+/**
+ * Connects the logged-in bot to a specific dubtrack.fm room. A CONNECTED event is raised
+ * once the bot has joined the room. If the attempt fails, or the connection is later
+ * lost, the bot keeps retrying with increasing delays (raising RECONNECTING before each
+ * retry) until DubBotBase.connection.maxRetries is reached.
  *
  * @param {string} roomName - The name of the room to connect to
  */
 Bot.prototype.connect = function(roomName) {
-    LOG.info("Attempting to connect to room {}", roomName);
-    this.bot.connect(roomName);
+    this._connection.connect(roomName);
+}
+
+/**
+ * Deletes a chat message. The bot must be a mod or above.
+ *
+ * @param {string} chatID - The ID of the message to delete, as found in chat events
+ * @param {function} callback - Optional. If provided, will be called once the message is deleted,
+ *                              or once deleting has failed. The callback is passed a Boolean
+ *                              parameter which is true if the message was deleted.
+ * @returns {Promise} Resolves once the message is deleted, or rejects with a BotActionError
+ */
+Bot.prototype.deleteChatMessage = function(chatID, callback) {
+    return this._performAction("deleteChatMessage", callback, function(done) {
+        return this.bot.moderateDeleteChat(chatID, done);
+    }, null, function() {
+        return this._checkOwnRoleLevel(UserRole.MOD);
+    });
+}
+
+/**
+ * Leaves the room. Unlike losing the connection, this doesn't cause the bot to
+ * reconnect; call connect to rejoin the room.
+ */
+Bot.prototype.disconnect = function() {
+    this._connection.disconnect();
 }
 
 /**
- * Attempts to force skip the current song. The bot must have a position of bouncer
- * or above in the room for this to work.
+ * Attempts to force skip the current song. The bot must be a VIP or above in the
+ * room for this to work; resident DJs can't skip.
  *
  * @param {function} callback - Optional. If provided, will be called once the song
  *                              is skipped or if skipping fails. The callback is passed
  *                              a Boolean parameter which is true if a song was skipped.
  *                              (Skipping can fail for lack of permissions or just because
  *                              there is no current DJ.)
+ * @returns {Promise} Resolves once the song is skipped, or rejects with a BotActionError
  */
 Bot.prototype.forceSkip = function(callback) {
-    var wasSkipQueued = this.bot.moderateForceSkip(function() {
-        if (callback) {
-            callback(true);
+    return this._performAction("forceSkip", callback, function(done) {
+        return this.bot.moderateSkip(done);
+    }, function() {
+        if (!this.bot.getMedia()) {
+            return ActionFailureReason.NOTHING_PLAYING;
+        }
+
+        if (ROLES_WHICH_CAN_SKIP.indexOf(this._getOwnRole()) < 0) {
+            return ActionFailureReason.NOT_PERMITTED;
         }
     });
+}
+
+/**
+ * Returns the prefixes which mark a chat message as a command: those from
+ * DubBotBase.commandPrefixes in config, plus a mention of the bot (e.g. "@mybot")
+ * if DubBotBase.enableMentionPrefix is set.
+ *
+ * @returns {array} The command prefixes
+ */
+Bot.prototype.getCommandPrefixes = function() {
+    var self = this.bot ? this.bot.getSelf() : null;
 
-    // If queuing failed our callback will never trigger, so do it now
-    if (!wasSkipQueued && callback) {
-        callback(false);
+    if (this._isMentionPrefixEnabled && self) {
+        return this._commandPrefixes.concat("@" + self.username);
     }
+
+    return this._commandPrefixes;
 }
 
 /**
- * Makes the bot grab the currently playing song. This can fail if there is
- * no song playing currently, or if the bot has no active playlist.
+ * Gets the state of the bot's connection to the room.
  *
- * @param {function} callback - Optional. If provided, will be called once the bot
- *                              has grabbed, or once grabbing has failed. The callback
- *                              is passed a Boolean parameter which is true if the bot grabbed.
+ * @returns {string} A value from the ConnectionState enum
+ */
+Bot.prototype.getConnectionState = function() {
+    return this._connection.getState();
+}
+
+/**
+ * Would make the bot grab the currently playing song, but dubtrack.fm's API has no way
+ * to grab, so this always fails with ActionFailureReason.NOT_SUPPORTED.
+ *
+ * @param {function} callback - Optional. If provided, will be called with false.
+ * @returns {Promise} Rejects with a BotActionError
  */
 Bot.prototype.grabSong = function(callback) {
-    var wasGrabQueued = this.bot.grab(function() {
-        if (callback) {
-            callback(true);
-        }
+    return this._performAction("grabSong", callback, null, null, function() {
+        return ActionFailureReason.NOT_SUPPORTED;
     });
-
-    if (!wasGrabQueued && callback) {
-        callback(false);
-    }
 }
 
 /**
@@ -156,38 +320,65 @@ Bot.prototype.grabSong = function(callback) {
  *                              has joined the wait list, or once joining has failed.
  *                              The callback is passed a Boolean parameter which is true
  *                              if the bot joined the wait list.
+ * @returns {Promise} Resolves once the bot is in the wait list, or rejects with a BotActionError
  */
 Bot.prototype.joinWaitList = function(callback) {
-    var wasJoinQueued = this.bot.joinBooth(function() {
-        if (callback) {
-            callback(true);
+    return this._performAction("joinWaitList", callback, function(done) {
+        return this.bot.joinBooth(done);
+    }, function() {
+        if (this.bot.getQueuePosition(this.bot.getSelf().id) >= 0) {
+            return ActionFailureReason.ALREADY_IN_WAIT_LIST;
+        }
+
+        var roomMeta = this.bot.getRoomMeta();
+        if (roomMeta && roomMeta.lockQueue) {
+            return ActionFailureReason.WAIT_LIST_LOCKED;
         }
     });
+}
 
-    if (!wasJoinQueued && callback) {
-        callback(false);
+/**
+ * Kicks a user out of the room. The bot must be a mod or above, and dubtrack.fm
+ * doesn't allow kicking users who have a room role.
+ *
+ * @param {string} userID - The ID of the user to kick
+ * @param {string} message - Optional. The reason for the kick, which is shown to the user
+ * @param {function} callback - Optional. If provided, will be called once the user is kicked,
+ *                              or once kicking has failed. The callback is passed a Boolean
+ *                              parameter which is true if the user was kicked.
+ * @returns {Promise} Resolves once the user is kicked, or rejects with a BotActionError
+ */
+Bot.prototype.kickUser = function(userID, message, callback) {
+    if (typeof message === "function") {
+        callback = message;
+        message = undefined;
     }
+
+    return this._performAction("kickUser", callback, function(done) {
+        return this.bot.moderateKickUser(userID, message, done);
+    }, null, function() {
+        return this._checkCanModerateUser(userID);
+    });
 }
 
 /**
- * Attempts to place the bot in the wait list. This will fail if the bot is not in
+ * Attempts to remove the bot from the wait list. This will fail if the bot is not in
  * the wait list to begin with.
  *
  * @param {function} callback - Optional. If provided, will be called once the bot
  *                              has left the wait list, or once leaving has failed.
  *                              The callback is passed a Boolean parameter which is true
  *                              if the bot left the wait list.
+ * @returns {Promise} Resolves once the bot has left the wait list, or rejects with a BotActionError
  */
 Bot.prototype.leaveWaitList = function(callback) {
-    var wasLeaveQueued = this.bot.leaveBooth(function() {
-        if (callback) {
-            callback(true);
+    return this._performAction("leaveWaitList", callback, function(done) {
+        return this.bot.leaveBooth(done);
+    }, function() {
+        if (this.bot.getQueuePosition(this.bot.getSelf().id) < 0) {
+            return ActionFailureReason.NOT_IN_WAIT_LIST;
         }
     });
-
-    if (!wasLeaveQueued && callback) {
-        callback(false);
-    }
 }
 
 /**
@@ -197,17 +388,14 @@ Bot.prototype.leaveWaitList = function(callback) {
  * @param {function} callback - Optional. If provided, will be called once the bot
  *                              has mehed, or once mehing has failed. The callback
  *                              is passed a Boolean parameter which is true if the bot mehed.
+ * @returns {Promise} Resolves once the bot has mehed, or rejects with a BotActionError
  */
 Bot.prototype.mehSong = function(callback) {
-    var wasMehQueued = this.bot.meh(function() {
-        if (callback) {
-            callback(true);
-        }
+    return this._performAction("mehSong", callback, function(done) {
+        return this._vote("downdub", done);
+    }, null, function() {
+        return this._diagnoseVoteFailure("downdub");
     });
-
-    if (!wasMehQueued && callback) {
-        callback(false);
-    }
 }
 
 /**
@@ -220,15 +408,47 @@ Bot.prototype.mehSong = function(callback) {
  *                              is not in the wait list, or already occupies this position in the
  *                              wait list. The callback is passed a Boolean parameter which is
  *                              true if the user was moved.
+ * @returns {Promise} Resolves once the user has been moved, or rejects with a BotActionError
  */
 Bot.prototype.moveDjInWaitList = function(userID, newPosition, callback) {
-    var wasRequestQueued = this.bot.moderateMoveDJ(userID, newPosition, function() {
-        callback(true);
+    return this._performAction("moveDjInWaitList", callback, function(done) {
+        return this.bot.moderateMoveDJ(userID, newPosition, done);
+    }, function() {
+        if (this._getOwnRole().level < Types.UserRole.MOD.level) {
+            return ActionFailureReason.NOT_PERMITTED;
+        }
+
+        if (!this.bot.getUser(userID)) {
+            return ActionFailureReason.USER_NOT_FOUND;
+        }
+
+        var currentPosition = this.bot.getQueuePosition(userID);
+        if (currentPosition < 0) {
+            return ActionFailureReason.NOT_IN_WAIT_LIST;
+        }
+
+        if (currentPosition === newPosition) {
+            return ActionFailureReason.ALREADY_IN_POSITION;
+        }
     });
+}
 
-    if (!wasRequestQueued && callback) {
-        callback(false);
-    }
+/**
+ * Mutes a user, so that their chat messages aren't shown to the room. The bot must
+ * be a mod or above, and dubtrack.fm doesn't allow muting users who have a room role.
+ *
+ * @param {string} userID - The ID of the user to mute
+ * @param {function} callback - Optional. If provided, will be called once the user is muted,
+ *                              or once muting has failed. The callback is passed a Boolean
+ *                              parameter which is true if the user was muted.
+ * @returns {Promise} Resolves once the user is muted, or rejects with a BotActionError
+ */
+Bot.prototype.muteUser = function(userID, callback) {
+    return this._performAction("muteUser", callback, function(done) {
+        return this.bot.moderateMuteUser(userID, done);
+    }, null, function() {
+        return this._checkCanModerateUser(userID);
+    });
 }
 
 /**
@@ -239,9 +459,12 @@ Bot.prototype.moveDjInWaitList = function(userID, newPosition, callback) {
  * that form.
  *
  * If the output message needs to contain "{}" in its literal form for some reason,
- * then pass the string "{}" as the corresponding argument. If there are more sets
- * of curly braces than there are extra arguments to the function, any leftover
- * sets of curly braces will be passed through in their literal form.
+ * then write it as "{{}}". If there are more sets of curly braces than there are extra
+ * arguments to the function, any leftover sets of curly braces will be passed through
+ * in their literal form.
+ *
+ * Placeholders can also name a property (or dotted path) of the first object argument,
+ * and run the value through formatters; see Template for everything they can do.
  *
  * @example <caption>Example of string substitution with primitives.</caption>
  * // outputs "User coolguy has received 5 woots"
@@ -251,11 +474,158 @@ Bot.prototype.moveDjInWaitList = function(userID, newPosition, callback) {
  * // outputs "The event is {"type":"vote"}
  * bot.sendChat("The event is {}", { type: "vote" });
  *
+ * @example <caption>Example of named placeholders and formatters.</caption>
+ * // outputs "@coolguy Now playing: Daft Punk - One More Time (5:20)"
+ * bot.sendChat("{user|mention} Now playing: {play.media.fullTitle|truncate:40} ({play.media.durationInSeconds|clock})",
+ *              { play: roomState.playHistory[0], user: chatEvent });
+ *
+ * Messages aren't sent immediately; they're added to the bot's chat queue (see
+ * DubBotBase.chatQueue in config) at normal priority. Use sendChatWithPriority
+ * to send a message ahead of, or behind, other messages. To send a message from the
+ * MessageCatalog, use sendMessage.
+ *
  * @param {String} message - The message to send from the bot.
+ * @returns {Promise} Resolves once the message has been sent, or rejects with a BotActionError
  */
 Bot.prototype.sendChat = function(message /*, varargs */) {
     message = Utils.replaceStringPlaceholders(message, arguments);
-    this.bot.sendChat(message);
+    return this._queueChat(message, Types.ChatPriority.NORMAL);
+}
+
+/**
+ * Sends a chat message from the bot to the room with a specific priority. Messages
+ * with a higher priority are sent before any queued messages of lower priority.
+ * Placeholders work the same way as in sendChat.
+ *
+ * @example <caption>Sending a moderation notice ahead of everything else.</caption>
+ * bot.sendChatWithPriority(ChatPriority.HIGH, "@{} please keep it clean", username);
+ *
+ * @param {integer} priority - A value from the ChatPriority enum
+ * @param {String} message - The message to send from the bot.
+ * @returns {Promise} Resolves once the message has been sent, or rejects with a BotActionError
+ */
+Bot.prototype.sendChatWithPriority = function(priority, message /*, varargs */) {
+    message = Utils.replaceStringPlaceholders(message, Array.prototype.slice.call(arguments, 1));
+    return this._queueChat(message, priority);
+}
+
+/**
+ * Sends a message from the bot's MessageCatalog, in the room's locale. The message's
+ * placeholders are filled in from the remaining arguments, as in sendChat, and its plural
+ * form (if it has them) is picked by the first argument which is a number.
+ *
+ * @example <caption>Example of sending a message from the catalog.</caption>
+ * // with { "woots": { "one": "{} has {} woot", "other": "{} has {} woots" } } in messages/en.json,
+ * // outputs "coolguy has 1,024 woots"
+ * bot.sendMessage("woots", "coolguy", 1024);
+ *
+ * @param {string} key - The key of the message in the catalog
+ * @returns {Promise} Resolves once the message has been sent, or rejects with a BotActionError
+ *                    (with reason ActionFailureReason.NO_SUCH_MESSAGE if there's no message with the key)
+ */
+Bot.prototype.sendMessage = function(key /*, varargs */) {
+    return this._queueCatalogMessage(key, Array.prototype.slice.call(arguments, 1), Types.ChatPriority.NORMAL);
+}
+
+/**
+ * Sends a message from the bot's MessageCatalog with a specific priority, as
+ * sendChatWithPriority does. Keys and placeholders work the same way as in sendMessage.
+ *
+ * @param {integer} priority - A value from the ChatPriority enum
+ * @param {string} key - The key of the message in the catalog
+ * @returns {Promise} Resolves once the message has been sent, or rejects with a BotActionError
+ */
+Bot.prototype.sendMessageWithPriority = function(priority, key /*, varargs */) {
+    return this._queueCatalogMessage(key, Array.prototype.slice.call(arguments, 2), priority);
+}
+
+/**
+ * Gives a user a room role, replacing any role they had. The bot must be a manager
+ * or above, and only co-owners can make other users managers or co-owners.
+ *
+ * @param {string} userID - The ID of the user to give the role to
+ * @param {object} role - The role to give, from the UserRole enum. Must be a role which exists
+ *                        on dubtrack.fm, or the action fails with ActionFailureReason.INVALID_ROLE;
+ *                        use unsetUserRole to take a user's role away.
+ * @param {function} callback - Optional. If provided, will be called once the role is set,
+ *                              or once setting it has failed. The callback is passed a Boolean
+ *                              parameter which is true if the role was set.
+ * @returns {Promise} Resolves once the role is set, or rejects with a BotActionError
+ */
+Bot.prototype.setUserRole = function(userID, role, callback) {
+    var roleID = Translator.translateRoleToDubtrack(role);
+
+    return this._performAction("setUserRole", callback, function(done) {
+        return this.bot.moderateSetRole(userID, roleID, done);
+    }, null, function() {
+        if (!roleID) {
+            return ActionFailureReason.INVALID_ROLE;
+        }
+
+        return this._checkCanSetRole(role);
+    });
+}
+
+/**
+ * Lifts a user's ban from the room. The bot must be a mod or above.
+ *
+ * @param {string} userID - The ID of the user to unban
+ * @param {function} callback - Optional. If provided, will be called once the user is unbanned,
+ *                              or once unbanning has failed. The callback is passed a Boolean
+ *                              parameter which is true if the user was unbanned.
+ * @returns {Promise} Resolves once the user is unbanned, or rejects with a BotActionError
+ */
+Bot.prototype.unbanUser = function(userID, callback) {
+    return this._performAction("unbanUser", callback, function(done) {
+        return this.bot.moderateUnbanUser(userID, done);
+    }, null, function() {
+        return this._checkOwnRoleLevel(UserRole.MOD);
+    });
+}
+
+/**
+ * Unmutes a user. The bot must be a mod or above.
+ *
+ * @param {string} userID - The ID of the user to unmute
+ * @param {function} callback - Optional. If provided, will be called once the user is unmuted,
+ *                              or once unmuting has failed. The callback is passed a Boolean
+ *                              parameter which is true if the user was unmuted.
+ * @returns {Promise} Resolves once the user is unmuted, or rejects with a BotActionError
+ */
+Bot.prototype.unmuteUser = function(userID, callback) {
+    return this._performAction("unmuteUser", callback, function(done) {
+        return this.bot.moderateUnmuteUser(userID, done);
+    }, null, function() {
+        return this._checkOwnRoleLevel(UserRole.MOD);
+    });
+}
+
+/**
+ * Removes a user's room role. The user must be in the room. The bot must be a manager
+ * or above, and only co-owners can remove the role of managers or co-owners.
+ *
+ * @param {string} userID - The ID of the user whose role should be removed
+ * @param {function} callback - Optional. If provided, will be called once the role is removed,
+ *                              or once removing it has failed. The callback is passed a Boolean
+ *                              parameter which is true if the role was removed.
+ * @returns {Promise} Resolves once the role is removed, or rejects with a BotActionError
+ */
+Bot.prototype.unsetUserRole = function(userID, callback) {
+    return this._performAction("unsetUserRole", callback, function(done) {
+        return this.bot.moderateUnsetRole(userID, this.bot.getUser(userID).role, done);
+    }, null, function() {
+        var user = this.bot.getUser(userID);
+
+        if (!user) {
+            return ActionFailureReason.USER_NOT_FOUND;
+        }
+
+        if (!user.role) {
+            return ActionFailureReason.USER_HAS_NO_ROLE;
+        }
+
+        return this._checkCanSetRole(Translator.translateRole(user.role));
+    });
 }
 
 /**
@@ -265,28 +635,30 @@ Bot.prototype.sendChat = function(message /*, varargs */) {
  * @param {function} callback - Optional. If provided, will be called once the bot
  *                              has wooted, or once wooting has failed. The callback
  *                              is passed a Boolean parameter which is true if the bot wooted.
+ * @returns {Promise} Resolves once the bot has wooted, or rejects with a BotActionError
  */
 Bot.prototype.wootSong = function(callback) {
-    var wasWootQueued = this.bot.woot(function() {
-        if (callback) {
-            callback(true);
-        }
+    return this._performAction("wootSong", callback, function(done) {
+        return this._vote("updub", done);
+    }, null, function() {
+        return this._diagnoseVoteFailure("updub");
     });
-
-    if (!wasWootQueued && callback) {
-        callback(false);
-    }
 }
 
 /**
  * Subscribes to the specified event. The given callback will be called with an
  * event object which is specific to each event.
  *
+ * If the callback throws, the error is logged and reported through the HANDLER_ERROR event,
+ * and the event's other callbacks still run. If a 'source' is given, repeated failures will
+ * disable the callback along with everything else from the same source; see FaultTracker.
+ *
  * @param {string} eventName - The event to subscribe to, from the Event enum
  * @param {function} callback - A function to call when the event is triggered
  * @param {object} context - An optional context which will be set when calling the callback
+ * @param {string} source - Optional. The file path of the module the callback belongs to
  */
-Bot.prototype.on = function(eventName, callback, /* optional */ context) {
+Bot.prototype.on = function(eventName, callback, /* optional */ context, /* optional */ source) {
     if (!this.eventHandlers[eventName]) {
         LOG.error("Received a request to hook into an unknown event called '{}'. Request will be ignored.", eventName);
         return;
@@ -294,8 +666,233 @@ Bot.prototype.on = function(eventName, callback, /* optional */ context) {
 
     this.eventHandlers[eventName].push({
         callback: callback,
-        context: context
+        context: context,
+        source: source
+    });
+}
+
+/**
+ * Unsubscribes a callback which was previously subscribed with Bot.on. The
+ * callback and context must be the same ones which were passed to Bot.on.
+ *
+ * @param {string} eventName - The event to unsubscribe from, from the Event enum
+ * @param {function} callback - The callback which was subscribed
+ * @param {object} context - The context which was subscribed along with the callback, if any
+ * @returns {boolean} True if the callback was found and unsubscribed
+ */
+Bot.prototype.off = function(eventName, callback, /* optional */ context) {
+    var handlers = this.eventHandlers[eventName];
+
+    if (!handlers) {
+        LOG.error("Received a request to unhook from an unknown event called '{}'. Request will be ignored.", eventName);
+        return false;
+    }
+
+    for (var i = 0; i < handlers.length; i++) {
+        if (handlers[i].callback === callback && handlers[i].context === context) {
+            handlers.splice(i, 1);
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Runs one of the bot's actions, reporting the outcome both through the returned
+ * Promise and to the caller's Boolean callback, if there is one.
+ *
+ * DubAPI only tells us whether a request could be queued, not why it couldn't, so
+ * when an action fails up front we look at the state of the room to work out a reason.
+ *
+ * @param {string} actionName - The name of the public method being run, for error reporting
+ * @param {function} callback - Optional. The caller's Boolean callback
+ * @param {function} queueRequest - Called with a completion function. Should ask DubAPI to
+ *                                  perform the action and return true if the request was queued.
+ * @param {function} diagnoseFailure - Optional. Called when the request couldn't be queued;
+ *                                     returns a reason from ActionFailureReason, if one can be found.
+ * @param {function} checkPreconditions - Optional. Called before the request is made; returns a reason
+ *                                        from ActionFailureReason if the action shouldn't be attempted.
+ * @returns {Promise} Resolves if the action succeeds, or rejects with a BotActionError
+ */
+Bot.prototype._performAction = function(actionName, callback, queueRequest, diagnoseFailure, checkPreconditions) {
+    var promise = new Promise((function(resolve, reject) {
+        var fail = function(reason) {
+            reject(new Errors.BotActionError(actionName, reason, "Action " + actionName + " failed: " + reason));
+        };
+
+        if (!this.bot.getSelf()) {
+            fail(ActionFailureReason.NOT_CONNECTED);
+            return;
+        }
+
+        var preconditionFailure = checkPreconditions && checkPreconditions.call(this);
+        if (preconditionFailure) {
+            fail(preconditionFailure);
+            return;
+        }
+
+        var wasQueued = queueRequest.call(this, function(statusCode) {
+            // DubAPI passes along the HTTP status code of the request it made for us
+            if (typeof statusCode === "number" && statusCode !== 200) {
+                fail(ActionFailureReason.REQUEST_FAILED);
+            }
+            else {
+                resolve();
+            }
+        });
+
+        if (!wasQueued) {
+            fail((diagnoseFailure && diagnoseFailure.call(this)) || ActionFailureReason.UNKNOWN);
+        }
+    }).bind(this));
+
+    // Callers using callbacks (or nothing at all) won't handle the rejection themselves,
+    // so handle it here; otherwise every failure would be an unhandled rejection.
+    promise.then(function() {
+        if (callback) {
+            callback(true);
+        }
+    }, function(err) {
+        LOG.warn(err.message);
+
+        if (callback) {
+            callback(false);
+        }
     });
+
+    return promise;
+}
+
+Bot.prototype._queueCatalogMessage = function(key, args, priority) {
+    var catalog = this._globalObject.messageCatalog;
+    var message = catalog ? catalog.format(key, args) : null;
+
+    if (message === null) {
+        var promise = Promise.reject(new Errors.BotActionError("sendMessage", ActionFailureReason.NO_SUCH_MESSAGE,
+                                                               "There's no message with the key '" + key + "'"));
+
+        // Most callers don't handle the rejection, and a missing message shouldn't bring the bot down
+        promise.then(null, function(err) {
+            LOG.warn(err.message);
+        });
+
+        return promise;
+    }
+
+    return this._queueChat(message, priority);
+}
+
+Bot.prototype._queueChat = function(message, priority) {
+    var promise = this.chatQueue.enqueue(message, priority);
+
+    // Failures to send are logged by _performAction, but dropped messages never get that far
+    promise.then(null, function(err) {
+        if (err.reason === ActionFailureReason.MESSAGE_DROPPED) {
+            LOG.warn("{}. Message: {}", err.message, message);
+        }
+    });
+
+    return promise;
+}
+
+Bot.prototype._sendChatImmediately = function(message) {
+    return this._performAction("sendChat", null, function(done) {
+        this.bot.sendChat(message, done);
+        return true;
+    });
+}
+
+/**
+ * Checks whether the bot can ban, kick or mute a user. dubtrack.fm doesn't allow
+ * these actions against anyone with a room role.
+ */
+Bot.prototype._checkCanModerateUser = function(userID) {
+    var permissionFailure = this._checkOwnRoleLevel(UserRole.MOD);
+    if (permissionFailure) {
+        return permissionFailure;
+    }
+
+    var user = this.bot.getUser(userID);
+    if (user && user.role) {
+        return ActionFailureReason.USER_IS_STAFF;
+    }
+}
+
+/**
+ * Checks whether the bot can give or take away the given role.
+ */
+Bot.prototype._checkCanSetRole = function(role) {
+    var ownRole = this._getOwnRole();
+    var isManagerRole = role === UserRole.MANAGER || role === UserRole.COOWNER;
+    var allowedRoles = isManagerRole ? ROLES_WHICH_CAN_SET_MANAGERS : ROLES_WHICH_CAN_SET_ROLES;
+
+    if (allowedRoles.indexOf(ownRole) < 0) {
+        return ActionFailureReason.NOT_PERMITTED;
+    }
+}
+
+Bot.prototype._checkOwnRoleLevel = function(minimumRole) {
+    if (this._getOwnRole().level < minimumRole.level) {
+        return ActionFailureReason.NOT_PERMITTED;
+    }
+}
+
+Bot.prototype._diagnoseVoteFailure = function(dubtype) {
+    if (!this.bot.getMedia()) {
+        return ActionFailureReason.NOTHING_PLAYING;
+    }
+
+    if (this.bot.getSelf().dub === dubtype) {
+        return ActionFailureReason.ALREADY_VOTED;
+    }
+}
+
+Bot.prototype._getOwnRole = function() {
+    return Translator.translateRole(this.bot.getSelf().role);
+}
+
+/**
+ * Votes on the current song. DubAPI's updub and downdub don't say whether the vote was
+ * queued, so _diagnoseVoteFailure makes the same checks they do before we get here.
+ *
+ * @param {string} dubtype - "updub" or "downdub", which is also the name of the DubAPI method
+ * @param {function} done - The completion function from _performAction
+ * @returns {boolean} Always true
+ */
+Bot.prototype._vote = function(dubtype, done) {
+    this.bot[dubtype](done);
+    return true;
+}
+
+/**
+ * Calls each of an event's handlers with an event object, isolating them from one another.
+ *
+ * @param {string} eventName - The event name from the Event enum
+ * @param {object} event - The event object to pass to each handler
+ */
+Bot.prototype._dispatchEvent = function(eventName, event) {
+    // Copy the handler list, in case a handler subscribes or unsubscribes while we're dispatching
+    var handlers = this.eventHandlers[eventName].slice();
+
+    event.eventName = eventName;
+
+    for (var i = 0; i < handlers.length; i++) {
+        if (eventName === Types.Event.HANDLER_ERROR) {
+            // Report failures while handling a failure only in the log, so they can't cascade
+            try {
+                handlers[i].callback.call(handlers[i].context, event, this._globalObject);
+            }
+            catch (e) {
+                LOG.error("Error in a handler for event '{}'. Error: {}", eventName, e.stack || e);
+            }
+
+            continue;
+        }
+
+        this.faultTracker.run({ eventName: eventName, source: handlers[i].source },
+                              handlers[i].callback, handlers[i].context, [event, this._globalObject]);
+    }
 }
 
 /**
@@ -303,29 +900,22 @@ Bot.prototype.on = function(eventName, callback, /* optional */ context) {
  *
  * @param {string} internalEventName - The event name from the Event enum
  * @param {function} translator - A function which translates from the DubAPI event to an internal model
- * @param {object} globalObject - The object representing global application state
  * @returns {function} An event dispatcher function appropriate to the event
  */
-function _createEventDispatcher(internalEventName, translator, globalObject) {
+function _createEventDispatcher(internalEventName, translator) {
     return function(event) {
-        var handlers = this.eventHandlers[internalEventName];
-
         if (!translator) {
             LOG.error("Could not find a translator for internalEventName {}", internalEventName);
             return;
         }
 
-        var internalObject = translator(event);
+        var internalObject = translator(event, { commandPrefixes: this.getCommandPrefixes() });
 
         if (!internalObject) {
             return;
         }
 
-        internalObject.eventName = internalEventName;
-
-        for (var i = 0; i < handlers.length; i++) {
-            handlers[i].callback.call(handlers[i].context, internalObject, globalObject);
-        }
+        this._dispatchEvent(internalEventName, internalObject);
     };
 }
 
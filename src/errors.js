@@ -0,0 +1,51 @@
+"use strict";
+
+/**
+ * Error types raised by DubBotBase.
+ */
+
+var util = require("util");
+
+/**
+ * The error a Bot action's Promise is rejected with when the action fails.
+ *
+ * @param {string} action - The name of the Bot method which failed, e.g. "forceSkip"
+ * @param {string} reason - Why the action failed, from the ActionFailureReason enum
+ * @param {string} message - A human-readable description of the failure
+ */
+function BotActionError(action, reason, message) {
+    Error.call(this);
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, BotActionError);
+    }
+
+    this.name = "BotActionError";
+    this.action = action;
+    this.reason = reason;
+    this.message = message;
+}
+
+util.inherits(BotActionError, Error);
+
+/**
+ * The error thrown at startup when configuration doesn't match its schema.
+ *
+ * @param {array} failures - A human-readable message for each problem found
+ */
+function ConfigValidationError(failures) {
+    Error.call(this);
+
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, ConfigValidationError);
+    }
+
+    this.name = "ConfigValidationError";
+    this.failures = failures;
+    this.message = "Configuration is invalid:\n  " + failures.join("\n  ");
+}
+
+util.inherits(ConfigValidationError, Error);
+
+exports.BotActionError = BotActionError;
+exports.ConfigValidationError = ConfigValidationError;
@@ -0,0 +1,149 @@
+"use strict";
+
+/**
+ * Keeps a failing command, event listener or middleware from affecting anything else.
+ *
+ * Every handler the framework calls goes through FaultTracker.run, which catches and reports
+ * anything the handler throws, so the remaining handlers for the same event still run.
+ * Failures are counted for each module, identified by its file path. A module which fails
+ * maxFailures times within windowSeconds is disabled: none of its handlers are called until
+ * it's re-enabled (by a mod, or by the bot itself) or its file is hot reloaded.
+ *
+ * Handlers which don't belong to a module, such as those the framework registers for itself,
+ * are isolated and reported in the same way, but are never disabled.
+ */
+
+var Log = require("./log");
+
+var LOG = new Log("DubBotBase-FaultTracker");
+
+/**
+ * Creates a new tracker with no recorded failures.
+ *
+ * @param {object} settings - The DubBotBase.faultIsolation section of config, with 'maxFailures'
+ *                            (0 to never disable a module) and 'windowSeconds'
+ * @param {function} onFailure - Optional. Called with a description of each failure, as
+ *                               described for the HANDLER_ERROR event
+ */
+function FaultTracker(settings, onFailure) {
+    this._settings = settings || {};
+    this._onFailure = onFailure;
+    this._failures = {}; // maps a module's file path to the times of its recent failures
+    this._disabled = {}; // maps the file path of each disabled module to the error which disabled it
+}
+
+/**
+ * Re-enables a module which was disabled for failing, and forgets its previous failures.
+ *
+ * @param {string} source - The file path of the module
+ * @returns {boolean} True if the module had been disabled
+ */
+FaultTracker.prototype.enable = function(source) {
+    var wasDisabled = this.isDisabled(source);
+
+    delete this._disabled[source];
+    delete this._failures[source];
+
+    if (wasDisabled) {
+        LOG.info("Module {} has been re-enabled", source);
+    }
+
+    return wasDisabled;
+}
+
+/**
+ * Lists the modules which are currently disabled.
+ *
+ * @returns {array} The file path of each disabled module
+ */
+FaultTracker.prototype.getDisabledSources = function() {
+    return Object.keys(this._disabled).sort();
+}
+
+/**
+ * Checks whether a module has been disabled for failing.
+ *
+ * @param {string} source - The file path of the module
+ * @returns {boolean} True if the module is disabled
+ */
+FaultTracker.prototype.isDisabled = function(source) {
+    return !!source && Object.prototype.hasOwnProperty.call(this._disabled, source);
+}
+
+/**
+ * Calls a handler, catching anything it throws. If the handler's module is disabled,
+ * the handler isn't called at all.
+ *
+ * @param {object} handlerInfo - Describes the handler: its 'source' (the file path of its module,
+ *                               or null if it isn't part of one), the 'eventName' it's handling and,
+ *                               for commands, the 'command' trigger being run
+ * @param {function} handler - The handler to call
+ * @param {object} context - The context to call the handler with
+ * @param {array} args - The arguments to call the handler with
+ * @returns {mixed} Whatever the handler returns, or undefined if it threw or wasn't called
+ */
+FaultTracker.prototype.run = function(handlerInfo, handler, context, args) {
+    if (this.isDisabled(handlerInfo.source)) {
+        LOG.debug("Not calling a handler for event '{}' because module {} is disabled", handlerInfo.eventName, handlerInfo.source);
+        return;
+    }
+
+    try {
+        return handler.apply(context, args);
+    }
+    catch (e) {
+        this._recordFailure(handlerInfo, handler, e);
+    }
+}
+
+FaultTracker.prototype._recordFailure = function(handlerInfo, handler, error) {
+    var source = handlerInfo.source;
+    var description = source ? "Module " + source : "Handler " + (handler.name || "(anonymous)");
+
+    if (handlerInfo.command) {
+        description += " (command '" + handlerInfo.command + "')";
+    }
+
+    LOG.error("{} threw an error while handling event '{}'. Error: {}", description, handlerInfo.eventName, error && error.stack || error);
+
+    var failure = {
+        command: handlerInfo.command || null,
+        error: error,
+        failureCount: 1,
+        handledEventName: handlerInfo.eventName,
+        isNowDisabled: false,
+        source: source || null
+    };
+
+    if (source) {
+        var now = Date.now();
+        var cutoff = now - this._settings.windowSeconds * 1000;
+
+        var failures = (this._failures[source] || []).filter(function(timestamp) {
+            return timestamp > cutoff;
+        });
+
+        failures.push(now);
+        this._failures[source] = failures;
+        failure.failureCount = failures.length;
+
+        if (this._settings.maxFailures > 0 && failures.length >= this._settings.maxFailures && !this.isDisabled(source)) {
+            this._disabled[source] = error;
+            failure.isNowDisabled = true;
+
+            LOG.warn("Module {} has failed {} times in the last {} seconds and has been disabled. It will stay disabled until it's re-enabled or reloaded.",
+                     source, failures.length, this._settings.windowSeconds);
+        }
+    }
+
+    if (this._onFailure) {
+        try {
+            this._onFailure(failure);
+        }
+        catch (e) {
+            LOG.error("Error while reporting a handler failure. Error: {}", e.stack || e);
+        }
+    }
+}
+
+module.exports = FaultTracker;
@@ -0,0 +1,184 @@
+"use strict";
+
+/**
+ * The built-in help command, which lists the commands a user can use and shows
+ * how to use each of them. It's built from optional metadata exported by each
+ * command module:
+ *
+ *   description: A short sentence saying what the command does
+ *   usage: How to invoke the command, e.g. "!mute <user> [minutes]". If omitted, it's
+ *          generated from the command's 'args' spec, if it has one.
+ *   hidden: If true, the command isn't included when listing commands, though its
+ *           usage can still be looked up by name
+ *
+ * Subcommands can have the same metadata, and are shown with "!help <command> <subcommand>".
+ *
+ * The help command is disabled by default; see DubBotBase.helpCommand in config.
+ */
+
+var CommandArgs = require("./command_args");
+var CommandRouter = require("./command_router");
+var Types = require("./types");
+
+/**
+ * Creates the help command module.
+ *
+ * @param {array} commands - The registered command modules. This array is read each time
+ *                           help is requested, so commands added or reloaded later are included.
+ * @param {object} settings - The DubBotBase.helpCommand section of config
+ * @returns {object} A command module which can be registered like any other
+ */
+function create(commands, settings) {
+    return {
+        args: [
+            { name: "command", optional: true, rest: true }
+        ],
+        description: "Lists the commands you can use, or shows how to use one of them",
+        handler: function(chatEvent, globalObject) {
+            var topic = chatEvent.parsedArgs.command;
+
+            if (!topic || /^\d+$/.test(topic)) {
+                _sendCommandList(commands, settings, chatEvent, globalObject, topic ? Number(topic) : 1);
+            }
+            else {
+                _sendCommandDetails(commands, chatEvent, globalObject, topic);
+            }
+        },
+        triggers: settings.triggers
+    };
+}
+
+/**
+ * Returns the usage string for a command: its own 'usage' if it has one, otherwise
+ * one generated from its 'args' spec, otherwise just its trigger.
+ *
+ * @param {object} command - The command module
+ * @param {string} prefix - Optional. The command prefix to show in generated usage (default "!")
+ * @returns {string} The command's usage
+ */
+function getUsage(command, prefix) {
+    if (command.usage) {
+        return command.usage;
+    }
+
+    return CommandArgs.formatUsage(command.triggers[0], command.args, prefix);
+}
+
+/**
+ * Checks that a command module's help metadata is well-formed. Throws if it isn't.
+ *
+ * @param {object} command - The command module
+ */
+function validateMetadata(command) {
+    ["description", "usage"].forEach(function(key) {
+        if (key in command && typeof command[key] !== "string") {
+            throw new Error("'" + key + "' must be a string, but found " + typeof command[key]);
+        }
+    });
+
+    if ("hidden" in command && typeof command.hidden !== "boolean") {
+        throw new Error("'hidden' must be a boolean, but found " + typeof command.hidden);
+    }
+}
+
+function _canUse(command, userRole) {
+    return !command.minimumRole || userRole.level >= command.minimumRole.level;
+}
+
+function _sendCommandDetails(commands, chatEvent, globalObject, topic) {
+    var bot = globalObject.bot;
+    var config = globalObject.config.DubBotBase;
+    var prefix = chatEvent.prefix;
+
+    // Look the topic up exactly as though it had been typed as a command, so aliases and subcommands work
+    var words = topic.split(/\s+/);
+    var topicEvent = CommandRouter.withArguments(chatEvent, words[0].replace(/^!/, ""), words.slice(1).join(" "));
+    topicEvent = CommandRouter.expandAlias(topicEvent, config.commandAliases, commands, config.areCommandsCaseSensitive);
+
+    var command = CommandRouter.findCommand(commands, topicEvent.command, config.areCommandsCaseSensitive);
+
+    if (command) {
+        command = CommandRouter.resolveSubcommand(command, topicEvent, config.areCommandsCaseSensitive).command;
+    }
+
+    // Commands the user can't use are treated as though they don't exist
+    if (!command || !_canUse(command, chatEvent.userRole)) {
+        bot.sendMessage("dubbotbase.help.noSuchCommand", chatEvent.username,
+                     CommandRouter.formatCommand(prefix, topic.replace(/^!/, "")), CommandRouter.formatCommand(prefix, chatEvent.command));
+        return;
+    }
+
+    var details = CommandRouter.formatCommand(prefix, command.triggers[0]);
+
+    if (command.triggers.length > 1) {
+        details += " (also " + command.triggers.slice(1).map(function(trigger) {
+            return CommandRouter.formatCommand(prefix, trigger);
+        }).join(", ") + ")";
+    }
+
+    if (command.description) {
+        details += ": " + command.description + (/[.!?]$/.test(command.description) ? "" : ".");
+    }
+    else {
+        details += ".";
+    }
+
+    if (command.handler) {
+        details += " Usage: " + getUsage(command, prefix);
+    }
+
+    if (command.subcommands) {
+        var subcommandNames = Object.keys(command.subcommands).filter(function(name) {
+            return _canUse(CommandRouter.getSubcommand(command, name), chatEvent.userRole);
+        });
+
+        details += " Subcommands: " + subcommandNames.join(", ") + ".";
+    }
+
+    if (command.minimumRole && command.minimumRole !== Types.UserRole.NONE) {
+        details += " (requires " + command.minimumRole.name + " or above)";
+    }
+
+    bot.sendMessage("dubbotbase.help.details", chatEvent.username, details);
+}
+
+/**
+ * Sends one page of the list of commands the user can use. Each page is a single
+ * chat message, so asking for help never floods the room.
+ */
+function _sendCommandList(commands, settings, chatEvent, globalObject, page) {
+    var bot = globalObject.bot;
+
+    var names = commands.filter(function(command) {
+        return !command.hidden && _canUse(command, chatEvent.userRole);
+    }).map(function(command) {
+        return CommandRouter.formatCommand(chatEvent.prefix, command.triggers[0]);
+    }).sort();
+
+    var pageCount = Math.max(1, Math.ceil(names.length / settings.commandsPerPage));
+    page = Math.max(1, page);
+
+    if (page > pageCount) {
+        bot.sendMessage("dubbotbase.help.noSuchPage", chatEvent.username, pageCount);
+        return;
+    }
+
+    var pageNames = names.slice((page - 1) * settings.commandsPerPage, page * settings.commandsPerPage).join(", ");
+    var helpCommand = CommandRouter.formatCommand(chatEvent.prefix, chatEvent.command);
+
+    if (pageCount === 1) {
+        bot.sendMessage("dubbotbase.help.list", chatEvent.username, pageNames, helpCommand);
+    }
+    else if (page < pageCount) {
+        bot.sendMessage("dubbotbase.help.listPage", chatEvent.username, page, pageCount, pageNames, helpCommand, helpCommand, page + 1);
+    }
+    else {
+        bot.sendMessage("dubbotbase.help.listLastPage", chatEvent.username, page, pageCount, pageNames, helpCommand);
+    }
+}
+
+module.exports = {
+    create: create,
+    getUsage: getUsage,
+    validateMetadata: validateMetadata
+};
@@ -0,0 +1,220 @@
+"use strict";
+
+/**
+ * Answers questions about play history, such as who DJed the most today, which songs
+ * got the most woots this week, or what a user has played.
+ *
+ * Plays are the objects found in roomState.playHistory: each has the 'media' played,
+ * its 'startDate', the 'user' who played it and its 'votes' ('woots', 'mehs' and
+ * 'grabs', each a list of user IDs). A play's score is its woots minus its mehs.
+ *
+ * Start with getPlays, which reads the full stored history when persistence is enabled
+ * (so it can reach further back than roomState.playHistory), then filter the plays and
+ * pass them to any of the aggregate functions.
+ */
+
+// The fields aggregate stats can be sorted by
+var SORT_FIELDS = ["grabs", "lastPlayed", "mehs", "plays", "score", "woots"];
+
+/**
+ * Keeps only the plays which match all of the given filters.
+ *
+ * @param {array} plays - The plays to filter, newest first
+ * @param {object} filters - Optional. May contain any of the following:
+ *                           contentID: only plays of this media
+ *                           userID: only plays by this DJ
+ *                           since: only plays which started at or after this time (a Date or timestamp)
+ *                           until: only plays which started before this time (a Date or timestamp)
+ *                           minimumScore: only plays whose woots minus mehs is at least this
+ *                           limit: at most this many plays, keeping the newest
+ * @returns {array} The matching plays, in the same order
+ */
+function filterPlays(plays, filters) {
+    filters = filters || {};
+
+    var since = filters.since !== undefined ? new Date(filters.since).getTime() : null;
+    var until = filters.until !== undefined ? new Date(filters.until).getTime() : null;
+
+    var matches = plays.filter(function(play) {
+        var startTime = new Date(play.startDate).getTime();
+
+        if (filters.contentID !== undefined && (!play.media || play.media.contentID !== filters.contentID)) {
+            return false;
+        }
+
+        if (filters.userID !== undefined && (!play.user || play.user.userID !== filters.userID)) {
+            return false;
+        }
+
+        if ((since !== null && startTime < since) || (until !== null && startTime >= until)) {
+            return false;
+        }
+
+        if (filters.minimumScore !== undefined && getScore(play) < filters.minimumScore) {
+            return false;
+        }
+
+        return true;
+    });
+
+    if (filters.limit !== undefined && matches.length > filters.limit) {
+        matches.length = filters.limit;
+    }
+
+    return matches;
+}
+
+/**
+ * Adds up the plays and votes for each piece of media.
+ *
+ * @param {array} plays - The plays to count
+ * @param {string} sortBy - Optional. Which field to sort by, highest first: "plays" (the default),
+ *                          "woots", "mehs", "grabs", "score" or "lastPlayed"
+ * @returns {array} An object for each piece of media, with its 'contentID', the 'fullTitle' it was
+ *                  last played under, and the totals and ratios described for getTotals
+ */
+function getContentStats(plays, sortBy) {
+    return _groupPlays(plays, sortBy, function(play) {
+        return play.media ? play.media.contentID : null;
+    }, function(play) {
+        return { contentID: play.media.contentID, fullTitle: play.media.fullTitle };
+    });
+}
+
+/**
+ * Adds up the plays and votes for each DJ.
+ *
+ * @param {array} plays - The plays to count
+ * @param {string} sortBy - Optional. Which field to sort by, highest first: "plays" (the default),
+ *                          "woots", "mehs", "grabs", "score" or "lastPlayed"
+ * @returns {array} An object for each DJ, with their 'userID', the 'username' they last played
+ *                  under, and the totals and ratios described for getTotals
+ */
+function getDjStats(plays, sortBy) {
+    return _groupPlays(plays, sortBy, function(play) {
+        return play.user ? play.user.userID : null;
+    }, function(play) {
+        return { userID: play.user.userID, username: play.user.username };
+    });
+}
+
+/**
+ * Gets play history to query. When the room state store can provide it, this is the full
+ * stored history; otherwise it's the history held in memory.
+ *
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} filters - Optional. Filters to apply, as described for filterPlays
+ * @returns {array} The plays, newest first
+ */
+function getPlays(globalObject, filters) {
+    var store = globalObject.roomStateStore;
+    var plays = store && typeof store.getPlayHistory === "function" ? store.getPlayHistory() : globalObject.roomState.playHistory;
+
+    return filterPlays(plays, filters);
+}
+
+/**
+ * @param {object} play - A play
+ * @returns {integer} The play's woots minus its mehs
+ */
+function getScore(play) {
+    return play.votes.woots.length - play.votes.mehs.length;
+}
+
+/**
+ * Adds up the votes across a number of plays.
+ *
+ * @param {array} plays - The plays to count
+ * @returns {object} The number of 'plays'; the total 'woots', 'mehs', 'grabs' and 'score'; the
+ *                   'averageScore' per play; the 'wootRatio', which is the fraction of woots and mehs
+ *                   which were woots (null if there were neither); the 'grabsPerPlay'; and the Date
+ *                   the most recent play started ('lastPlayed', null if there were no plays)
+ */
+function getTotals(plays) {
+    var totals = {
+        grabs: 0,
+        lastPlayed: null,
+        mehs: 0,
+        plays: 0,
+        woots: 0
+    };
+
+    plays.forEach(function(play) {
+        _addPlay(totals, play);
+    });
+
+    return _finishTotals(totals);
+}
+
+function _addPlay(totals, play) {
+    var startDate = new Date(play.startDate);
+
+    totals.plays++;
+    totals.woots += play.votes.woots.length;
+    totals.mehs += play.votes.mehs.length;
+    totals.grabs += play.votes.grabs.length;
+
+    if (!totals.lastPlayed || startDate > totals.lastPlayed) {
+        totals.lastPlayed = startDate;
+    }
+}
+
+function _finishTotals(totals) {
+    totals.score = totals.woots - totals.mehs;
+    totals.averageScore = totals.plays > 0 ? totals.score / totals.plays : 0;
+    totals.grabsPerPlay = totals.plays > 0 ? totals.grabs / totals.plays : 0;
+    totals.wootRatio = totals.woots + totals.mehs > 0 ? totals.woots / (totals.woots + totals.mehs) : null;
+
+    return totals;
+}
+
+/**
+ * Totals up plays in groups, sorted by one of the totals. Plays which getKey returns null
+ * for aren't counted.
+ */
+function _groupPlays(plays, sortBy, getKey, describe) {
+    sortBy = sortBy || "plays";
+
+    if (SORT_FIELDS.indexOf(sortBy) < 0) {
+        throw new Error("Can't sort play history stats by '" + sortBy + "'; expected one of " + SORT_FIELDS.join(", "));
+    }
+
+    var groups = {};
+    var keys = [];
+
+    // Plays are newest first, so the first play seen in each group has its latest details
+    plays.forEach(function(play) {
+        var key = getKey(play);
+
+        if (key === null || key === undefined) {
+            return;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(groups, key)) {
+            groups[key] = describe(play);
+            groups[key].grabs = 0;
+            groups[key].lastPlayed = null;
+            groups[key].mehs = 0;
+            groups[key].plays = 0;
+            groups[key].woots = 0;
+            keys.push(key);
+        }
+
+        _addPlay(groups[key], play);
+    });
+
+    return keys.map(function(key) {
+        return _finishTotals(groups[key]);
+    }).sort(function(a, b) {
+        return b[sortBy] - a[sortBy];
+    });
+}
+
+module.exports = {
+    filterPlays: filterPlays,
+    getContentStats: getContentStats,
+    getDjStats: getDjStats,
+    getPlays: getPlays,
+    getScore: getScore,
+    getTotals: getTotals
+};
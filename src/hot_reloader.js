@@ -0,0 +1,135 @@
+"use strict";
+
+/**
+ * Watches a set of directories and reports which files in them have changed,
+ * so that modules can be reloaded without restarting the bot. The reloader
+ * itself knows nothing about commands or event listeners; it only debounces
+ * file system notifications and hands file paths to a callback.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+var Log = require("./log");
+
+var LOG = new Log("HotReloader");
+
+var DEFAULT_DEBOUNCE_MS = 250;
+
+/**
+ * Creates a new reloader. Nothing is watched until start is called.
+ *
+ * @param {array} directories - The directories to watch; subdirectories are watched as well
+ * @param {function} onFileChanged - Called with the absolute path of each file that was
+ *                                   created, modified or deleted
+ * @param {integer} debounceMs - Optional. How long a file must go without changing before
+ *                               onFileChanged is called for it. Editors frequently write a file
+ *                               in several steps, and we only want to reload it once.
+ */
+function HotReloader(directories, onFileChanged, debounceMs) {
+    this._directories = directories;
+    this._onFileChanged = onFileChanged;
+    this._debounceMs = typeof debounceMs === "number" ? debounceMs : DEFAULT_DEBOUNCE_MS;
+    this._pendingChanges = {};
+    this._watchers = {};
+}
+
+/**
+ * Begins watching all of the configured directories. Directories which
+ * don't exist are skipped.
+ */
+HotReloader.prototype.start = function() {
+    for (var i = 0; i < this._directories.length; i++) {
+        this._watchDirectoryTree(path.resolve(this._directories[i]));
+    }
+}
+
+/**
+ * Stops watching all directories and discards any changes which haven't been reported yet.
+ */
+HotReloader.prototype.stop = function() {
+    for (var directory in this._watchers) {
+        this._watchers[directory].close();
+    }
+
+    for (var filePath in this._pendingChanges) {
+        clearTimeout(this._pendingChanges[filePath]);
+    }
+
+    this._watchers = {};
+    this._pendingChanges = {};
+}
+
+HotReloader.prototype._onWatchEvent = function(directory, filename) {
+    if (!filename) {
+        // Some platforms don't report which file changed; there's nothing useful we can do then
+        LOG.warn("Received a change notification in {} without a file name. Ignoring.", directory);
+        return;
+    }
+
+    var filePath = path.resolve(directory, filename.toString());
+
+    try {
+        if (fs.statSync(filePath).isDirectory()) {
+            // A new subdirectory may have been created, which needs its own watcher
+            this._watchDirectoryTree(filePath);
+            return;
+        }
+    }
+    catch (e) {
+        // The file was deleted, which is still a change worth reporting
+    }
+
+    clearTimeout(this._pendingChanges[filePath]);
+    this._pendingChanges[filePath] = setTimeout((function() {
+        delete this._pendingChanges[filePath];
+        this._onFileChanged(filePath);
+    }).bind(this), this._debounceMs);
+}
+
+HotReloader.prototype._watchDirectoryTree = function(directory) {
+    if (this._watchers[directory]) {
+        return;
+    }
+
+    var entries;
+    try {
+        entries = fs.readdirSync(directory);
+    }
+    catch (e) {
+        LOG.warn("Unable to watch directory {} for changes. Error: {}", directory, e.message);
+        return;
+    }
+
+    var watcher = fs.watch(directory, (function(eventType, filename) {
+        this._onWatchEvent(directory, filename);
+    }).bind(this));
+
+    watcher.on("error", (function(err) {
+        LOG.warn("Stopped watching directory {} due to an error: {}", directory, err.message);
+        watcher.close();
+        delete this._watchers[directory];
+    }).bind(this));
+
+    this._watchers[directory] = watcher;
+    LOG.info("Watching directory {} for changes", directory);
+
+    for (var i = 0; i < entries.length; i++) {
+        var entryPath = path.resolve(directory, entries[i]);
+        var isDirectory;
+
+        try {
+            isDirectory = fs.statSync(entryPath).isDirectory();
+        }
+        catch (e) {
+            // A dangling symlink, or something deleted since the directory was read
+            continue;
+        }
+
+        if (isDirectory) {
+            this._watchDirectoryTree(entryPath);
+        }
+    }
+}
+
+module.exports = HotReloader;
@@ -1,5 +1,21 @@
+var LogSinks = require("./log_sinks");
 var Utils = require("./utils");
 
+var LEVELS = {
+    DEBUG: 10,
+    INFO: 20,
+    WARN: 30,
+    ERROR: 40
+};
+
+// Shared by every logger. Until configure is called, everything at INFO or above goes to the console.
+// The default console sink counts as configured, so that configure replaces it rather than adding a second.
+var _settings = {
+    loggerLevels: {},
+    minimumLevel: LEVELS.INFO,
+    sinks: [_markFromConfig(new LogSinks.ConsoleSink())]
+};
+
 function Log(loggerName) {
     this._loggerName = loggerName;
 }
@@ -9,13 +25,115 @@ Log.prototype.info = _generateLogFunc("INFO");
 Log.prototype.warn = _generateLogFunc("WARN");
 Log.prototype.error = _generateLogFunc("ERROR");
 
-Log.prototype._log = function(level, message) {
-    var now = new Date();
-    console.log("[" + now + "] [" + level + "] " + this._loggerName + " : " + message);
+/**
+ * Returns true if a message at the given level from this logger would be written
+ * anywhere. Useful to avoid building expensive log messages which would be discarded.
+ *
+ * @param {string} level - One of the keys of Log.LEVELS
+ * @returns {boolean} True if the level is enabled for this logger
+ */
+Log.prototype.isLevelEnabled = function(level) {
+    var minimumLevel = this._loggerName in _settings.loggerLevels ? _settings.loggerLevels[this._loggerName] : _settings.minimumLevel;
+    return LEVELS[level] >= minimumLevel;
+}
+
+Log.prototype._log = function(level, message, args) {
+    if (!this.isLevelEnabled(level)) {
+        return;
+    }
+
+    var record = {
+        args: args || [],
+        level: level,
+        logger: this._loggerName,
+        message: message,
+        timestamp: new Date()
+    };
+
+    for (var i = 0; i < _settings.sinks.length; i++) {
+        try {
+            _settings.sinks[i].write(record);
+        }
+        catch (e) {
+            // There's nowhere better to report a broken sink than the console
+            console.error("Log sink failed to write a record: " + (e.stack || e));
+        }
+    }
 }
 
+/**
+ * Configures logging for every logger, from the DubBotBase.logging section of config.
+ * Any sinks registered with addSink are kept; the configured console and file sinks
+ * replace whatever was configured before.
+ *
+ * @param {object} loggingConfig - The DubBotBase.logging config section
+ * @param {string} basedir - The base directory of the bot; relative file paths are resolved against it
+ */
+Log.configure = function(loggingConfig, basedir) {
+    loggingConfig = loggingConfig || {};
+
+    _settings.minimumLevel = _parseLevel(loggingConfig.level || "INFO");
+    _settings.loggerLevels = {};
+
+    for (var loggerName in loggingConfig.loggerLevels || {}) {
+        _settings.loggerLevels[loggerName] = _parseLevel(loggingConfig.loggerLevels[loggerName]);
+    }
+
+    var sinks = _settings.sinks.filter(function(sink) {
+        return !sink.isFromConfig;
+    });
+
+    var consoleConfig = loggingConfig.console || {};
+    if (consoleConfig.enabled !== false) {
+        sinks.push(_markFromConfig(new LogSinks.ConsoleSink({ format: consoleConfig.format })));
+    }
+
+    var fileConfigs = loggingConfig.files || [];
+    for (var i = 0; i < fileConfigs.length; i++) {
+        sinks.push(_markFromConfig(new LogSinks.FileSink(fileConfigs[i], basedir)));
+    }
+
+    _settings.sinks = sinks;
+}
+
+/**
+ * Adds a sink which will receive every log record at or above the configured level.
+ * A sink is any object with a write(record) method, where record contains timestamp
+ * (a Date), level, logger, message (with placeholders filled in) and args (the raw
+ * placeholder values).
+ *
+ * @param {object} sink - The sink to add
+ */
+Log.addSink = function(sink) {
+    Utils.checkHasType(sink.write, "function", "Log sinks must have a write function, but found {{actual}}");
+    _settings.sinks.push(sink);
+}
+
+/**
+ * Removes a sink which was added with addSink.
+ *
+ * @param {object} sink - The sink to remove
+ * @returns {boolean} True if the sink was found and removed
+ */
+Log.removeSink = function(sink) {
+    var index = _settings.sinks.indexOf(sink);
+
+    if (index < 0) {
+        return false;
+    }
+
+    _settings.sinks.splice(index, 1);
+    return true;
+}
+
+Log.LEVELS = LEVELS;
+Log.ConsoleSink = LogSinks.ConsoleSink;
+Log.FileSink = LogSinks.FileSink;
+
 function _generateLogFunc(level) {
     return function(message) {
+        var args = Array.prototype.slice.call(arguments, 1);
+
         if (typeof message === "object") {
             message = JSON.stringify(message);
         }
@@ -23,8 +141,23 @@ function _generateLogFunc(level) {
             message = Utils.replaceStringPlaceholders(message, arguments);
         }
 
-        this._log(level, message);
+        this._log(level, message, args);
     };
 }
 
+function _markFromConfig(sink) {
+    sink.isFromConfig = true;
+    return sink;
+}
+
+function _parseLevel(levelName) {
+    var level = LEVELS[String(levelName).toUpperCase()];
+
+    if (!level) {
+        throw new Error("Unknown log level '" + levelName + "'. Valid levels are: " + Object.keys(LEVELS).join(", "));
+    }
+
+    return level;
+}
+
 module.exports = Log;
@@ -0,0 +1,189 @@
+"use strict";
+
+/**
+ * Built-in destinations for log records. Each sink has a write(record) method;
+ * see Log.addSink for the shape of a record.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+var FORMATTERS = {
+    json: formatJson,
+    text: formatText
+};
+
+/**
+ * Writes log records to stdout.
+ *
+ * @param {object} options - Optional. May contain 'format', either "text" (the default) or "json"
+ */
+function ConsoleSink(options) {
+    this._format = _getFormatter((options && options.format) || "text");
+}
+
+ConsoleSink.prototype.write = function(record) {
+    console.log(this._format(record));
+}
+
+/**
+ * Writes log records to a file, one per line, optionally rotating the file once it
+ * gets too large or once the day changes.
+ *
+ * @param {object} options - May contain any of the following:
+ *                           path: Required. The file to write to
+ *                           format: "text" or "json" (default "json")
+ *                           rotate: "size", "daily" or "none" (default "none")
+ *                           maxSizeBytes: for size rotation, how large the file may get (default 10 MB)
+ *                           maxFiles: how many rotated files to keep (default 5)
+ * @param {string} basedir - Optional. The directory relative paths are resolved against
+ */
+function FileSink(options, basedir) {
+    if (!options || !options.path) {
+        throw new Error("File log sinks require a 'path'");
+    }
+
+    this._path = path.resolve(basedir || process.cwd(), options.path);
+    this._format = _getFormatter(options.format || "json");
+    this._rotate = options.rotate || "none";
+    this._maxSizeBytes = options.maxSizeBytes || 10 * 1024 * 1024;
+    this._maxFiles = options.maxFiles || 5;
+
+    if (["daily", "none", "size"].indexOf(this._rotate) < 0) {
+        throw new Error("Unknown log rotation '" + this._rotate + "' for file " + this._path + ". Valid values are daily, none and size.");
+    }
+
+    _makeDirectory(path.dirname(this._path));
+
+    this._currentSize = fs.existsSync(this._path) ? fs.statSync(this._path).size : 0;
+    this._currentDate = _dateStamp(fs.existsSync(this._path) ? fs.statSync(this._path).mtime : new Date());
+}
+
+FileSink.prototype.write = function(record) {
+    var line = this._format(record) + "\n";
+
+    if (this._rotate === "size" && this._currentSize > 0 && this._currentSize + Buffer.byteLength(line) > this._maxSizeBytes) {
+        this._rotateBySize();
+    }
+    else if (this._rotate === "daily" && _dateStamp(record.timestamp) !== this._currentDate) {
+        this._rotateByDate();
+        this._currentDate = _dateStamp(record.timestamp);
+    }
+
+    fs.appendFileSync(this._path, line);
+    this._currentSize += Buffer.byteLength(line);
+}
+
+/**
+ * Shifts bot.log to bot.log.1, bot.log.1 to bot.log.2 and so on, deleting the oldest.
+ */
+FileSink.prototype._rotateBySize = function() {
+    for (var i = this._maxFiles; i >= 1; i--) {
+        var source = i === 1 ? this._path : this._path + "." + (i - 1);
+        var destination = this._path + "." + i;
+
+        if (!fs.existsSync(source)) {
+            continue;
+        }
+
+        if (i === this._maxFiles && fs.existsSync(destination)) {
+            fs.unlinkSync(destination);
+        }
+
+        fs.renameSync(source, destination);
+    }
+
+    this._currentSize = 0;
+}
+
+/**
+ * Moves bot.log to bot.log.YYYY-MM-DD (for the day it was written), deleting the oldest
+ * dated files beyond the maximum.
+ */
+FileSink.prototype._rotateByDate = function() {
+    if (fs.existsSync(this._path)) {
+        fs.renameSync(this._path, this._path + "." + this._currentDate);
+    }
+
+    var prefix = path.basename(this._path) + ".";
+    var directory = path.dirname(this._path);
+    var rotatedFiles = fs.readdirSync(directory).filter(function(file) {
+        return file.indexOf(prefix) === 0 && /^\d{4}-\d{2}-\d{2}$/.test(file.substring(prefix.length));
+    }).sort();
+
+    while (rotatedFiles.length > this._maxFiles) {
+        fs.unlinkSync(path.join(directory, rotatedFiles.shift()));
+    }
+
+    this._currentSize = 0;
+}
+
+/**
+ * Formats a record as a single JSON object, with the placeholder arguments kept
+ * as structured data rather than flattened into the message.
+ *
+ * @param {object} record - The log record
+ * @returns {string} A single line of JSON
+ */
+function formatJson(record) {
+    return JSON.stringify({
+        timestamp: record.timestamp.toISOString(),
+        level: record.level,
+        logger: record.logger,
+        message: record.message,
+        args: record.args.map(_toSerializable)
+    });
+}
+
+/**
+ * Formats a record as human-readable text.
+ *
+ * @param {object} record - The log record
+ * @returns {string} A single line of text
+ */
+function formatText(record) {
+    return "[" + record.timestamp.toISOString() + "] [" + record.level + "] " + record.logger + " : " + record.message;
+}
+
+function _dateStamp(date) {
+    return date.toISOString().substring(0, 10);
+}
+
+function _getFormatter(format) {
+    if (!FORMATTERS[format]) {
+        throw new Error("Unknown log format '" + format + "'. Valid formats are: " + Object.keys(FORMATTERS).join(", "));
+    }
+
+    return FORMATTERS[format];
+}
+
+function _makeDirectory(directory) {
+    if (fs.existsSync(directory)) {
+        return;
+    }
+
+    _makeDirectory(path.dirname(directory));
+    fs.mkdirSync(directory);
+}
+
+function _toSerializable(value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack };
+    }
+
+    try {
+        JSON.stringify(value);
+        return value;
+    }
+    catch (e) {
+        // Most likely a circular structure
+        return String(value);
+    }
+}
+
+module.exports = {
+    ConsoleSink: ConsoleSink,
+    FileSink: FileSink,
+    formatJson: formatJson,
+    formatText: formatText
+};
@@ -0,0 +1,395 @@
+"use strict";
+
+/**
+ * Checks each song as it starts against the room's media policy, and acts on songs which
+ * break it. The policy comes from DubBotBase.mediaPolicy in config, and has four rules:
+ *
+ *     maxDuration    - Songs can't be longer than maxSeconds (0 for no limit), unless the DJ
+ *                      has at least exemptRole
+ *     blacklist      - Songs whose content IDs are on the blacklist can't be played. The
+ *                      blacklist is kept in a JSON file, and mods can edit it from chat.
+ *     titleBlacklist - Songs can't have any of the 'keywords' (matched case-insensitively) or
+ *                      match any of the 'patterns' (regular expressions) in their titles
+ *     unavailableSource - Songs must come from one of the allowedSources (e.g. "youtube"), and
+ *                         have a length; dubtrack.fm reports no length for media it can't play
+ *
+ * Each rule has a list of 'actions' (see MediaPolicyAction) which escalate: a DJ's first
+ * violation of a rule within escalationWindowHours gets the first action, their second
+ * gets the second, and so on, with the last action repeating. Before acting, a
+ * MEDIA_POLICY_VIOLATION event is raised, and any listener can call veto() on it to let
+ * the song play.
+ *
+ * Every enforcement (and veto), along with every change to the blacklist, is appended to
+ * an audit trail: a JSON-lines file at auditLogFile.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+var Log = require("./log");
+var Types = require("./types");
+
+var LOG = new Log("DubBotBase-MediaPolicy");
+
+var MediaPolicyAction = {
+    BAN: "ban", // skip the song, and ban the DJ for banDurationMinutes (0 for good)
+    KICK: "kick", // skip the song, and kick the DJ from the room
+    SKIP: "skip", // skip the song, and tell the DJ why
+    WARN: "warn" // only tell the DJ the song breaks the rules
+};
+
+var MediaPolicyRule = {
+    BLACKLIST: "blacklist",
+    MAX_DURATION: "maxDuration",
+    TITLE_BLACKLIST: "titleBlacklist",
+    UNAVAILABLE_SOURCE: "unavailableSource"
+};
+
+var MILLISECONDS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Creates a media policy, loading the blacklist from disk. Throws if the settings are invalid.
+ *
+ * @param {object} settings - The DubBotBase.mediaPolicy section of config
+ * @param {string} basedir - The bot's base directory, which file paths in settings are relative to
+ */
+function MediaPolicy(settings, basedir) {
+    this._settings = settings;
+    this._auditLogPath = path.resolve(basedir, settings.auditLogFile);
+    this._blacklistPath = path.resolve(basedir, settings.blacklist.file);
+
+    for (var key in MediaPolicyRule) {
+        if (settings[MediaPolicyRule[key]].actions.length === 0) {
+            throw new Error("DubBotBase.mediaPolicy." + MediaPolicyRule[key] + ".actions must contain at least one action");
+        }
+    }
+
+    this._exemptRole = _resolveRole(settings.maxDuration.exemptRole);
+    this._keywords = settings.titleBlacklist.keywords.map(function(keyword) {
+        return keyword.toLowerCase();
+    });
+    this._patterns = settings.titleBlacklist.patterns.map(function(pattern) {
+        try {
+            return new RegExp(pattern, "i");
+        }
+        catch (e) {
+            throw new Error("Invalid pattern in DubBotBase.mediaPolicy.titleBlacklist.patterns: " + e.message);
+        }
+    });
+
+    this._blacklist = this._loadBlacklist(); // maps content IDs to blacklist entries
+    this._violations = {}; // maps "userID:rule" to the times of the user's recent violations of the rule
+}
+
+/**
+ * Adds a song to the blacklist, and saves the blacklist.
+ *
+ * @param {string} contentID - The content ID of the song
+ * @param {object} details - Optional. May contain the song's 'fullTitle', the 'reason' it's
+ *                           blacklisted, and who it was 'addedBy' (a username)
+ * @returns {boolean} True if the song was added; false if it was already blacklisted
+ */
+MediaPolicy.prototype.addToBlacklist = function(contentID, details) {
+    details = details || {};
+
+    if (this.isBlacklisted(contentID)) {
+        return false;
+    }
+
+    this._blacklist[contentID] = {
+        addedAt: new Date().toISOString(),
+        addedBy: details.addedBy || null,
+        contentID: contentID,
+        fullTitle: details.fullTitle || null,
+        reason: details.reason || null
+    };
+
+    this._saveBlacklist();
+    this._audit({ by: details.addedBy || null, contentID: contentID, fullTitle: details.fullTitle || null, reason: details.reason || null, type: "blacklistAdd" });
+    return true;
+}
+
+/**
+ * Checks a song against the policy.
+ *
+ * @param {object} play - The play which has just started, from roomState.playHistory
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @returns {object} Null if the song breaks no rules, or else the 'rule' it breaks (from
+ *                   MediaPolicyRule) and a 'message' explaining why, in the room's locale
+ */
+MediaPolicy.prototype.check = function(play, globalObject) {
+    var catalog = globalObject.messageCatalog;
+    var media = play.media;
+
+    if (!media) {
+        return null;
+    }
+
+    var allowedSources = this._settings.unavailableSource.allowedSources;
+
+    if (!(media.durationInSeconds > 0) || (allowedSources.length > 0 && allowedSources.indexOf(media.source) < 0)) {
+        return _violation(MediaPolicyRule.UNAVAILABLE_SOURCE, catalog.format("dubbotbase.mediaPolicy.reasons.unavailableSource", [media.fullTitle]));
+    }
+
+    if (this.isBlacklisted(media.contentID)) {
+        var entry = this._blacklist[media.contentID];
+        var message = entry.reason ? catalog.format("dubbotbase.mediaPolicy.reasons.blacklistWithReason", [media.fullTitle, entry.reason])
+                                   : catalog.format("dubbotbase.mediaPolicy.reasons.blacklist", [media.fullTitle]);
+
+        return _violation(MediaPolicyRule.BLACKLIST, message);
+    }
+
+    var title = (media.fullTitle || "").toLowerCase();
+    var matchesTitle = this._keywords.some(function(keyword) {
+        return title.indexOf(keyword) >= 0;
+    }) || this._patterns.some(function(pattern) {
+        return pattern.test(media.fullTitle || "");
+    });
+
+    if (matchesTitle) {
+        return _violation(MediaPolicyRule.TITLE_BLACKLIST, catalog.format("dubbotbase.mediaPolicy.reasons.titleBlacklist", [media.fullTitle]));
+    }
+
+    var maxSeconds = this._settings.maxDuration.maxSeconds;
+    var isExempt = this._exemptRole && play.user && play.user.role && play.user.role.level >= this._exemptRole.level;
+
+    if (maxSeconds > 0 && media.durationInSeconds > maxSeconds && !isExempt) {
+        return _violation(MediaPolicyRule.MAX_DURATION, catalog.format("dubbotbase.mediaPolicy.reasons.maxDuration",
+                                                                       [media.fullTitle, media.durationInSeconds, maxSeconds]));
+    }
+
+    return null;
+}
+
+/**
+ * Creates a handler for the ADVANCE event which checks each new song against the policy,
+ * and acts on any violation which isn't vetoed.
+ *
+ * @returns {function} An event handler
+ */
+MediaPolicy.prototype.createAdvanceHandler = function() {
+    return (function(event, globalObject) {
+        // StateTracker has already added the new song to the play history
+        var play = globalObject.roomState.playHistory[0];
+        var violation = this.check(play, globalObject);
+
+        if (!violation || !play.user) {
+            return;
+        }
+
+        // The violation only counts towards escalation if it's enforced
+        var violationCount = this._countViolations(play.user.userID, violation.rule) + 1;
+        var actions = this._settings[violation.rule].actions;
+        var action = actions[Math.min(violationCount, actions.length) - 1];
+
+        var isVetoed = false;
+        globalObject.bot._dispatchEvent(Types.Event.MEDIA_POLICY_VIOLATION, {
+            action: action,
+            media: play.media,
+            message: violation.message,
+            rule: violation.rule,
+            user: play.user,
+            violationCount: violationCount,
+            veto: function() {
+                isVetoed = true;
+            }
+        });
+
+        this._audit({
+            action: isVetoed ? null : action,
+            contentID: play.media.contentID,
+            fullTitle: play.media.fullTitle,
+            isVetoed: isVetoed,
+            message: violation.message,
+            rule: violation.rule,
+            type: "enforcement",
+            userID: play.user.userID,
+            username: play.user.username,
+            violationCount: violationCount
+        });
+
+        if (isVetoed) {
+            LOG.info("The play of {} by {} broke rule {}, but a listener vetoed enforcing it", play.media.fullTitle, play.user.username, violation.rule);
+            return;
+        }
+
+        this._recordViolation(play.user.userID, violation.rule);
+        this._enforce(play, violation, action, globalObject);
+    }).bind(this);
+}
+
+/**
+ * Lists every blacklisted song, most recently added first.
+ *
+ * @returns {array} An object for each song, with its 'contentID', 'fullTitle', the 'reason' it was
+ *                  blacklisted, who it was 'addedBy' and when it was 'addedAt' (an ISO 8601 string)
+ */
+MediaPolicy.prototype.getBlacklist = function() {
+    var blacklist = this._blacklist;
+
+    return Object.keys(blacklist).map(function(contentID) {
+        return blacklist[contentID];
+    }).sort(function(a, b) {
+        return a.addedAt < b.addedAt ? 1 : (a.addedAt > b.addedAt ? -1 : 0);
+    });
+}
+
+/**
+ * @param {string} contentID - The content ID of a song
+ * @returns {boolean} True if the song is blacklisted
+ */
+MediaPolicy.prototype.isBlacklisted = function(contentID) {
+    return Object.prototype.hasOwnProperty.call(this._blacklist, contentID);
+}
+
+/**
+ * Removes a song from the blacklist, and saves the blacklist.
+ *
+ * @param {string} contentID - The content ID of the song
+ * @param {string} removedBy - Optional. The username of whoever removed it
+ * @returns {boolean} True if the song had been blacklisted
+ */
+MediaPolicy.prototype.removeFromBlacklist = function(contentID, removedBy) {
+    if (!this.isBlacklisted(contentID)) {
+        return false;
+    }
+
+    var entry = this._blacklist[contentID];
+    delete this._blacklist[contentID];
+
+    this._saveBlacklist();
+    this._audit({ by: removedBy || null, contentID: contentID, fullTitle: entry.fullTitle, type: "blacklistRemove" });
+    return true;
+}
+
+MediaPolicy.prototype._audit = function(entry) {
+    entry.timestamp = new Date().toISOString();
+
+    try {
+        _ensureDirectory(this._auditLogPath);
+        fs.appendFileSync(this._auditLogPath, JSON.stringify(entry) + "\n");
+    }
+    catch (e) {
+        LOG.error("Unable to write to the media policy audit trail at {}. Entry: {}. Error: {}", this._auditLogPath, entry, e.message);
+    }
+}
+
+/**
+ * Returns how many enforced violations of a rule a user has within the escalation window,
+ * forgetting any older ones.
+ */
+MediaPolicy.prototype._countViolations = function(userID, rule) {
+    var key = userID + ":" + rule;
+    var cutoff = Date.now() - this._settings.escalationWindowHours * MILLISECONDS_PER_HOUR;
+
+    var violations = (this._violations[key] || []).filter(function(timestamp) {
+        return timestamp > cutoff;
+    });
+
+    this._violations[key] = violations;
+    return violations.length;
+}
+
+MediaPolicy.prototype._enforce = function(play, violation, action, globalObject) {
+    var bot = globalObject.bot;
+    var user = play.user;
+
+    LOG.info("The play of {} by {} broke rule {}; taking action '{}'", play.media.fullTitle, user.username, violation.rule, action);
+
+    if (action === MediaPolicyAction.WARN) {
+        bot.sendMessage("dubbotbase.mediaPolicy.warned", user.username, violation.message);
+        return;
+    }
+
+    bot.sendMessage("dubbotbase.mediaPolicy.skipped", user.username, violation.message);
+
+    var banDurationMinutes = this._settings.banDurationMinutes;
+
+    bot.forceSkip().then(function() {
+        if (action === MediaPolicyAction.KICK) {
+            return bot.kickUser(user.userID, violation.message);
+        }
+
+        if (action === MediaPolicyAction.BAN) {
+            return bot.banUser(user.userID, banDurationMinutes);
+        }
+    }).catch(function(err) {
+        LOG.warn("Unable to take action '{}' for rule {} against {}. Error: {}", action, violation.rule, user.username, err.message || err);
+    });
+}
+
+MediaPolicy.prototype._loadBlacklist = function() {
+    if (!fs.existsSync(this._blacklistPath)) {
+        LOG.info("No media blacklist found at {}; starting with an empty one", this._blacklistPath);
+        return {};
+    }
+
+    var entries = JSON.parse(fs.readFileSync(this._blacklistPath, "utf8"));
+    var blacklist = {};
+
+    entries.forEach(function(entry) {
+        blacklist[entry.contentID] = entry;
+    });
+
+    LOG.info("Loaded {} blacklisted songs from {}", entries.length, this._blacklistPath);
+    return blacklist;
+}
+
+/**
+ * Records an enforced violation of a rule by a user.
+ */
+MediaPolicy.prototype._recordViolation = function(userID, rule) {
+    this._countViolations(userID, rule);
+    this._violations[userID + ":" + rule].push(Date.now());
+}
+
+/**
+ * Writes the blacklist to a temporary file first, so a crash can't leave it half-written.
+ */
+MediaPolicy.prototype._saveBlacklist = function() {
+    var tempPath = this._blacklistPath + ".tmp";
+
+    try {
+        _ensureDirectory(this._blacklistPath);
+        fs.writeFileSync(tempPath, JSON.stringify(this.getBlacklist(), null, 4));
+        fs.renameSync(tempPath, this._blacklistPath);
+    }
+    catch (e) {
+        LOG.error("Unable to save the media blacklist to {}. Changes will be lost on restart. Error: {}", this._blacklistPath, e.message);
+    }
+}
+
+function _ensureDirectory(filePath) {
+    var directory = path.dirname(filePath);
+
+    if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory, { recursive: true });
+    }
+}
+
+function _resolveRole(roleName) {
+    if (!roleName) {
+        return null;
+    }
+
+    for (var key in Types.UserRole) {
+        if (Types.UserRole[key].name === roleName) {
+            return Types.UserRole[key];
+        }
+    }
+
+    throw new Error("Unknown role '" + roleName + "' in DubBotBase.mediaPolicy.maxDuration.exemptRole");
+}
+
+function _violation(rule, message) {
+    return {
+        message: message,
+        rule: rule
+    };
+}
+
+module.exports = {
+    MediaPolicy: MediaPolicy,
+    MediaPolicyAction: MediaPolicyAction,
+    MediaPolicyRule: MediaPolicyRule
+};
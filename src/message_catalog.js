@@ -0,0 +1,261 @@
+"use strict";
+
+/**
+ * Looks up the bot's chat messages by key, in the room's language, so that wording can be
+ * changed (or translated) without touching code.
+ *
+ * Messages are loaded from JSON files named after their locale (e.g. "en.json" or "pt-BR.json")
+ * in each of the directories listed in DubBotBase.messages.directories, relative to the bot's
+ * base directory. DubBotBase's own messages are loaded first, from its config/messages directory,
+ * so a bot can reword or translate them by using the same keys. Files may nest objects, which
+ * are flattened into dotted keys:
+ *
+ *     { "greeting": { "welcome": "Welcome, @{}!" } }  is the same as  { "greeting.welcome": "Welcome, @{}!" }
+ *
+ * A message whose wording depends on a number can give a form for each of the locale's plural
+ * categories ("zero", "one", "two", "few", "many" and "other"; only "other" is required). The
+ * form is picked using the first argument which is a number:
+ *
+ *     { "songsQueued": { "one": "{} song is queued", "other": "{} songs are queued" } }
+ *
+ * Placeholders work as they do everywhere else (see Template), except that numbers are
+ * written in the locale's style, and the duration formatter uses the locale's words.
+ *
+ * A key is looked up in DubBotBase.messages.locale first, then in the language alone (e.g. "pt"
+ * for "pt-BR"), then in defaultLocale, and finally in English, which DubBotBase's own messages
+ * are always available in.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+var Log = require("./log");
+var Template = require("./template");
+
+var LOG = new Log("DubBotBase-Messages");
+
+// DubBotBase's own messages, which are always loaded before the bot's
+var FRAMEWORK_MESSAGES_DIRECTORY = path.resolve(__dirname, "..", "config", "messages");
+
+// The locale DubBotBase's own messages are written in, which is the last resort for any key
+var FRAMEWORK_LOCALE = "en";
+
+var PLURAL_CATEGORIES = ["few", "many", "one", "other", "two", "zero"];
+
+/**
+ * Loads every message file for every locale. Throws if a message file can't be read or parsed.
+ *
+ * @param {string} basedir - The bot's base directory, which the configured directories are relative to
+ * @param {object} settings - The DubBotBase.messages section of config
+ */
+function MessageCatalog(basedir, settings) {
+    this._messages = {}; // maps locales to maps of keys to messages
+    this._pluralRules = {}; // maps locales to Intl.PluralRules, created as needed
+
+    var directories = [FRAMEWORK_MESSAGES_DIRECTORY].concat(settings.directories.map(function(directory) {
+        return path.resolve(basedir, directory);
+    }));
+
+    directories.forEach(this._loadDirectory, this);
+
+    this._locales = _getFallbackLocales(settings.locale, settings.defaultLocale);
+    this._locale = settings.locale;
+    this._numberFormat = new Intl.NumberFormat(this._locales);
+    this._templateOptions = {
+        formatters: {
+            duration: this.formatDuration.bind(this)
+        },
+        locale: this._locales
+    };
+
+    LOG.info("Loaded messages for locales {}; using {}", Object.keys(this._messages), this._locales);
+}
+
+/**
+ * Fills in a message's placeholders with the given arguments, as sendChat does. Numbers
+ * are written in the locale's style, the duration formatter writes durations in the
+ * locale's words, and the message's plural form (if it has them) is picked from the first
+ * argument which is a number, or else the 'count' of the first argument which is an object.
+ *
+ * @param {string} key - The key of the message
+ * @param {array} args - The values for the message's placeholders
+ * @returns {string} The message, or null if there's no message with that key
+ */
+MessageCatalog.prototype.format = function(key, args) {
+    var found = this._find(key);
+
+    if (!found) {
+        return null;
+    }
+
+    var template = found.message;
+    args = args || [];
+
+    if (typeof template === "object") {
+        var count = _findCount(args);
+        var category = count === null ? "other" : this._getPluralRules(found.locale).select(count);
+
+        template = category in template ? template[category] : template.other;
+    }
+
+    return Template.format(template, args, this._templateOptions);
+}
+
+/**
+ * Writes a length of time in words, using the catalog's dubbotbase.duration messages,
+ * e.g. "2 hours, 5 minutes". Only the largest two units are given.
+ *
+ * @param {number} seconds - The length of time, in seconds
+ * @returns {string} The formatted duration
+ */
+MessageCatalog.prototype.formatDuration = function(seconds) {
+    var parts = Template.splitDuration(seconds).map(function(part) {
+        return this.format("dubbotbase.duration." + part.unit, [part.count]);
+    }, this);
+
+    return parts.join(this.format("dubbotbase.duration.separator"));
+}
+
+/**
+ * Writes a number in the locale's style, e.g. "1,234.5" in English or "1.234,5" in German.
+ *
+ * @param {number} number - The number to write
+ * @returns {string} The formatted number
+ */
+MessageCatalog.prototype.formatNumber = function(number) {
+    return this._numberFormat.format(number);
+}
+
+/**
+ * @returns {string} The locale messages are looked up in first, from DubBotBase.messages.locale
+ */
+MessageCatalog.prototype.getLocale = function() {
+    return this._locale;
+}
+
+/**
+ * @param {string} key - The key of a message
+ * @returns {boolean} True if there's a message with the key, in any of the locales which are used
+ */
+MessageCatalog.prototype.has = function(key) {
+    return this._find(key) !== null;
+}
+
+/**
+ * Finds a message in the first locale which has it.
+ *
+ * @returns {object} The 'message' and the 'locale' it was found in, or null if no locale has it
+ */
+MessageCatalog.prototype._find = function(key) {
+    for (var i = 0; i < this._locales.length; i++) {
+        var messages = this._messages[this._locales[i]];
+
+        if (messages && Object.prototype.hasOwnProperty.call(messages, key)) {
+            return { locale: this._locales[i], message: messages[key] };
+        }
+    }
+
+    return null;
+}
+
+MessageCatalog.prototype._getPluralRules = function(locale) {
+    if (!this._pluralRules[locale]) {
+        this._pluralRules[locale] = new Intl.PluralRules(locale);
+    }
+
+    return this._pluralRules[locale];
+}
+
+MessageCatalog.prototype._loadDirectory = function(directory) {
+    if (!fs.existsSync(directory)) {
+        return;
+    }
+
+    fs.readdirSync(directory).filter(function(fileName) {
+        return path.extname(fileName) === ".json";
+    }).sort().forEach(function(fileName) {
+        var filePath = path.join(directory, fileName);
+        var locale = path.basename(fileName, ".json");
+        var contents;
+
+        try {
+            contents = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        }
+        catch (e) {
+            throw new Error("Unable to load messages from " + filePath + ": " + e.message);
+        }
+
+        this._messages[locale] = this._messages[locale] || {};
+        _flatten(contents, "", this._messages[locale], filePath);
+
+        LOG.debug("Loaded messages for locale {} from {}", locale, filePath);
+    }, this);
+}
+
+/**
+ * Finds the number which picks a message's plural form: the first argument which is a
+ * number, or else the 'count' property of the first which is an object.
+ */
+function _findCount(args) {
+    for (var i = 0; i < args.length; i++) {
+        if (typeof args[i] === "number") {
+            return args[i];
+        }
+    }
+
+    for (i = 0; i < args.length; i++) {
+        if (args[i] && typeof args[i] === "object" && typeof args[i].count === "number") {
+            return args[i].count;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Copies messages into a flat map of keys to messages, turning nested objects into dotted
+ * keys. Objects whose keys are all plural categories are messages with plural forms.
+ */
+function _flatten(object, prefix, messages, filePath) {
+    for (var key in object) {
+        var value = object[key];
+
+        if (typeof value === "string" || _isPluralMessage(value)) {
+            messages[prefix + key] = value;
+        }
+        else if (value && typeof value === "object" && !Array.isArray(value)) {
+            _flatten(value, prefix + key + ".", messages, filePath);
+        }
+        else {
+            throw new Error("The message " + prefix + key + " in " + filePath + " must be a string, an object of plural forms " +
+                            "or an object of messages");
+        }
+    }
+}
+
+/**
+ * Lists the locales to look messages up in, most preferred first, without repeats.
+ */
+function _getFallbackLocales(locale, defaultLocale) {
+    var locales = [];
+
+    [locale, locale.split("-")[0], defaultLocale, defaultLocale.split("-")[0], FRAMEWORK_LOCALE].forEach(function(candidate) {
+        if (locales.indexOf(candidate) < 0) {
+            locales.push(candidate);
+        }
+    });
+
+    return locales;
+}
+
+function _isPluralMessage(value) {
+    if (!value || typeof value !== "object" || typeof value.other !== "string") {
+        return false;
+    }
+
+    return Object.keys(value).every(function(key) {
+        return PLURAL_CATEGORIES.indexOf(key) >= 0 && typeof value[key] === "string";
+    });
+}
+
+module.exports = MessageCatalog;
@@ -0,0 +1,185 @@
+"use strict";
+
+/**
+ * Loads plugins: npm packages which add features to a bot, so that several bots can
+ * share them. Plugins are listed by package name in DubBotBase.plugins, and are resolved
+ * from the bot's base directory, so they're installed as the bot's own dependencies.
+ *
+ * A plugin package's main module may export any of the following:
+ *
+ *   dependencies: The package names of other plugins which must be loaded and initialized
+ *                 before this one. They must also be listed in DubBotBase.plugins.
+ *   directory: The directory holding the plugin's commands/, event_listeners/ and middleware/
+ *              subdirectories, which are loaded just like the bot's own. Relative paths are
+ *              resolved against the plugin's main module. Defaults to the main module's directory.
+ *   configNamespace: The top-level section of config which belongs to the plugin
+ *   configDefaults: Default values for the plugin's section of config
+ *   configSchema: A schema for the plugin's section of config (see src/config_schema.js)
+ *   init: Called as init(globalObject) once the bot has connected, before any of the plugin's
+ *         modules are loaded. Plugins are initialized after the plugins they depend on.
+ *   shutdown: Called as shutdown(globalObject) when the bot is stopped. Plugins are shut
+ *             down in the reverse of the order they were initialized in.
+ */
+
+var path = require("path");
+
+var Config = require("./config");
+var Log = require("./log");
+
+var LOG = new Log("DubBotBase-PluginLoader");
+
+/**
+ * Loads the given plugins, and orders them so that every plugin comes after the plugins
+ * it depends on. Throws if a plugin can't be found, is malformed, depends on a plugin
+ * which isn't listed, or is part of a dependency cycle.
+ *
+ * @param {array} names - The package names of the plugins to load
+ * @param {string} basedir - The bot's base directory, which plugins are resolved from
+ * @returns {array} An object for each plugin, in dependency order, containing its 'name',
+ *                  its 'module' and the 'directory' to load its commands and listeners from
+ */
+function load(names, basedir) {
+    var plugins = {};
+
+    names.forEach(function(name) {
+        if (name in plugins) {
+            throw new Error("Plugin '" + name + "' is listed more than once in DubBotBase.plugins");
+        }
+
+        plugins[name] = _loadPlugin(name, basedir);
+    });
+
+    var ordered = [];
+    var visiting = [];
+
+    var visit = function(name) {
+        if (ordered.indexOf(plugins[name]) >= 0) {
+            return;
+        }
+
+        if (visiting.indexOf(name) >= 0) {
+            throw new Error("Plugins have a circular dependency: " + visiting.slice(visiting.indexOf(name)).concat(name).join(" -> "));
+        }
+
+        visiting.push(name);
+
+        (plugins[name].module.dependencies || []).forEach(function(dependency) {
+            if (!(dependency in plugins)) {
+                throw new Error("Plugin '" + name + "' depends on plugin '" + dependency + "', which isn't listed in DubBotBase.plugins");
+            }
+
+            visit(dependency);
+        });
+
+        visiting.pop();
+        ordered.push(plugins[name]);
+    };
+
+    names.forEach(visit);
+    return ordered;
+}
+
+/**
+ * Registers each plugin's config defaults and schema under its config namespace.
+ *
+ * @param {array} plugins - The loaded plugins
+ */
+function registerConfig(plugins) {
+    var namespaces = {};
+
+    plugins.forEach(function(plugin) {
+        var namespace = plugin.module.configNamespace;
+
+        if (!namespace) {
+            return;
+        }
+
+        if (namespace === "DubBotBase" || namespace in namespaces) {
+            throw new Error("Plugin '" + plugin.name + "' uses the config namespace '" + namespace + "', which already belongs to " +
+                            (namespaces[namespace] ? "plugin '" + namespaces[namespace] + "'" : "DubBotBase"));
+        }
+
+        namespaces[namespace] = plugin.name;
+
+        if (plugin.module.configDefaults) {
+            Config.registerDefaults(namespace, plugin.module.configDefaults);
+        }
+
+        if (plugin.module.configSchema) {
+            Config.registerSchema(namespace, plugin.module.configSchema);
+        }
+    });
+}
+
+/**
+ * Checks that a plugin's exports are well-formed. Throws if they aren't.
+ *
+ * @param {object} module - The plugin's main module
+ */
+function validatePlugin(module) {
+    if (!module || typeof module !== "object") {
+        throw new Error("must export an object");
+    }
+
+    if ("dependencies" in module && (!Array.isArray(module.dependencies) || module.dependencies.some(function(dependency) {
+        return typeof dependency !== "string";
+    }))) {
+        throw new Error("has 'dependencies' which are not an array of package names");
+    }
+
+    ["configNamespace", "directory"].forEach(function(key) {
+        if (key in module && typeof module[key] !== "string") {
+            throw new Error("has a '" + key + "' which is not a string");
+        }
+    });
+
+    ["configDefaults", "configSchema"].forEach(function(key) {
+        if (key in module && (!module[key] || typeof module[key] !== "object")) {
+            throw new Error("has a '" + key + "' which is not an object");
+        }
+
+        if (key in module && !module.configNamespace) {
+            throw new Error("has a '" + key + "' but no 'configNamespace'");
+        }
+    });
+
+    ["init", "shutdown"].forEach(function(key) {
+        if (key in module && typeof module[key] !== "function") {
+            throw new Error("has an '" + key + "' which is not a function");
+        }
+    });
+}
+
+function _loadPlugin(name, basedir) {
+    var mainPath;
+
+    try {
+        mainPath = require.resolve(name, { paths: [basedir] });
+    }
+    catch (e) {
+        throw new Error("Unable to find plugin '" + name + "'. Is it installed in " + basedir + "? Error: " + e.message);
+    }
+
+    var module = require(mainPath);
+
+    try {
+        validatePlugin(module);
+    }
+    catch (e) {
+        throw new Error("Plugin '" + name + "' " + e.message);
+    }
+
+    LOG.info("Loaded plugin '{}' from {}", name, mainPath);
+
+    return {
+        directory: path.resolve(path.dirname(mainPath), module.directory || "."),
+        module: module,
+        name: name
+    };
+}
+
+module.exports = {
+    load: load,
+    registerConfig: registerConfig,
+    validatePlugin: validatePlugin
+};
@@ -0,0 +1,87 @@
+"use strict";
+
+/**
+ * The built-in command which lets mods see which modules have been disabled for failing
+ * repeatedly, and re-enable them. With no arguments it lists the disabled modules; given
+ * a module's name (e.g. "mute", or "commands/mute.js" if the name alone is ambiguous),
+ * it re-enables that module.
+ *
+ * See DubBotBase.faultIsolation.reenableCommand in config.
+ */
+
+var path = require("path");
+
+var Types = require("./types");
+
+/**
+ * Creates the re-enable command module.
+ *
+ * @param {object} settings - The DubBotBase.faultIsolation.reenableCommand section of config
+ * @param {string} basedir - The bot's base directory, which module names are relative to
+ * @returns {object} A command module which can be registered like any other
+ */
+function create(settings, basedir) {
+    return {
+        args: [
+            { name: "module", optional: true, rest: true }
+        ],
+        description: "Lists the modules which were disabled for failing, or re-enables one of them",
+        handler: function(chatEvent, globalObject) {
+            var bot = globalObject.bot;
+            var name = chatEvent.parsedArgs.module;
+
+            var disabled = bot.faultTracker.getDisabledSources().map(function(source) {
+                return { name: path.relative(basedir, source), source: source };
+            });
+
+            if (!name) {
+                if (disabled.length === 0) {
+                    bot.sendMessage("dubbotbase.reenable.nothingDisabled", chatEvent.username);
+                }
+                else {
+                    bot.sendMessage("dubbotbase.reenable.disabled", chatEvent.username, _getNames(disabled).join(", "));
+                }
+
+                return;
+            }
+
+            var matches = disabled.filter(function(module) {
+                return _matches(module.name, name);
+            });
+
+            if (matches.length === 0) {
+                bot.sendMessage("dubbotbase.reenable.noSuchModule", chatEvent.username, name);
+            }
+            else if (matches.length > 1) {
+                bot.sendMessage("dubbotbase.reenable.ambiguous", chatEvent.username, name, _getNames(matches).join(", "));
+            }
+            else {
+                bot.faultTracker.enable(matches[0].source);
+                bot.sendMessage("dubbotbase.reenable.reenabled", chatEvent.username, matches[0].name);
+            }
+        },
+        minimumRole: Types.UserRole.MOD,
+        triggers: settings.triggers
+    };
+}
+
+function _getNames(modules) {
+    return modules.map(function(module) {
+        return module.name;
+    });
+}
+
+/**
+ * Checks whether a module's path (relative to the base directory) matches the name a mod
+ * typed. The name may be the whole path or any trailing part of it, with or without ".js".
+ */
+function _matches(modulePath, name) {
+    var parts = modulePath.replace(/\.js$/, "").split(path.sep);
+    var nameParts = name.replace(/\.js$/, "").split(/[\\/]/);
+
+    return parts.slice(-nameParts.length).join("/") === nameParts.join("/");
+}
+
+module.exports = {
+    create: create
+};
@@ -0,0 +1,199 @@
+"use strict";
+
+/**
+ * Enforces rules about what can be played, each time a new song starts. The rules come
+ * from DubBotBase.repeatRules in config:
+ *
+ *     minHoursBetweenRepeats      - A song can't be played again until this many hours after it
+ *                                   last started (0 to allow repeats)
+ *     maxPlaysPerDay              - A song can't be played more than this many times in 24 hours
+ *                                   (0 for no limit)
+ *     preventSameArtistBackToBack - An artist can't be played twice in a row
+ *
+ * Artists are guessed from the part of a song's title before " - ", so songs whose titles
+ * aren't in the form "Artist - Title" are never considered to be by the same artist.
+ *
+ * When a song breaks a rule, a REPEAT_RULE_VIOLATION event is raised first. Any listener
+ * can call veto() on the event to let the song play; otherwise the configured action is
+ * taken (see RepeatRuleAction). Play history is read through HistoryQuery, so with
+ * persistence enabled, plays from beyond the in-memory history are taken into account.
+ */
+
+var HistoryQuery = require("./history_query");
+var Log = require("./log");
+var RoomStateStore = require("./room_state_store");
+var Types = require("./types");
+
+var LOG = new Log("DubBotBase-RepeatRules");
+
+var RepeatRule = {
+    MAX_PLAYS_PER_DAY: "maxPlaysPerDay",
+    MIN_HOURS_BETWEEN_REPEATS: "minHoursBetweenRepeats",
+    SAME_ARTIST_BACK_TO_BACK: "sameArtistBackToBack"
+};
+
+var RepeatRuleAction = {
+    SKIP: "skip", // warn in chat, and skip the song
+    SKIP_AND_MOVE: "skipAndMove", // warn in chat, skip the song, and move the DJ to moveToPosition in the wait list
+    WARN: "warn" // only warn in chat
+};
+
+var MILLISECONDS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Checks a play against the rules.
+ *
+ * @param {object} play - The play which has just started, from roomState.playHistory
+ * @param {object} globalObject - The global object shared throughout the bot
+ * @param {object} settings - The DubBotBase.repeatRules section of config
+ * @returns {object} Null if the play breaks no rules, or else a description of the first rule it
+ *                   breaks, with the 'rule' (from RepeatRule), a 'message' explaining the problem in the
+ *                   room's locale, and 'previousPlays': the plays which it breaks the rule alongside,
+ *                   newest first
+ */
+function check(play, globalObject, settings) {
+    if (!play.media) {
+        return null;
+    }
+
+    var catalog = globalObject.messageCatalog;
+    var now = new Date(play.startDate).getTime();
+    var playKey = RoomStateStore.getPlayKey(play);
+
+    var isEarlierPlay = function(otherPlay) {
+        return RoomStateStore.getPlayKey(otherPlay) !== playKey;
+    };
+
+    if (settings.minHoursBetweenRepeats > 0) {
+        var recentPlays = HistoryQuery.getPlays(globalObject, {
+            contentID: play.media.contentID,
+            since: now - settings.minHoursBetweenRepeats * MILLISECONDS_PER_HOUR
+        }).filter(isEarlierPlay);
+
+        if (recentPlays.length > 0) {
+            var minutesAgo = Math.round((now - new Date(recentPlays[0].startDate).getTime()) / 60000);
+
+            return _violation(RepeatRule.MIN_HOURS_BETWEEN_REPEATS, recentPlays,
+                              catalog.format("dubbotbase.repeatRules.reasons.minHoursBetweenRepeats", [play.media.fullTitle, minutesAgo]));
+        }
+    }
+
+    if (settings.maxPlaysPerDay > 0) {
+        var playsToday = HistoryQuery.getPlays(globalObject, {
+            contentID: play.media.contentID,
+            since: now - 24 * MILLISECONDS_PER_HOUR
+        }).filter(isEarlierPlay);
+
+        if (playsToday.length >= settings.maxPlaysPerDay) {
+            return _violation(RepeatRule.MAX_PLAYS_PER_DAY, playsToday,
+                              catalog.format("dubbotbase.repeatRules.reasons.maxPlaysPerDay", [play.media.fullTitle, playsToday.length]));
+        }
+    }
+
+    if (settings.preventSameArtistBackToBack) {
+        var previousPlay = HistoryQuery.getPlays(globalObject, { until: now }).filter(isEarlierPlay)[0];
+        var artist = getArtist(play.media);
+
+        if (previousPlay && artist && getArtist(previousPlay.media) === artist) {
+            return _violation(RepeatRule.SAME_ARTIST_BACK_TO_BACK, [previousPlay],
+                              catalog.format("dubbotbase.repeatRules.reasons.sameArtistBackToBack", [play.media.fullTitle.split(" - ")[0].trim()]));
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Creates a handler for the ADVANCE event which checks each new song against the rules,
+ * and acts on any violation which isn't vetoed.
+ *
+ * @param {object} settings - The DubBotBase.repeatRules section of config
+ * @returns {function} An event handler
+ */
+function createAdvanceHandler(settings) {
+    return function(event, globalObject) {
+        // StateTracker has already added the new song to the play history
+        var play = globalObject.roomState.playHistory[0];
+        var violation = check(play, globalObject, settings);
+
+        if (!violation) {
+            return;
+        }
+
+        var isVetoed = false;
+        var violationEvent = {
+            action: settings.action,
+            media: play.media,
+            message: violation.message,
+            previousPlays: violation.previousPlays,
+            rule: violation.rule,
+            user: play.user,
+            veto: function() {
+                isVetoed = true;
+            }
+        };
+
+        globalObject.bot._dispatchEvent(Types.Event.REPEAT_RULE_VIOLATION, violationEvent);
+
+        if (isVetoed) {
+            var username = play.user ? play.user.username : "someone";
+            LOG.info("The play of {} by {} broke rule {}, but a listener vetoed enforcing it", play.media.fullTitle, username, violation.rule);
+            return;
+        }
+
+        _enforce(play, violation, globalObject, settings);
+    };
+}
+
+/**
+ * Guesses the artist of some media from its title.
+ *
+ * @param {object} media - The media
+ * @returns {string} The artist, in lower case, or null if the title doesn't say
+ */
+function getArtist(media) {
+    if (!media || !media.fullTitle || media.fullTitle.indexOf(" - ") < 0) {
+        return null;
+    }
+
+    var artist = media.fullTitle.split(" - ")[0].trim().toLowerCase();
+    return artist || null;
+}
+
+function _enforce(play, violation, globalObject, settings) {
+    var bot = globalObject.bot;
+    var username = play.user ? play.user.username : "someone";
+
+    LOG.info("The play of {} by {} broke rule {}; taking action '{}'", play.media.fullTitle, username, violation.rule, settings.action);
+
+    if (settings.action === RepeatRuleAction.WARN) {
+        bot.sendMessage("dubbotbase.repeatRules.warned", username, violation.message);
+        return;
+    }
+
+    bot.sendMessage("dubbotbase.repeatRules.skipped", username, violation.message);
+
+    bot.forceSkip().then(function() {
+        if (settings.action === RepeatRuleAction.SKIP_AND_MOVE && play.user) {
+            return bot.moveDjInWaitList(play.user.userID, settings.moveToPosition);
+        }
+    }).catch(function(err) {
+        LOG.warn("Unable to enforce rule {} against {}. Error: {}", violation.rule, username, err.message || err);
+    });
+}
+
+function _violation(rule, previousPlays, message) {
+    return {
+        message: message,
+        previousPlays: previousPlays,
+        rule: rule
+    };
+}
+
+module.exports = {
+    RepeatRule: RepeatRule,
+    RepeatRuleAction: RepeatRuleAction,
+    check: check,
+    createAdvanceHandler: createAdvanceHandler,
+    getArtist: getArtist
+};
@@ -0,0 +1,307 @@
+"use strict";
+
+/**
+ * Persists room state (play history, chat history and votes) so that it
+ * survives restarts of the bot.
+ *
+ * StateTracker talks to a store through the following interface, so any
+ * object implementing it can be plugged in via the 'roomStateStore' option
+ * to DubBotBase.start:
+ *
+ *     load(callback)               - Reads all stored state and calls callback(err, data), where
+ *                                    data has 'playHistory' and 'chatHistory' arrays, newest first
+ *     recordPlay(play)             - Stores a play which has just started
+ *     recordPlayVotes(play)        - Stores the current votes for a play which was already recorded
+ *     recordChat(chat)             - Stores a chat message
+ *     recordChatDeletion(chats)    - Stores that the given chat messages have been deleted
+ *     getPlayHistory()             - Returns every stored play, newest first. This may go back
+ *                                    further than the in-memory roomState.playHistory.
+ *     close()                      - Flushes anything outstanding; the store won't be used again
+ *
+ * A store may also implement the following, to let the scheduler persist one-off jobs:
+ *
+ *     loadScheduledJobs()          - Returns the jobs which were last saved, or an empty array
+ *     saveScheduledJobs(jobs)      - Stores the given jobs in place of any saved before
+ *
+ * The built-in implementation is JsonFileStore, which keeps a JSON snapshot and
+ * a JSON-lines journal of changes since the snapshot.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+var Log = require("./log");
+
+var LOG = new Log("RoomStateStore");
+
+var JOURNAL_FILE_NAME = "room_state.journal.jsonl";
+var SCHEDULED_JOBS_FILE_NAME = "scheduled_jobs.json";
+var SNAPSHOT_FILE_NAME = "room_state.json";
+var SNAPSHOT_VERSION = 1;
+
+/**
+ * Creates the store described by the DubBotBase.persistence configuration.
+ *
+ * @param {string} basedir - The base directory of the bot; relative store paths are resolved against it
+ * @param {object} config - The bot's configuration
+ * @returns {object} A store, or null if persistence is disabled
+ */
+function create(basedir, config) {
+    var persistenceConfig = config.DubBotBase.persistence;
+
+    if (!persistenceConfig || !persistenceConfig.enabled) {
+        return null;
+    }
+
+    if (persistenceConfig.type !== "jsonFile") {
+        throw new Error("Unknown persistence type '" + persistenceConfig.type + "'. To use a custom store, pass it to DubBotBase.start as the 'roomStateStore' option.");
+    }
+
+    return new JsonFileStore(path.resolve(basedir, persistenceConfig.directory), {
+        maxStoredChatMessages: persistenceConfig.maxStoredChatMessages,
+        maxStoredPlays: persistenceConfig.maxStoredPlays,
+        snapshotEveryNEntries: persistenceConfig.snapshotEveryNEntries
+    });
+}
+
+/**
+ * Returns a key which identifies a play, since plays have no ID of their own.
+ *
+ * @param {object} play - A play from roomState.playHistory
+ * @returns {string} A key which is the same for every copy of the play
+ */
+function getPlayKey(play) {
+    return new Date(play.startDate).getTime() + ":" + play.media.contentID;
+}
+
+/**
+ * A store which keeps its data in two files within a directory: a snapshot of all
+ * state, and a journal of changes made since the snapshot was taken. Every change
+ * is appended to the journal as it happens, and once the journal is long enough it's
+ * folded into a new snapshot.
+ *
+ * @param {string} directory - The directory to keep the files in; created if it doesn't exist
+ * @param {object} options - May contain maxStoredPlays, maxStoredChatMessages and snapshotEveryNEntries
+ */
+function JsonFileStore(directory, options) {
+    this._directory = directory;
+    this._journalPath = path.join(directory, JOURNAL_FILE_NAME);
+    this._scheduledJobsPath = path.join(directory, SCHEDULED_JOBS_FILE_NAME);
+    this._snapshotPath = path.join(directory, SNAPSHOT_FILE_NAME);
+
+    this._maxStoredChatMessages = options.maxStoredChatMessages || 5000;
+    this._maxStoredPlays = options.maxStoredPlays || 5000;
+    this._snapshotEveryNEntries = options.snapshotEveryNEntries || 500;
+
+    this._chatHistory = [];
+    this._entriesSinceSnapshot = 0;
+    this._playHistory = [];
+}
+
+JsonFileStore.prototype.load = function(callback) {
+    try {
+        if (!fs.existsSync(this._directory)) {
+            fs.mkdirSync(this._directory, { recursive: true });
+        }
+
+        this._loadSnapshot();
+        this._replayJournal();
+    }
+    catch (e) {
+        callback(e);
+        return;
+    }
+
+    LOG.info("Loaded {} plays and {} chat messages from {}", this._playHistory.length, this._chatHistory.length, this._directory);
+    callback(null, {
+        chatHistory: _clone(this._chatHistory),
+        playHistory: _clone(this._playHistory)
+    });
+}
+
+JsonFileStore.prototype.recordChat = function(chat) {
+    this._appendEntry({ type: "chat", chat: chat });
+}
+
+JsonFileStore.prototype.recordChatDeletion = function(chats) {
+    if (chats.length === 0) {
+        return;
+    }
+
+    this._appendEntry({
+        type: "chatDeletion",
+        chatIDs: chats.map(function(chat) { return chat.chatID; }),
+        deletedByUserID: chats[0].deletedByUserID,
+        deletionTime: chats[0].deletionTime
+    });
+}
+
+JsonFileStore.prototype.recordPlay = function(play) {
+    this._appendEntry({ type: "play", play: play });
+}
+
+JsonFileStore.prototype.recordPlayVotes = function(play) {
+    this._appendEntry({ type: "playVotes", playKey: getPlayKey(play), votes: play.votes });
+}
+
+JsonFileStore.prototype.getPlayHistory = function() {
+    return _clone(this._playHistory);
+}
+
+JsonFileStore.prototype.loadScheduledJobs = function() {
+    if (!fs.existsSync(this._scheduledJobsPath)) {
+        return [];
+    }
+
+    return JSON.parse(fs.readFileSync(this._scheduledJobsPath, "utf8"));
+}
+
+/**
+ * Writes the jobs to their own file, which is small enough to rewrite on every change.
+ * As with snapshots, a temporary file is written first.
+ */
+JsonFileStore.prototype.saveScheduledJobs = function(jobs) {
+    var tempPath = this._scheduledJobsPath + ".tmp";
+
+    if (!fs.existsSync(this._directory)) {
+        fs.mkdirSync(this._directory, { recursive: true });
+    }
+
+    fs.writeFileSync(tempPath, JSON.stringify(jobs));
+    fs.renameSync(tempPath, this._scheduledJobsPath);
+}
+
+JsonFileStore.prototype.close = function() {
+    this._writeSnapshot();
+}
+
+JsonFileStore.prototype._appendEntry = function(entry) {
+    entry = _clone(entry);
+    this._applyEntry(entry);
+
+    try {
+        fs.appendFileSync(this._journalPath, JSON.stringify(entry) + "\n");
+    }
+    catch (e) {
+        LOG.error("Unable to write to journal {}. This change will be lost on restart unless a snapshot succeeds. Error: {}", this._journalPath, e.message);
+    }
+
+    this._entriesSinceSnapshot++;
+    if (this._entriesSinceSnapshot >= this._snapshotEveryNEntries) {
+        this._writeSnapshot();
+    }
+}
+
+/**
+ * Applies a single journal entry to the in-memory copy of the stored data.
+ */
+JsonFileStore.prototype._applyEntry = function(entry) {
+    switch (entry.type) {
+        case "chat":
+            this._chatHistory.unshift(entry.chat);
+            if (this._chatHistory.length > this._maxStoredChatMessages) {
+                this._chatHistory.length = this._maxStoredChatMessages;
+            }
+            break;
+        case "chatDeletion":
+            for (var i = 0; i < this._chatHistory.length; i++) {
+                var chat = this._chatHistory[i];
+                if (entry.chatIDs.indexOf(chat.chatID) >= 0) {
+                    chat.isDeleted = true;
+                    chat.deletedByUserID = entry.deletedByUserID;
+                    chat.deletionTime = entry.deletionTime;
+                }
+            }
+            break;
+        case "play":
+            this._playHistory.unshift(entry.play);
+            if (this._playHistory.length > this._maxStoredPlays) {
+                this._playHistory.length = this._maxStoredPlays;
+            }
+            break;
+        case "playVotes":
+            for (var j = 0; j < this._playHistory.length; j++) {
+                if (getPlayKey(this._playHistory[j]) === entry.playKey) {
+                    this._playHistory[j].votes = entry.votes;
+                    break;
+                }
+            }
+            break;
+        default:
+            LOG.warn("Ignoring journal entry with unknown type {}", entry.type);
+    }
+}
+
+JsonFileStore.prototype._loadSnapshot = function() {
+    if (!fs.existsSync(this._snapshotPath)) {
+        LOG.info("No snapshot found at {}; starting with empty history", this._snapshotPath);
+        return;
+    }
+
+    var snapshot = JSON.parse(fs.readFileSync(this._snapshotPath, "utf8"));
+
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error("Snapshot at " + this._snapshotPath + " has unsupported version " + snapshot.version);
+    }
+
+    this._chatHistory = snapshot.chatHistory || [];
+    this._playHistory = snapshot.playHistory || [];
+}
+
+JsonFileStore.prototype._replayJournal = function() {
+    if (!fs.existsSync(this._journalPath)) {
+        return;
+    }
+
+    var lines = fs.readFileSync(this._journalPath, "utf8").split("\n");
+
+    for (var i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) {
+            continue;
+        }
+
+        try {
+            this._applyEntry(JSON.parse(lines[i]));
+            this._entriesSinceSnapshot++;
+        }
+        catch (e) {
+            // Most likely the bot died partway through writing this line
+            LOG.warn("Skipping unreadable line {} of journal {}. Error: {}", i + 1, this._journalPath, e.message);
+        }
+    }
+}
+
+/**
+ * Writes all stored data to a new snapshot and empties the journal. The snapshot is
+ * written to a temporary file first so a crash can't leave a half-written snapshot.
+ */
+JsonFileStore.prototype._writeSnapshot = function() {
+    var snapshot = {
+        chatHistory: this._chatHistory,
+        playHistory: this._playHistory,
+        savedAt: Date.now(),
+        version: SNAPSHOT_VERSION
+    };
+
+    var tempPath = this._snapshotPath + ".tmp";
+
+    try {
+        fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+        fs.renameSync(tempPath, this._snapshotPath);
+        fs.writeFileSync(this._journalPath, "");
+        this._entriesSinceSnapshot = 0;
+    }
+    catch (e) {
+        LOG.error("Unable to write snapshot to {}. Changes are still in the journal. Error: {}", this._snapshotPath, e.message);
+    }
+}
+
+function _clone(object) {
+    return JSON.parse(JSON.stringify(object));
+}
+
+module.exports = {
+    JsonFileStore: JsonFileStore,
+    create: create,
+    getPlayKey: getPlayKey
+};
@@ -0,0 +1,494 @@
+"use strict";
+
+/**
+ * Runs tasks at set times: once after a delay, repeatedly at a fixed interval, or on a
+ * cron-style schedule (see src/cron_expression.js). The scheduler is available to the
+ * whole bot as globalObject.scheduler.
+ *
+ * Jobs only run while the bot is connected to its room. While it's disconnected the
+ * scheduler is paused; once the bot reconnects, any job which came due in the meantime
+ * runs straight away (just once, however many runs it missed), and everything else
+ * carries on to its usual schedule.
+ *
+ * A job runs either a function or a named task. Tasks are defined with defineTask, or by
+ * the modules in a bot's scheduled_tasks/ directory. One-off jobs which run a named task
+ * can be persisted, so they survive the bot restarting, if the room state store supports it.
+ *
+ * Handlers are called as handler(job, globalObject), where job has the job's 'id', 'type'
+ * and the 'data' it was scheduled with. Anything a handler throws is caught and reported
+ * by the bot's FaultTracker, like any other handler.
+ */
+
+var Connection = require("./connection");
+var CronExpression = require("./cron_expression");
+var Log = require("./log");
+var Types = require("./types");
+
+var LOG = new Log("DubBotBase-Scheduler");
+
+var JobType = {
+    CRON: "cron", // runs whenever its cron expression matches
+    INTERVAL: "interval", // runs repeatedly, a fixed time apart
+    ONCE: "once" // runs once, after a delay
+};
+
+// What handler failures are reported as handling, in HANDLER_ERROR events
+var JOB_EVENT_NAME = "scheduled-job";
+
+// setTimeout can't wait longer than this; longer waits are made in several steps
+var MAX_TIMEOUT_MILLIS = 2147483647;
+
+/**
+ * Creates a scheduler with no jobs, which pauses itself whenever the bot is disconnected.
+ *
+ * @param {object} globalObject - The global object shared throughout the bot, which must already have a 'bot'
+ * @param {object} store - Optional. The room state store to persist one-off jobs with. It must implement
+ *                         loadScheduledJobs() and saveScheduledJobs(jobs) for jobs to be persisted.
+ */
+function Scheduler(globalObject, store) {
+    this._globalObject = globalObject;
+    this._store = store && typeof store.saveScheduledJobs === "function" ? store : null;
+
+    this._isPaused = globalObject.bot.getConnectionState() !== Connection.ConnectionState.CONNECTED;
+    this._isStopped = false;
+    this._jobs = {}; // maps job IDs to jobs
+    this._nextJobNumber = 1;
+    this._tasks = {}; // maps task names to { context, handler, source }
+
+    this._loadJobs();
+
+    this._onConnected = this._resume.bind(this);
+    this._onDisconnected = this._pause.bind(this);
+
+    globalObject.bot.on(Types.Event.CONNECTED, this._onConnected);
+    globalObject.bot.on(Types.Event.DISCONNECTED, this._onDisconnected);
+}
+
+/**
+ * Cancels a job, so that it never runs again. A persisted job is also removed from the store.
+ *
+ * @param {string} id - The ID of the job
+ * @returns {boolean} True if there was a job with the ID
+ */
+Scheduler.prototype.cancel = function(id) {
+    var job = this._jobs[id];
+
+    if (!job) {
+        return false;
+    }
+
+    this._removeJob(job);
+    LOG.info("Cancelled job {}", id);
+    return true;
+}
+
+/**
+ * Defines a named task, which jobs can run by name. Only jobs which run named tasks can
+ * be persisted, since a function can't be.
+ *
+ * @param {string} name - The name of the task
+ * @param {function} handler - The function to run, called as handler(job, globalObject)
+ * @param {object} context - Optional. The context to call the handler with
+ * @param {string} source - Optional. The file path of the module the task belongs to, which
+ *                          failures are attributed to
+ */
+Scheduler.prototype.defineTask = function(name, handler, context, source) {
+    if (typeof name !== "string" || !name) {
+        throw new Error("A task's name must be a non-empty string");
+    }
+
+    if (typeof handler !== "function") {
+        throw new Error("The handler for task '" + name + "' is not a function");
+    }
+
+    if (this._tasks[name]) {
+        throw new Error("A task called '" + name + "' is already defined" + (this._tasks[name].source ? " by " + this._tasks[name].source : ""));
+    }
+
+    this._tasks[name] = { context: context, handler: handler, source: source || null };
+}
+
+/**
+ * Lists the jobs which are waiting to run, soonest first.
+ *
+ * @returns {array} An object for each job, with its 'id', 'type' (from JobType), 'data', the name
+ *                  of the 'task' it runs (or null if it runs a function), 'isPersistent' and
+ *                  'nextRunTime' (a Date, which may be in the past while the scheduler is paused)
+ */
+Scheduler.prototype.getJobs = function() {
+    var jobs = [];
+
+    for (var id in this._jobs) {
+        var job = this._jobs[id];
+
+        jobs.push({
+            data: job.data,
+            id: job.id,
+            isPersistent: job.isPersistent,
+            nextRunTime: new Date(job.runAt),
+            task: typeof job.task === "string" ? job.task : null,
+            type: job.type
+        });
+    }
+
+    return jobs.sort(function(a, b) {
+        return a.nextRunTime - b.nextRunTime;
+    });
+}
+
+/**
+ * @returns {boolean} True if jobs are being held back because the bot isn't connected
+ */
+Scheduler.prototype.isPaused = function() {
+    return this._isPaused;
+}
+
+/**
+ * Starts running the persisted jobs which were loaded when the scheduler was created. Until
+ * this is called they're held back, so that the tasks they run have a chance to be defined
+ * first. Jobs which came due while the bot was down run as soon as the bot is connected.
+ */
+Scheduler.prototype.restore = function() {
+    var restored = 0;
+
+    for (var id in this._jobs) {
+        if (this._jobs[id].isHeld) {
+            this._jobs[id].isHeld = false;
+            this._arm(this._jobs[id]);
+            restored++;
+        }
+    }
+
+    LOG.info("Restored {} persisted jobs", restored);
+}
+
+/**
+ * Schedules a job to run once, after a delay.
+ *
+ * @param {number} delaySeconds - How long to wait before running the job
+ * @param {mixed} task - The function to run, called as task(job, globalObject), or the name of a defined task
+ * @param {object} options - Optional. May contain an 'id' for the job (one is generated otherwise),
+ *                           'data' to pass to the job, and 'persist': true to keep the job across
+ *                           restarts. Only jobs which run named tasks, and have JSON data, can be persisted.
+ * @returns {string} The ID of the job
+ */
+Scheduler.prototype.runAfter = function(delaySeconds, task, options) {
+    _checkSeconds(delaySeconds, "delay", true);
+
+    return this._schedule(JobType.ONCE, task, options, {
+        runAt: Date.now() + delaySeconds * 1000
+    });
+}
+
+/**
+ * Schedules a job to run repeatedly at a fixed interval, starting one interval from now.
+ *
+ * @param {number} intervalSeconds - How long to wait between runs
+ * @param {mixed} task - The function to run, called as task(job, globalObject), or the name of a defined task
+ * @param {object} options - Optional. May contain an 'id' for the job and 'data' to pass to it
+ * @returns {string} The ID of the job
+ */
+Scheduler.prototype.runEvery = function(intervalSeconds, task, options) {
+    _checkSeconds(intervalSeconds, "interval", false);
+
+    return this._schedule(JobType.INTERVAL, task, options, {
+        intervalMillis: intervalSeconds * 1000,
+        runAt: Date.now() + intervalSeconds * 1000
+    });
+}
+
+/**
+ * Schedules a job to run whenever a cron expression matches the local time.
+ * Throws if the expression is invalid.
+ *
+ * @param {string} expression - The cron expression, e.g. "0 20 * * 5" for 8pm every Friday
+ * @param {mixed} task - The function to run, called as task(job, globalObject), or the name of a defined task
+ * @param {object} options - Optional. May contain an 'id' for the job and 'data' to pass to it
+ * @returns {string} The ID of the job
+ */
+Scheduler.prototype.runOnSchedule = function(expression, task, options) {
+    var cron = new CronExpression(expression);
+    var runAt = cron.getNextTime();
+
+    if (!runAt) {
+        throw new Error("The cron expression '" + expression + "' never matches");
+    }
+
+    return this._schedule(JobType.CRON, task, options, {
+        cron: cron,
+        runAt: runAt.getTime()
+    });
+}
+
+/**
+ * Stops running jobs, for good. Persisted jobs stay in the store, to be restored next time.
+ */
+Scheduler.prototype.stop = function() {
+    this._isStopped = true;
+
+    for (var id in this._jobs) {
+        this._disarm(this._jobs[id]);
+    }
+
+    this._globalObject.bot.off(Types.Event.CONNECTED, this._onConnected);
+    this._globalObject.bot.off(Types.Event.DISCONNECTED, this._onDisconnected);
+}
+
+/**
+ * Removes a named task. Jobs which run the task aren't cancelled, but will be skipped
+ * if the task still isn't defined when they come due.
+ *
+ * @param {string} name - The name of the task
+ */
+Scheduler.prototype.undefineTask = function(name) {
+    delete this._tasks[name];
+}
+
+Scheduler.prototype._arm = function(job) {
+    if (this._isPaused || this._isStopped || job.isHeld) {
+        return;
+    }
+
+    var delay = Math.min(Math.max(0, job.runAt - Date.now()), MAX_TIMEOUT_MILLIS);
+
+    job.timer = setTimeout((function() {
+        job.timer = null;
+
+        if (Date.now() < job.runAt) {
+            // Only part of a very long wait has passed
+            this._arm(job);
+        }
+        else {
+            this._runJob(job);
+        }
+    }).bind(this), delay);
+}
+
+Scheduler.prototype._disarm = function(job) {
+    if (job.timer) {
+        clearTimeout(job.timer);
+        job.timer = null;
+    }
+}
+
+/**
+ * Loads the persisted jobs from the store, holding them back until restore is called.
+ * They're loaded straight away so that new jobs can't be given the same IDs.
+ */
+Scheduler.prototype._loadJobs = function() {
+    if (!this._store || typeof this._store.loadScheduledJobs !== "function") {
+        return;
+    }
+
+    var saved;
+
+    try {
+        saved = this._store.loadScheduledJobs() || [];
+    }
+    catch (e) {
+        LOG.error("Unable to load persisted jobs; they won't be run. Error: {}", e.stack || e);
+        return;
+    }
+
+    for (var i = 0; i < saved.length; i++) {
+        this._jobs[saved[i].id] = {
+            cron: null,
+            data: saved[i].data,
+            id: saved[i].id,
+            intervalMillis: null,
+            isHeld: true,
+            isPersistent: true,
+            runAt: saved[i].runAt,
+            task: saved[i].task,
+            timer: null,
+            type: JobType.ONCE
+        };
+    }
+}
+
+Scheduler.prototype._pause = function() {
+    if (this._isPaused) {
+        return;
+    }
+
+    this._isPaused = true;
+
+    for (var id in this._jobs) {
+        this._disarm(this._jobs[id]);
+    }
+
+    LOG.info("The bot is disconnected, so scheduled jobs are paused");
+}
+
+Scheduler.prototype._removeJob = function(job) {
+    this._disarm(job);
+    delete this._jobs[job.id];
+
+    if (job.isPersistent) {
+        this._saveJobs();
+    }
+}
+
+Scheduler.prototype._resume = function() {
+    if (!this._isPaused) {
+        return;
+    }
+
+    this._isPaused = false;
+
+    for (var id in this._jobs) {
+        this._arm(this._jobs[id]);
+    }
+
+    LOG.info("The bot is connected, so scheduled jobs have resumed");
+}
+
+Scheduler.prototype._runJob = function(job) {
+    var now = Date.now();
+
+    if (job.type === JobType.ONCE) {
+        // Removed before running, so the handler is free to reuse the ID
+        this._removeJob(job);
+    }
+    else if (job.type === JobType.INTERVAL) {
+        // Keep to the original schedule, unless runs were missed while paused
+        job.runAt = Math.max(job.runAt + job.intervalMillis, now + job.intervalMillis);
+    }
+    else {
+        var next = job.cron.getNextTime(new Date(now));
+
+        if (next) {
+            job.runAt = next.getTime();
+        }
+        else {
+            LOG.warn("The cron expression for job {} will never match again, so the job has been cancelled", job.id);
+            this._removeJob(job);
+        }
+    }
+
+    var handler = job.task;
+    var context = null;
+    var source = null;
+
+    if (typeof job.task === "string") {
+        var task = this._tasks[job.task];
+
+        if (!task) {
+            LOG.warn("Skipping a run of job {} because task '{}' isn't defined", job.id, job.task);
+            handler = null;
+        }
+        else {
+            handler = task.handler;
+            context = task.context;
+            source = task.source;
+        }
+    }
+
+    if (handler) {
+        LOG.debug("Running job {}", job.id);
+
+        var jobInfo = { data: job.data, id: job.id, type: job.type };
+        this._globalObject.bot.faultTracker.run({ eventName: JOB_EVENT_NAME, source: source }, handler, context, [jobInfo, this._globalObject]);
+    }
+
+    if (this._jobs[job.id] === job) {
+        this._arm(job);
+    }
+}
+
+Scheduler.prototype._saveJobs = function() {
+    if (!this._store) {
+        return;
+    }
+
+    var jobs = [];
+
+    for (var id in this._jobs) {
+        var job = this._jobs[id];
+
+        if (job.isPersistent) {
+            jobs.push({ data: job.data, id: job.id, runAt: job.runAt, task: job.task });
+        }
+    }
+
+    try {
+        this._store.saveScheduledJobs(jobs);
+    }
+    catch (e) {
+        LOG.error("Unable to persist scheduled jobs. Error: {}", e.stack || e);
+    }
+}
+
+Scheduler.prototype._schedule = function(type, task, options, timing) {
+    options = options || {};
+
+    if (typeof task !== "function" && typeof task !== "string") {
+        throw new Error("A job's task must be a function or the name of a task");
+    }
+
+    if (options.id !== undefined && (typeof options.id !== "string" || !options.id)) {
+        throw new Error("A job's ID must be a non-empty string");
+    }
+
+    if (options.id && this._jobs[options.id]) {
+        throw new Error("A job with the ID '" + options.id + "' is already scheduled");
+    }
+
+    var isPersistent = !!options.persist;
+
+    if (isPersistent) {
+        if (type !== JobType.ONCE || typeof task !== "string") {
+            throw new Error("Only one-off jobs which run a named task can be persisted");
+        }
+
+        if (!this._store) {
+            LOG.warn("Job for task '{}' won't survive a restart, because persistence is disabled or the room state store can't persist jobs", task);
+            isPersistent = false;
+        }
+    }
+
+    var id = options.id;
+
+    while (!id || this._jobs[id]) {
+        id = "job-" + this._nextJobNumber++;
+    }
+
+    var job = {
+        cron: timing.cron || null,
+        data: options.data === undefined ? null : options.data,
+        id: id,
+        intervalMillis: timing.intervalMillis || null,
+        isHeld: false,
+        isPersistent: isPersistent,
+        runAt: timing.runAt,
+        task: task,
+        timer: null,
+        type: type
+    };
+
+    if (this._isStopped) {
+        LOG.warn("Not scheduling job {} because the scheduler has been stopped", id);
+        return id;
+    }
+
+    this._jobs[id] = job;
+    this._arm(job);
+
+    if (isPersistent) {
+        this._saveJobs();
+    }
+
+    LOG.info("Scheduled {} job {} to first run at {}", type, id, new Date(job.runAt).toISOString());
+    return id;
+}
+
+function _checkSeconds(seconds, name, allowZero) {
+    if (typeof seconds !== "number" || !isFinite(seconds) || seconds < 0 || (!allowZero && seconds === 0)) {
+        throw new Error("A job's " + name + " must be a " + (allowZero ? "non-negative" : "positive") + " number of seconds");
+    }
+}
+
+module.exports = {
+    JobType: JobType,
+    Scheduler: Scheduler
+};
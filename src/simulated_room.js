@@ -0,0 +1,946 @@
+"use strict";
+
+/**
+ * An offline stand-in for DubAPI, which makes it possible to run a bot
+ * (and all of its commands and event listeners) without logging into a
+ * live dubtrack.fm room.
+ *
+ * A SimulatedRoom plays two parts. Towards the bot, it looks like a logged-in
+ * DubAPI instance: it emits the same raw events and answers the same queries.
+ * Towards a script or test, it exposes a set of simulate* methods which drive
+ * the room (users joining, songs advancing, votes, chat), plus a record of
+ * everything the bot said and did.
+ *
+ * @example <caption>Running a bot against a simulated room.</caption>
+ * var room = new DubBotBase.SimulatedRoom({ roomName: "test-room" });
+ * var alice = room.simulateUserJoin({ username: "alice", role: DubBotBase.UserRole.MOD });
+ *
+ * DubBotBase.start(__dirname, function(globalObject) {
+ *     room.simulateChat(alice.id, "!hello");
+ *     // room.sentChat now contains whatever the bot replied
+ * }, { backend: room });
+ */
+
+var EventEmitter = require("events").EventEmitter;
+var util = require("util");
+
+var Log = require("./log");
+var Translator = require("./translator");
+var Types = require("./types");
+
+var LOG = new Log("SimulatedRoom");
+
+var DEFAULT_SONG_LENGTH_MS = 180000;
+
+// The roles which dubtrack.fm allows to set other users' roles
+var ROLES_WHICH_CAN_SET_ROLES = [Types.UserRole.MANAGER, Types.UserRole.COOWNER, Types.UserRole.OWNER];
+
+// The roles which dubtrack.fm allows to skip songs
+var ROLES_WHICH_CAN_SKIP = [Types.UserRole.VIP, Types.UserRole.MOD, Types.UserRole.MANAGER, Types.UserRole.COOWNER, Types.UserRole.OWNER];
+
+/**
+ * Creates a new simulated room. Nothing happens in the room until a bot
+ * connects to it and the simulate* methods are called.
+ *
+ * @param {object} options - Optional. May contain any of the following:
+ *                           roomName: the name reported by the room (default "simulated-room")
+ *                           botUsername: the username of the bot (default "bot")
+ *                           botRole: the bot's role, from the UserRole enum (default UserRole.MOD)
+ *                           botMedia: the media the bot queues when joining the wait list
+ */
+function SimulatedRoom(options) {
+    EventEmitter.call(this);
+
+    options = options || {};
+
+    this.roomName = options.roomName || "simulated-room";
+    this.botMedia = options.botMedia || { fkid: "simulated-bot-media", name: "Bot Song", songLength: DEFAULT_SONG_LENGTH_MS, type: "youtube" };
+
+    this.actionLog = []; // every action taken by the bot, as { action, args, succeeded, timestamp }
+    this.sentChat = []; // every chat message sent by the bot, as { message, timestamp }
+
+    this._connectionFailuresRemaining = 0;
+    this._nextId = 1;
+    this._isConnected = false;
+    this._isQueueLocked = false;
+    this._play = null;
+    this._queue = [];
+    this._users = [];
+
+    this.botUser = this._createUser({
+        role: options.botRole || Types.UserRole.MOD,
+        username: options.botUsername || "bot"
+    });
+}
+
+util.inherits(SimulatedRoom, EventEmitter);
+
+// =============================
+// DubAPI-facing methods
+// =============================
+
+/**
+ * Mimics logging into dubtrack.fm. The callback is invoked asynchronously,
+ * with the same (err, api) signature as the DubAPI constructor.
+ *
+ * @param {object} credentials - Ignored; present for parity with DubAPI
+ * @param {function} callback - Called once the login completes
+ */
+SimulatedRoom.prototype.login = function(credentials, callback) {
+    setImmediate((function() {
+        callback(undefined, this);
+    }).bind(this));
+}
+
+/**
+ * Mimics DubAPI.connect. The bot joins the room and a 'connected' event is emitted,
+ * unless a failure was set up with simulateConnectionFailures, in which case an 'error'
+ * event is emitted instead.
+ *
+ * @param {string} roomName - Ignored; the simulated room has a fixed name
+ */
+SimulatedRoom.prototype.connect = function(roomName) {
+    if (this._isConnected) {
+        return;
+    }
+
+    setImmediate((function() {
+        if (this._connectionFailuresRemaining > 0) {
+            this._connectionFailuresRemaining--;
+            this.emit("error", new Error("Simulated connection failure"));
+            return;
+        }
+
+        this._isConnected = true;
+
+        if (!this._findUser(this.botUser.id)) {
+            this._users.push(this.botUser);
+        }
+
+        this.emit("connected", this.roomName);
+    }).bind(this));
+}
+
+/**
+ * Mimics DubAPI.disconnect. The bot leaves the room and a 'disconnected' event is emitted.
+ */
+SimulatedRoom.prototype.disconnect = function() {
+    this.simulateDisconnect();
+}
+
+/**
+ * Mimics DubAPI.downdub, which (unlike the other actions) returns nothing, even when the vote is made.
+ */
+SimulatedRoom.prototype.downdub = function(callback) {
+    this._vote("downdub", callback);
+}
+
+SimulatedRoom.prototype.getDJ = function() {
+    if (!this._isConnected || !this._play) {
+        return;
+    }
+
+    return _clone(this._findUser(this._play.user));
+}
+
+SimulatedRoom.prototype.getMedia = function() {
+    if (!this._isConnected || !this._play) {
+        return;
+    }
+
+    return _clone(this._play.media);
+}
+
+SimulatedRoom.prototype.getQueue = function() {
+    if (!this._isConnected) {
+        return [];
+    }
+
+    return this._queue.map(this._createQueueItem, this);
+}
+
+SimulatedRoom.prototype.getQueuePosition = function(userID) {
+    if (!this._isConnected) {
+        return -1;
+    }
+
+    return this._findQueueIndex(userID);
+}
+
+SimulatedRoom.prototype.getRoomMeta = function() {
+    if (!this._isConnected) {
+        return;
+    }
+
+    return {
+        lockQueue: this._isQueueLocked,
+        name: this.roomName
+    };
+}
+
+SimulatedRoom.prototype.getSelf = function() {
+    if (!this._isConnected) {
+        return;
+    }
+
+    return _clone(this.botUser);
+}
+
+/**
+ * Mimics DubAPI.getTimeElapsed, which returns milliseconds, or -1 if nothing is playing.
+ */
+SimulatedRoom.prototype.getTimeElapsed = function() {
+    if (!this._isConnected || !this._play) {
+        return -1;
+    }
+
+    return Math.min(this._play.media.songLength, Date.now() - this._play.played);
+}
+
+SimulatedRoom.prototype.getUser = function(userID) {
+    if (!this._isConnected) {
+        return;
+    }
+
+    return _clone(this._findUser(userID));
+}
+
+SimulatedRoom.prototype.getUsers = function() {
+    if (!this._isConnected) {
+        return [];
+    }
+
+    return this._users.map(_clone);
+}
+
+SimulatedRoom.prototype.joinBooth = function(callback) {
+    if (!this._isConnected || this._isQueueLocked || this._findQueueIndex(this.botUser.id) >= 0) {
+        return this._recordAction("joinBooth", [], false);
+    }
+
+    this._recordAction("joinBooth", [], true);
+    this._respond(callback, function() {
+        this.simulateQueueJoin(this.botUser.id, this.botMedia);
+    });
+
+    return true;
+}
+
+SimulatedRoom.prototype.leaveBooth = function(callback) {
+    if (!this._isConnected || this._findQueueIndex(this.botUser.id) < 0) {
+        return this._recordAction("leaveBooth", [], false);
+    }
+
+    this._recordAction("leaveBooth", [], true);
+    this._respond(callback, function() {
+        this.simulateQueueLeave(this.botUser.id);
+    });
+
+    return true;
+}
+
+/**
+ * Mimics DubAPI.moderateBanUser. Banned users are removed from the room.
+ */
+SimulatedRoom.prototype.moderateBanUser = function(userID, durationInMinutes, callback) {
+    if (!this._canModerateUser(userID)) {
+        return this._recordAction("moderateBanUser", [userID, durationInMinutes], false);
+    }
+
+    this._recordAction("moderateBanUser", [userID, durationInMinutes], true);
+    this._respond(callback, function() {
+        this._emitModerationEvent(Types.Event.MODERATE_BAN, userID, { time: durationInMinutes });
+
+        if (this._findUser(userID)) {
+            this.simulateUserLeave(userID);
+        }
+    });
+
+    return true;
+}
+
+SimulatedRoom.prototype.moderateDeleteChat = function(chatID, callback) {
+    if (!this._isConnected || !this._botHasRoleLevel(Types.UserRole.MOD.level)) {
+        return this._recordAction("moderateDeleteChat", [chatID], false);
+    }
+
+    this._recordAction("moderateDeleteChat", [chatID], true);
+    this._respond(callback, function() {
+        this.simulateChatDelete(this.botUser.id, chatID);
+    });
+
+    return true;
+}
+
+/**
+ * Mimics DubAPI.moderateKickUser. Kicked users are removed from the room.
+ */
+SimulatedRoom.prototype.moderateKickUser = function(userID, message, callback) {
+    if (!this._canModerateUser(userID)) {
+        return this._recordAction("moderateKickUser", [userID, message], false);
+    }
+
+    this._recordAction("moderateKickUser", [userID, message], true);
+    this._respond(callback, function() {
+        this._emitModerationEvent(Types.Event.MODERATE_KICK, userID, { message: message || "" });
+
+        if (this._findUser(userID)) {
+            this.simulateUserLeave(userID);
+        }
+    });
+
+    return true;
+}
+
+SimulatedRoom.prototype.moderateMoveDJ = function(userID, position, callback) {
+    var index = this._findQueueIndex(userID);
+
+    if (position < 0) {
+        position = 0;
+    }
+    else if (position >= this._queue.length) {
+        position = this._queue.length - 1;
+    }
+
+    if (!this._isConnected || !this._botHasRoleLevel(Types.UserRole.MOD.level) || index < 0 || index === position) {
+        return this._recordAction("moderateMoveDJ", [userID, position], false);
+    }
+
+    this._recordAction("moderateMoveDJ", [userID, position], true);
+    this._respond(callback, function() {
+        var entry = this._queue.splice(index, 1)[0];
+        this._queue.splice(position, 0, entry);
+        this._emitQueueUpdate();
+    });
+
+    return true;
+}
+
+SimulatedRoom.prototype.moderateMuteUser = function(userID, callback) {
+    return this._setMuted("moderateMuteUser", userID, true, callback);
+}
+
+/**
+ * Mimics DubAPI.moderateSetRole.
+ *
+ * @param {string} userID - The ID of the user being given the role
+ * @param {string} roleID - The dubtrack.fm ID of the role
+ * @param {function} callback - Optional. Called once the role has been set
+ */
+SimulatedRoom.prototype.moderateSetRole = function(userID, roleID, callback) {
+    return this._setRole("moderateSetRole", Types.Event.USER_SET_ROLE, userID, roleID, callback);
+}
+
+/**
+ * Mimics DubAPI.moderateSkip. The next song starts straight away.
+ */
+SimulatedRoom.prototype.moderateSkip = function(callback) {
+    if (!this._isConnected || !this._play || this._play.skipped ||
+        ROLES_WHICH_CAN_SKIP.indexOf(Translator.translateRole(this.botUser.role)) < 0) {
+        return this._recordAction("moderateSkip", [], false);
+    }
+
+    this._play.skipped = true;
+
+    this._recordAction("moderateSkip", [], true);
+    this._respond(callback, function() {
+        this.simulateAdvance();
+    });
+
+    return true;
+}
+
+SimulatedRoom.prototype.moderateUnbanUser = function(userID, callback) {
+    if (!this._isConnected || !this._botHasRoleLevel(Types.UserRole.MOD.level)) {
+        return this._recordAction("moderateUnbanUser", [userID], false);
+    }
+
+    this._recordAction("moderateUnbanUser", [userID], true);
+    this._respond(callback, function() {
+        this._emitModerationEvent(Types.Event.USER_UNBAN, userID);
+    });
+
+    return true;
+}
+
+SimulatedRoom.prototype.moderateUnmuteUser = function(userID, callback) {
+    return this._setMuted("moderateUnmuteUser", userID, false, callback);
+}
+
+SimulatedRoom.prototype.moderateUnsetRole = function(userID, roleID, callback) {
+    return this._setRole("moderateUnsetRole", Types.Event.USER_UNSET_ROLE, userID, roleID, callback);
+}
+
+/**
+ * Mimics DubAPI.sendChat. The message is recorded in sentChat and then
+ * echoed back into the room as a chat-message event from the bot, the same
+ * way dubtrack.fm echoes a bot's own messages.
+ *
+ * @param {string} message - The message being sent
+ * @param {function} callback - Optional. Called once the message has been "sent"
+ */
+SimulatedRoom.prototype.sendChat = function(message, callback) {
+    if (!this._isConnected) {
+        return;
+    }
+
+    this.sentChat.push({
+        message: message,
+        timestamp: Date.now()
+    });
+
+    this._respond(callback, function() {
+        this.simulateChat(this.botUser.id, message);
+    });
+}
+
+/**
+ * Mimics DubAPI.updub, which (unlike the other actions) returns nothing, even when the vote is made.
+ */
+SimulatedRoom.prototype.updub = function(callback) {
+    this._vote("updub", callback);
+}
+
+// =============================
+// Simulation methods
+// =============================
+
+/**
+ * Starts the next song. If no media is provided, the song is taken from the
+ * front of the wait list (and the DJ moves to the back, as on dubtrack.fm);
+ * if the wait list is empty, playback simply stops.
+ *
+ * When playback stops, the event carries only lastPlay, just like the one
+ * DubAPI emits when a room goes idle. The Translator can't turn that into an
+ * ADVANCE event, so listeners won't hear about it.
+ *
+ * @param {object} options - Optional. May contain userID (the DJ) and media
+ *                           (a DubAPI-style media object with fkid, name,
+ *                           songLength in milliseconds and type).
+ * @returns {object} The raw event which was emitted
+ */
+SimulatedRoom.prototype.simulateAdvance = function(options) {
+    options = options || {};
+
+    var lastPlay = this._play;
+    var userID = options.userID;
+    var media = options.media;
+
+    var hasQueueChanged = false;
+
+    if (!userID && this._queue.length > 0) {
+        var next = this._queue.shift();
+        this._queue.push(next);
+        userID = next.uid;
+        media = media || next.media;
+        hasQueueChanged = true;
+    }
+
+    var event = { type: Types.Event.ADVANCE };
+
+    if (lastPlay) {
+        event.lastPlay = {
+            id: lastPlay.id,
+            media: _clone(lastPlay.media),
+            score: { downdubs: lastPlay.downdubs, grabs: lastPlay.grabs, updubs: lastPlay.updubs },
+            user: _clone(this._findUser(lastPlay.user))
+        };
+    }
+
+    if (userID) {
+        this._play = {
+            downdubs: 0,
+            dubs: {},
+            grabs: 0,
+            id: this._generateId("play"),
+            media: this._createMedia(media),
+            played: Date.now(),
+            updubs: 0,
+            user: userID
+        };
+
+        event.id = this._play.id;
+        event.media = _clone(this._play.media);
+        event.startTime = this._play.played;
+        event.user = _clone(this._findUser(userID));
+    }
+    else {
+        this._play = null;
+    }
+
+    this._users.forEach(function(user) {
+        user.dub = undefined;
+    });
+
+    this._emitRaw(event);
+
+    // dubtrack.fm follows an advance with the updated wait list
+    if (hasQueueChanged) {
+        this._emitQueueUpdate();
+    }
+
+    return event;
+}
+
+/**
+ * Makes a user send a chat message to the room.
+ *
+ * @param {string} userID - The ID of the user chatting
+ * @param {string} message - The message to send
+ * @returns {object} The raw event which was emitted, or null if the user isn't in the room
+ */
+SimulatedRoom.prototype.simulateChat = function(userID, message) {
+    var user = this._requireUser(userID, "simulateChat");
+
+    if (!user) {
+        return null;
+    }
+
+    var event = {
+        id: this._generateId("chat"),
+        message: message,
+        time: Date.now(),
+        type: Types.Event.CHAT,
+        user: _clone(user)
+    };
+
+    this._emitRaw(event);
+    return event;
+}
+
+/**
+ * Makes a moderator delete a chat message.
+ *
+ * @param {string} modUserID - The ID of the moderator deleting the message
+ * @param {string} chatID - The ID of the message being deleted
+ * @returns {object} The raw event which was emitted, or null if the moderator isn't in the room
+ */
+SimulatedRoom.prototype.simulateChatDelete = function(modUserID, chatID) {
+    var mod = this._requireUser(modUserID, "simulateChatDelete");
+
+    if (!mod) {
+        return null;
+    }
+
+    var event = {
+        id: chatID,
+        type: Types.Event.CHAT_DELETE,
+        user: _clone(mod)
+    };
+
+    this._emitRaw(event);
+    return event;
+}
+
+/**
+ * Makes the bot's next connection attempts fail, as though dubtrack.fm couldn't be reached.
+ *
+ * @param {integer} count - How many attempts should fail
+ */
+SimulatedRoom.prototype.simulateConnectionFailures = function(count) {
+    this._connectionFailuresRemaining = count;
+}
+
+/**
+ * Simulates the bot losing its connection to the room.
+ */
+SimulatedRoom.prototype.simulateDisconnect = function() {
+    if (!this._isConnected) {
+        return;
+    }
+
+    this._isConnected = false;
+    this.emit("disconnected", this.roomName);
+}
+
+/**
+ * Makes a user grab the current song.
+ *
+ * @param {string} userID - The ID of the user grabbing
+ * @returns {object} The raw event which was emitted, or null if nothing is playing
+ */
+SimulatedRoom.prototype.simulateGrab = function(userID) {
+    var user = this._requireUser(userID, "simulateGrab");
+
+    if (!user || !this._play) {
+        return null;
+    }
+
+    this._play.grabs++;
+
+    var event = {
+        type: Types.Event.GRAB,
+        user: _clone(user)
+    };
+
+    this._emitRaw(event);
+    return event;
+}
+
+/**
+ * Adds a user to the back of the wait list.
+ *
+ * @param {string} userID - The ID of the user joining the wait list
+ * @param {object} media - Optional. The DubAPI-style media object the user has queued
+ * @returns {boolean} True if the user was added to the wait list
+ */
+SimulatedRoom.prototype.simulateQueueJoin = function(userID, media) {
+    if (!this._requireUser(userID, "simulateQueueJoin") || this._findQueueIndex(userID) >= 0) {
+        return false;
+    }
+
+    this._queue.push({
+        id: this._generateId("queue"),
+        media: this._createMedia(media),
+        uid: userID
+    });
+
+    this._emitQueueUpdate();
+    return true;
+}
+
+/**
+ * Removes a user from the wait list.
+ *
+ * @param {string} userID - The ID of the user leaving the wait list
+ * @returns {boolean} True if the user was removed from the wait list
+ */
+SimulatedRoom.prototype.simulateQueueLeave = function(userID) {
+    var index = this._findQueueIndex(userID);
+
+    if (index < 0) {
+        return false;
+    }
+
+    this._queue.splice(index, 1);
+    this._emitQueueUpdate();
+    return true;
+}
+
+/**
+ * Locks or unlocks the wait list. While locked, the bot can't join it.
+ *
+ * @param {boolean} isLocked - Whether the wait list should be locked
+ */
+SimulatedRoom.prototype.simulateQueueLock = function(isLocked) {
+    this._isQueueLocked = !!isLocked;
+}
+
+/**
+ * Adds a new user to the room. If the bot is connected, a user-join event is emitted.
+ *
+ * @param {object} options - Optional. May contain id, username and role (from the UserRole enum)
+ * @returns {object} The DubAPI-style user which was created; its id can be passed to other simulate* methods
+ */
+SimulatedRoom.prototype.simulateUserJoin = function(options) {
+    var user = this._createUser(options || {});
+
+    if (this._findUser(user.id)) {
+        throw new Error("A user with ID " + user.id + " is already in the simulated room");
+    }
+
+    this._users.push(user);
+
+    if (this._isConnected) {
+        this._emitRaw({
+            type: Types.Event.USER_JOIN,
+            user: _clone(user)
+        });
+    }
+
+    return _clone(user);
+}
+
+/**
+ * Removes a user from the room, along with their spot in the wait list.
+ *
+ * @param {string} userID - The ID of the user leaving
+ * @returns {object} The raw event which was emitted, or null if the user isn't in the room
+ */
+SimulatedRoom.prototype.simulateUserLeave = function(userID) {
+    var user = this._requireUser(userID, "simulateUserLeave");
+
+    if (!user) {
+        return null;
+    }
+
+    this.simulateQueueLeave(userID);
+    this._users.splice(this._users.indexOf(user), 1);
+
+    var event = {
+        type: Types.Event.USER_LEAVE,
+        user: _clone(user)
+    };
+
+    this._emitRaw(event);
+    return event;
+}
+
+/**
+ * Makes a user vote on the current song.
+ *
+ * @param {string} userID - The ID of the user voting
+ * @param {integer} vote - 1 for a woot (updub), -1 for a meh (downdub)
+ * @returns {object} The raw event which was emitted, or null if nothing is playing
+ */
+SimulatedRoom.prototype.simulateVote = function(userID, vote) {
+    var user = this._requireUser(userID, "simulateVote");
+
+    if (!user || !this._play) {
+        return null;
+    }
+
+    var dubtype = vote === -1 ? "downdub" : "updub";
+    var previous = this._play.dubs[userID];
+
+    if (previous === dubtype) {
+        return null;
+    }
+
+    if (previous === "updub") {
+        this._play.updubs--;
+    }
+    else if (previous === "downdub") {
+        this._play.downdubs--;
+    }
+
+    if (dubtype === "updub") {
+        this._play.updubs++;
+    }
+    else {
+        this._play.downdubs++;
+    }
+
+    this._play.dubs[userID] = dubtype;
+    user.dub = dubtype;
+
+    var event = {
+        dubtype: dubtype,
+        type: Types.Event.VOTE,
+        user: _clone(user)
+    };
+
+    this._emitRaw(event);
+    return event;
+}
+
+/**
+ * Returns the entries of the action log for a specific action, such as "moderateSkip".
+ *
+ * @param {string} action - The name of the DubAPI method called by the bot
+ * @returns {array} All of the matching entries from actionLog, oldest first
+ */
+SimulatedRoom.prototype.getActions = function(action) {
+    return this.actionLog.filter(function(entry) {
+        return entry.action === action;
+    });
+}
+
+// =============================
+// Internal helpers
+// =============================
+
+SimulatedRoom.prototype._botHasRoleLevel = function(level) {
+    return Translator.translateRole(this.botUser.role).level >= level;
+}
+
+/**
+ * Whether the bot may ban, kick or mute a user. As on dubtrack.fm, users with a
+ * room role can't be targeted.
+ */
+SimulatedRoom.prototype._canModerateUser = function(userID) {
+    var user = this._findUser(userID);
+    return this._isConnected && this._botHasRoleLevel(Types.UserRole.MOD.level) && !(user && user.role);
+}
+
+SimulatedRoom.prototype._createMedia = function(media) {
+    media = media || {};
+
+    return {
+        fkid: media.fkid || this._generateId("media"),
+        id: media.id || this._generateId("song"),
+        name: media.name || "Simulated Song",
+        songLength: media.songLength || DEFAULT_SONG_LENGTH_MS,
+        type: media.type || "youtube"
+    };
+}
+
+SimulatedRoom.prototype._createQueueItem = function(entry) {
+    return {
+        id: entry.id,
+        media: _clone(entry.media),
+        uid: entry.uid,
+        user: _clone(this._findUser(entry.uid))
+    };
+}
+
+SimulatedRoom.prototype._createUser = function(options) {
+    var id = options.id || this._generateId("user");
+
+    return {
+        created: options.created || Date.now(),
+        dub: undefined,
+        dubs: options.dubs || 0,
+        id: id,
+        muted: false,
+        playedCount: options.playedCount || 0,
+        role: Translator.translateRoleToDubtrack(options.role),
+        username: options.username || id
+    };
+}
+
+/**
+ * Emits an event for a moderation action taken by the bot against a user. The
+ * user is null if they aren't in the room, as with DubAPI.
+ */
+SimulatedRoom.prototype._emitModerationEvent = function(type, userID, fields) {
+    var event = {
+        mod: _clone(this.botUser),
+        type: type,
+        user: _clone(this._findUser(userID))
+    };
+
+    for (var key in fields || {}) {
+        event[key] = fields[key];
+    }
+
+    this._emitRaw(event);
+}
+
+SimulatedRoom.prototype._emitQueueUpdate = function() {
+    this._emitRaw({
+        queue: this.getQueue(),
+        type: Types.Event.ROOM_PLAYLIST_QUEUE_UPDATE
+    });
+}
+
+SimulatedRoom.prototype._emitRaw = function(event) {
+    if (!this._isConnected) {
+        return;
+    }
+
+    event.raw = _clone(event);
+    this.emit("*", event);
+    this.emit(event.type, event);
+}
+
+SimulatedRoom.prototype._findQueueIndex = function(userID) {
+    for (var i = 0; i < this._queue.length; i++) {
+        if (this._queue[i].uid === userID) {
+            return i;
+        }
+    }
+
+    return -1;
+}
+
+SimulatedRoom.prototype._findUser = function(userID) {
+    for (var i = 0; i < this._users.length; i++) {
+        if (this._users[i].id === userID) {
+            return this._users[i];
+        }
+    }
+
+    return null;
+}
+
+SimulatedRoom.prototype._generateId = function(prefix) {
+    return "simulated-" + prefix + "-" + (this._nextId++);
+}
+
+SimulatedRoom.prototype._recordAction = function(action, args, succeeded) {
+    this.actionLog.push({
+        action: action,
+        args: args,
+        succeeded: succeeded,
+        timestamp: Date.now()
+    });
+
+    return succeeded;
+}
+
+SimulatedRoom.prototype._requireUser = function(userID, methodName) {
+    var user = this._findUser(userID);
+
+    if (!user) {
+        LOG.warn("{} was called for user ID {}, who is not in the simulated room. Ignoring.", methodName, userID);
+    }
+
+    return user;
+}
+
+/**
+ * Applies the effect of a bot action and then calls the bot's callback, both
+ * asynchronously, to mirror the request/response cycle of the real API.
+ */
+SimulatedRoom.prototype._respond = function(callback, effect) {
+    setImmediate((function() {
+        effect.call(this);
+
+        if (callback) {
+            callback(200, {}); // DubAPI passes along the HTTP status code and response body
+        }
+    }).bind(this));
+}
+
+SimulatedRoom.prototype._setMuted = function(action, userID, isMuted, callback) {
+    if (!this._isConnected || !this._botHasRoleLevel(Types.UserRole.MOD.level) || (isMuted && !this._canModerateUser(userID))) {
+        return this._recordAction(action, [userID], false);
+    }
+
+    this._recordAction(action, [userID], true);
+    this._respond(callback, function() {
+        var user = this._findUser(userID);
+
+        if (user) {
+            user.muted = isMuted;
+        }
+
+        this._emitModerationEvent(isMuted ? Types.Event.MODERATE_MUTE : Types.Event.USER_UNMUTE, userID);
+    });
+
+    return true;
+}
+
+SimulatedRoom.prototype._setRole = function(action, eventType, userID, roleID, callback) {
+    var botRole = Translator.translateRole(this.botUser.role);
+
+    if (!this._isConnected || ROLES_WHICH_CAN_SET_ROLES.indexOf(botRole) < 0) {
+        return this._recordAction(action, [userID, roleID], false);
+    }
+
+    this._recordAction(action, [userID, roleID], true);
+    this._respond(callback, function() {
+        var user = this._findUser(userID);
+
+        if (user) {
+            user.role = eventType === Types.Event.USER_SET_ROLE ? roleID : null;
+        }
+
+        this._emitModerationEvent(eventType, userID);
+    });
+
+    return true;
+}
+
+SimulatedRoom.prototype._vote = function(dubtype, callback) {
+    if (!this._isConnected || !this._play || this._play.dubs[this.botUser.id] === dubtype) {
+        this._recordAction(dubtype, [], false);
+        return;
+    }
+
+    this._recordAction(dubtype, [], true);
+    this._respond(callback, function() {
+        this.simulateVote(this.botUser.id, dubtype === "updub" ? 1 : -1);
+    });
+}
+
+function _clone(object) {
+    if (!object) {
+        return object;
+    }
+
+    return JSON.parse(JSON.stringify(object));
+}
+
+module.exports = SimulatedRoom;
@@ -5,6 +5,8 @@ var Types = require("./types");
 
 var LOG = new Log("DubBotBaseStateTracker");
 
+var AFK_CHECK_JOB_ID = "dubbotbase-afk-check";
+
 /**
  * Initializes the state tracker by doing a couple of things:
  *
@@ -14,9 +16,24 @@ var LOG = new Log("DubBotBaseStateTracker");
  * event listeners may rely on.
  * 2) Determines the initial state of the room via some API calls.
  *
+ * Whenever the bot reconnects after losing its connection, the users in the room, the
+ * wait list and the current song are fetched again, since any events which happened
+ * while disconnected were missed. Play and chat history are kept.
+ *
+ * Each update to the wait list is compared with the previous one, and WAITLIST_JOIN,
+ * WAITLIST_LEAVE and WAITLIST_MOVE events are raised for the users whose places changed.
+ *
+ * A presence record is kept for every user seen in the room: when their current session
+ * started, when they last chatted, voted or grabbed, and how long they've spent in the room
+ * in total. If DubBotBase.afkDetection is enabled, the wait list is checked regularly, and
+ * a USER_AFK event is raised for each user in it who has gone AFK.
+ *
  * Because asynchronous API calls are in use, it's possible to pass a callback to
  * this function.
  *
+ * If globalObject.roomStateStore is set, play and chat history are first loaded from
+ * it, and every subsequent change to them is recorded in it.
+ *
  * @param {object} globalObject - The global object shared throughout the bot
  * @param {function} onComplete - Optional. A function that will be called once the
  *                                initialization of this module is complete.
@@ -28,16 +45,21 @@ function init(globalObject, onComplete) {
         chatHistory: [],
         mediaQueue: [],
         playHistory: [],
-        usersInRoom: []
+        presence: {}, // maps user IDs to presence records; see getPresence
+        usersInRoom: [],
+        waitList: []
     };
 
     bot.on(Types.Event.ADVANCE, onAdvance);
     bot.on(Types.Event.CHAT, onChat);
     bot.on(Types.Event.CHAT_DELETE, onChatDelete);
+    bot.on(Types.Event.CONNECTED, onConnected);
     bot.on(Types.Event.GRAB, onGrab);
     bot.on(Types.Event.ROOM_PLAYLIST_QUEUE_UPDATE, onRoomPlaylistQueueUpdate);
     bot.on(Types.Event.USER_LEAVE, onUserLeave);
     bot.on(Types.Event.USER_JOIN, onUserJoin);
+    bot.on(Types.Event.USER_SET_ROLE, onUserRoleChange);
+    bot.on(Types.Event.USER_UNSET_ROLE, onUserRoleChange);
     bot.on(Types.Event.VOTE, onVote);
 
     globalObject.roomState.findUserInRoomById = function(userID) {
@@ -56,10 +78,57 @@ function init(globalObject, onComplete) {
         return plays;
     }
 
-    populateUsers(globalObject, onComplete);
+    globalObject.roomState.getWaitListPosition = function(userID) {
+        return _findWaitListPosition(globalObject.roomState.waitList, userID);
+    };
+
+    globalObject.roomState.getEstimatedSecondsUntilPlay = function(userID) {
+        return _estimateSecondsUntilPlay(globalObject.roomState, userID);
+    };
+
+    globalObject.roomState.getAfkUsers = function() {
+        return globalObject.roomState.usersInRoom.filter(function(user) {
+            return globalObject.roomState.isUserAfk(user.userID);
+        }).map(function(user) {
+            return globalObject.roomState.getPresence(user.userID);
+        });
+    };
+
+    globalObject.roomState.getPresence = function(userID) {
+        return _describePresence(globalObject.roomState.presence[userID], globalObject);
+    };
+
+    globalObject.roomState.isUserAfk = function(userID) {
+        var presence = globalObject.roomState.getPresence(userID);
+        return !!presence && presence.isAfk;
+    };
+
+    var afkSettings = globalObject.config.DubBotBase.afkDetection;
+    if (afkSettings.enabled && globalObject.scheduler) {
+        globalObject.scheduler.runEvery(afkSettings.checkIntervalSeconds, function() {
+            _checkWaitListForAfkUsers(globalObject);
+        }, { id: AFK_CHECK_JOB_ID });
+    }
+
+    var store = globalObject.roomStateStore;
+    if (!store) {
+        populateUsers(globalObject, false, onComplete);
+        return;
+    }
+
+    store.load(function(err, storedState) {
+        if (err) {
+            LOG.error("Unable to load stored room state; starting with empty history. Error: {}", err.stack || err);
+        }
+        else {
+            _restoreStoredState(globalObject, storedState);
+        }
+
+        populateUsers(globalObject, false, onComplete);
+    });
 }
 
-function populateUsers(globalObject, callback) {
+function populateUsers(globalObject, isRefresh, callback) {
     // Drill into the undocumented 'bot within a bot' which is DubAPI for some info.
     var currentSong = Translator.translateMediaObject(globalObject.bot.bot.getMedia());
     var currentDj = Translator.translateUserObject(globalObject.bot.bot.getDJ());
@@ -71,12 +140,17 @@ function populateUsers(globalObject, callback) {
         globalObject.roomState.usersInRoom.push(user);
     }
 
+    _syncPresence(globalObject);
+
+    // When refreshing after a reconnect, announce whatever changed in the wait list while the bot was away
+    _updateWaitList(globalObject, Translator.translateRoomPlaylistQueueUpdateEvent({ queue: waitList }).queue, isRefresh);
+
     // Add the currently playing song to the DJ history, since we won't get
     // any other chance to do so. (At this point the initial ADVANCE event
     // from joining the room has almost certainly already fired and been missed.)
     if (currentSong && currentDj) {
-        var elapsedTime = globalObject.bot.bot.getTimeElapsed();
-        var startDate = Date.now() - elapsedTime * 1000;
+        var elapsedTime = globalObject.bot.bot.getTimeElapsed(); // in milliseconds
+        var startDate = Date.now() - elapsedTime;
         var currentPlay = {
             media: currentSong,
             startDate: startDate,
@@ -93,15 +167,15 @@ function populateUsers(globalObject, callback) {
             if (user.grab) {
                 currentPlay.votes.grabs.push(user.id);
             }
-            if (user.vote === 1) {
+            if (user.dub === "updub") {
                 currentPlay.votes.woots.push(user.id);
             }
-            else if (user.vote === -1) {
+            else if (user.dub === "downdub") {
                 currentPlay.votes.mehs.push(user.id);
             }
         }
 
-        globalObject.roomState.playHistory.unshift(currentPlay);
+        _addCurrentPlay(globalObject, currentPlay);
     }
 
     callback();
@@ -132,6 +206,10 @@ function onAdvance(event, globalObject) {
     if (globalObject.roomState.playHistory.length > maxPlayHistoryLength) {
         globalObject.roomState.playHistory.length = maxPlayHistoryLength;
     }
+
+    if (globalObject.roomStateStore) {
+        globalObject.roomStateStore.recordPlay(play);
+    }
 }
 
 function onChat(event, globalObject) {
@@ -153,6 +231,12 @@ function onChat(event, globalObject) {
     if (globalObject.roomState.chatHistory.length > maxChatHistoryLength) {
         globalObject.roomState.chatHistory.length = maxChatHistoryLength;
     }
+
+    if (globalObject.roomStateStore) {
+        globalObject.roomStateStore.recordChat(chatObj);
+    }
+
+    _recordActivity(globalObject, event.userID);
 }
 
 function onChatDelete(event, globalObject) {
@@ -192,25 +276,48 @@ function onChatDelete(event, globalObject) {
         }
     }
 
+    if (globalObject.roomStateStore) {
+        globalObject.roomStateStore.recordChatDeletion(deletedMessages);
+    }
+
     // Cheat a bit and attach a new object to the event
     // TODO: move this to the right place
     event.deletedMessages = deletedMessages;
 }
 
+function onConnected(event, globalObject) {
+    if (!event.isReconnect) {
+        return;
+    }
+
+    LOG.info("Reconnected to the room; refreshing room state");
+
+    globalObject.roomState.usersInRoom.length = 0;
+    populateUsers(globalObject, true, function() {});
+}
+
 function onGrab(event, globalObject) {
     var currentSong = globalObject.roomState.playHistory[0];
+    var userID = event.user.userID;
+
+    _recordActivity(globalObject, userID);
 
-    if (currentSong.votes.grabs.indexOf(event.userID) < 0) {
-        currentSong.votes.grabs.push(event.userID);
+    if (currentSong.votes.grabs.indexOf(userID) < 0) {
+        currentSong.votes.grabs.push(userID);
+
+        if (globalObject.roomStateStore) {
+            globalObject.roomStateStore.recordPlayVotes(currentSong);
+        }
     }
 }
 
 function onRoomPlaylistQueueUpdate(event, globalObject) {
-    globalObject.roomState.waitList = event.queue;
+    _updateWaitList(globalObject, event.queue, true);
 }
 
 function onUserLeave(event, globalObject) {
     _removeUser(globalObject.roomState.usersInRoom, event.userID);
+    _endSession(globalObject, event.userID);
 }
 
 function onUserJoin(event, globalObject) {
@@ -223,11 +330,22 @@ function onUserJoin(event, globalObject) {
     }
 
     globalObject.roomState.usersInRoom.push(event);
+    _startSession(globalObject, event);
+}
+
+function onUserRoleChange(event, globalObject) {
+    var user = event.user ? _findUser(globalObject.roomState.usersInRoom, event.user.userID) : null;
+
+    if (user) {
+        user.role = event.role;
+    }
 }
 
 function onVote(event, globalObject) {
     var currentSong = globalObject.roomState.playHistory[0];
-    var userID = event.userID;
+    var userID = event.user.userID;
+
+    _recordActivity(globalObject, userID);
 
     // Since users can change votes, we need to make
     // sure they're only in one list at a time
@@ -246,6 +364,342 @@ function onVote(event, globalObject) {
     else if (event.vote === -1) {
         currentSong.votes.mehs.push(userID);
     }
+
+    if (globalObject.roomStateStore) {
+        globalObject.roomStateStore.recordPlayVotes(currentSong);
+    }
+}
+
+/**
+ * Adds the play which was in progress when the bot connected to the front of the play
+ * history. If stored history already has this play (because the bot restarted partway
+ * through it), the two copies are merged instead, keeping the votes from both.
+ */
+function _addCurrentPlay(globalObject, currentPlay) {
+    var playHistory = globalObject.roomState.playHistory;
+    var mostRecentPlay = playHistory[0];
+
+    if (mostRecentPlay && _isSamePlay(mostRecentPlay, currentPlay)) {
+        LOG.info("The current play was already in stored history; merging votes");
+
+        ["grabs", "mehs", "woots"].forEach(function(voteType) {
+            var votes = mostRecentPlay.votes[voteType];
+            currentPlay.votes[voteType].forEach(function(userID) {
+                if (votes.indexOf(userID) < 0) {
+                    votes.push(userID);
+                }
+            });
+        });
+
+        // The live room is the authority on who has mehed versus wooted right now
+        mostRecentPlay.votes.woots = mostRecentPlay.votes.woots.filter(function(userID) {
+            return currentPlay.votes.mehs.indexOf(userID) < 0;
+        });
+        mostRecentPlay.votes.mehs = mostRecentPlay.votes.mehs.filter(function(userID) {
+            return currentPlay.votes.woots.indexOf(userID) < 0;
+        });
+
+        if (globalObject.roomStateStore) {
+            globalObject.roomStateStore.recordPlayVotes(mostRecentPlay);
+        }
+
+        return;
+    }
+
+    playHistory.unshift(currentPlay);
+
+    if (globalObject.roomStateStore) {
+        globalObject.roomStateStore.recordPlay(currentPlay);
+    }
+}
+
+/**
+ * Two copies of a play are considered the same if they're the same media played by the
+ * same DJ, starting at roughly the same time. Start times are compared loosely because
+ * the live start time is estimated from the time elapsed.
+ */
+function _isSamePlay(play1, play2) {
+    var maxStartDifferenceMs = 60 * 1000;
+
+    return play1.media.contentID === play2.media.contentID &&
+           play1.user && play2.user && play1.user.userID === play2.user.userID &&
+           Math.abs(new Date(play1.startDate).getTime() - new Date(play2.startDate).getTime()) < maxStartDifferenceMs;
+}
+
+/**
+ * Copies play and chat history loaded from the room state store into roomState,
+ * keeping only as much as the in-memory limits allow.
+ */
+function _restoreStoredState(globalObject, storedState) {
+    var config = globalObject.config.DubBotBase;
+
+    globalObject.roomState.playHistory = storedState.playHistory.slice(0, config.numberOfPlayedSongsToStore).map(function(play) {
+        play.startDate = new Date(play.startDate);
+        return play;
+    });
+
+    globalObject.roomState.chatHistory = storedState.chatHistory.slice(0, config.numberOfChatEventsToStore);
+
+    LOG.info("Restored {} plays and {} chat messages from stored room state",
+             globalObject.roomState.playHistory.length, globalObject.roomState.chatHistory.length);
+}
+
+/**
+ * Replaces roomState.waitList with a new copy of the wait list and, if requested, raises
+ * events describing how it changed: WAITLIST_LEAVE for each user who's no longer in it,
+ * then WAITLIST_JOIN for each user who's new to it, then WAITLIST_MOVE for each user who
+ * was moved. Users who only changed places because someone ahead of them joined or left
+ * haven't moved. Every event has the 'user', their queued 'media', and their 'oldPosition'
+ * and 'newPosition' in the wait list (0 being the next to play), or null where they weren't
+ * in the wait list.
+ */
+function _updateWaitList(globalObject, newWaitList, raiseEvents) {
+    var oldWaitList = globalObject.roomState.waitList;
+    globalObject.roomState.waitList = newWaitList;
+
+    if (!raiseEvents) {
+        return;
+    }
+
+    var changes = [];
+
+    oldWaitList.forEach(function(entry, index) {
+        if (entry.user && _findWaitListPosition(newWaitList, entry.user.userID) < 0) {
+            changes.push({ eventName: Types.Event.WAITLIST_LEAVE, entry: entry, newPosition: null, oldPosition: index });
+        }
+    });
+
+    newWaitList.forEach(function(entry, index) {
+        if (entry.user && _findWaitListPosition(oldWaitList, entry.user.userID) < 0) {
+            changes.push({ eventName: Types.Event.WAITLIST_JOIN, entry: entry, newPosition: index, oldPosition: null });
+        }
+    });
+
+    _findMovedUsers(oldWaitList, newWaitList).forEach(function(move) {
+        changes.push({ eventName: Types.Event.WAITLIST_MOVE, entry: newWaitList[move.newPosition], newPosition: move.newPosition, oldPosition: move.oldPosition });
+    });
+
+    changes.forEach(function(change) {
+        globalObject.bot._dispatchEvent(change.eventName, {
+            media: change.entry.media,
+            newPosition: change.newPosition,
+            oldPosition: change.oldPosition,
+            user: change.entry.user
+        });
+    });
+}
+
+/**
+ * Works out which of the users who are in both versions of the wait list were moved. The
+ * users who stayed put are the largest group whose order is the same in both versions
+ * (the longest increasing subsequence of their old positions); everyone else was moved.
+ *
+ * @returns {array} An object for each user who was moved, with their 'oldPosition' and 'newPosition'
+ */
+function _findMovedUsers(oldWaitList, newWaitList) {
+    var remaining = []; // users in both versions, in their new order
+
+    newWaitList.forEach(function(entry, index) {
+        var oldPosition = entry.user ? _findWaitListPosition(oldWaitList, entry.user.userID) : -1;
+
+        if (oldPosition >= 0) {
+            remaining.push({ newPosition: index, oldPosition: oldPosition });
+        }
+    });
+
+    var lengths = []; // the length of the longest increasing run ending at each user
+    var previous = []; // the user before each user in that run
+    var end = -1;
+
+    for (var i = 0; i < remaining.length; i++) {
+        lengths[i] = 1;
+        previous[i] = -1;
+
+        for (var j = 0; j < i; j++) {
+            if (remaining[j].oldPosition < remaining[i].oldPosition && lengths[j] + 1 > lengths[i]) {
+                lengths[i] = lengths[j] + 1;
+                previous[i] = j;
+            }
+        }
+
+        if (end < 0 || lengths[i] > lengths[end]) {
+            end = i;
+        }
+    }
+
+    for (var k = end; k >= 0; k = previous[k]) {
+        remaining[k].hasStayed = true;
+    }
+
+    return remaining.filter(function(user) {
+        return !user.hasStayed;
+    }).map(function(user) {
+        return { newPosition: user.newPosition, oldPosition: user.oldPosition };
+    });
+}
+
+/**
+ * Estimates how long it'll be until a user in the wait list starts playing: the rest of
+ * the current song, plus the songs queued by everyone ahead of them.
+ *
+ * @returns {number} The estimate in seconds, or null if the user isn't in the wait list
+ */
+function _estimateSecondsUntilPlay(roomState, userID) {
+    var position = _findWaitListPosition(roomState.waitList, userID);
+
+    if (position < 0) {
+        return null;
+    }
+
+    var seconds = 0;
+    var currentPlay = roomState.playHistory[0];
+
+    if (currentPlay && currentPlay.media) {
+        var endTime = new Date(currentPlay.startDate).getTime() + currentPlay.media.durationInSeconds * 1000;
+        seconds += Math.max(0, (endTime - Date.now()) / 1000);
+    }
+
+    for (var i = 0; i < position; i++) {
+        // There's nothing to go on for anyone whose queued song is unknown
+        if (roomState.waitList[i].media) {
+            seconds += roomState.waitList[i].media.durationInSeconds;
+        }
+    }
+
+    return Math.round(seconds);
+}
+
+/**
+ * Raises a USER_AFK event for each user in the wait list who has gone AFK since the last
+ * check. A user is only reported once until they're next active.
+ */
+function _checkWaitListForAfkUsers(globalObject) {
+    var roomState = globalObject.roomState;
+
+    roomState.waitList.forEach(function(entry, index) {
+        var record = entry.user ? roomState.presence[entry.user.userID] : null;
+        var presence = _describePresence(record, globalObject);
+
+        if (!presence || !presence.isAfk || record.isAfkReported) {
+            return;
+        }
+
+        record.isAfkReported = true;
+
+        LOG.info("User {} (position {} in the wait list) has been inactive for {} seconds", presence.username, index, presence.secondsInactive);
+        globalObject.bot._dispatchEvent(Types.Event.USER_AFK, {
+            lastActivity: presence.lastActivity,
+            position: index,
+            secondsInactive: presence.secondsInactive,
+            user: entry.user
+        });
+    });
+}
+
+/**
+ * Turns an internal presence record into the description returned by roomState.getPresence.
+ *
+ * @returns {object} Null if there's no record, or else the user's 'userID' and 'username'; whether
+ *                   they're currently 'isInRoom'; the 'sessionStart' Date of their current visit (null
+ *                   if they aren't in the room); the Date of their 'lastActivity' (chatting, voting or
+ *                   grabbing; null if they haven't been active since the bot started); 'secondsInactive',
+ *                   counted from the later of their last activity and the start of their session;
+ *                   whether they're considered 'isAfk' (the bot itself never is); and 'totalSecondsInRoom'
+ *                   across all their visits
+ */
+function _describePresence(record, globalObject) {
+    if (!record) {
+        return null;
+    }
+
+    var now = Date.now();
+    var isInRoom = record.sessionStart !== null;
+    var inactiveSince = Math.max(record.lastActivity || 0, record.sessionStart || 0);
+    var secondsInactive = isInRoom ? Math.floor((now - inactiveSince) / 1000) : null;
+    var totalMilliseconds = record.previousSessionsMilliseconds + (isInRoom ? now - record.sessionStart : 0);
+    var self = globalObject.bot.bot.getSelf();
+    var isBot = !!self && self.id === record.userID;
+
+    return {
+        isAfk: isInRoom && !isBot && secondsInactive >= globalObject.config.DubBotBase.afkDetection.afkAfterSeconds,
+        isInRoom: isInRoom,
+        lastActivity: record.lastActivity ? new Date(record.lastActivity) : null,
+        secondsInactive: secondsInactive,
+        sessionStart: isInRoom ? new Date(record.sessionStart) : null,
+        totalSecondsInRoom: Math.floor(totalMilliseconds / 1000),
+        userID: record.userID,
+        username: record.username
+    };
+}
+
+function _endSession(globalObject, userID) {
+    var record = globalObject.roomState.presence[userID];
+
+    if (record && record.sessionStart !== null) {
+        record.previousSessionsMilliseconds += Date.now() - record.sessionStart;
+        record.sessionStart = null;
+        record.isAfkReported = false;
+    }
+}
+
+function _recordActivity(globalObject, userID) {
+    var record = globalObject.roomState.presence[userID];
+
+    if (record) {
+        record.lastActivity = Date.now();
+        record.isAfkReported = false;
+    }
+}
+
+function _startSession(globalObject, user) {
+    var presence = globalObject.roomState.presence;
+    var record = presence[user.userID];
+
+    if (!record) {
+        record = presence[user.userID] = {
+            isAfkReported: false,
+            lastActivity: null,
+            previousSessionsMilliseconds: 0,
+            sessionStart: null,
+            userID: user.userID,
+            username: user.username
+        };
+    }
+
+    record.username = user.username;
+
+    if (record.sessionStart === null) {
+        record.sessionStart = Date.now();
+    }
+}
+
+/**
+ * Brings presence records in line with roomState.usersInRoom, after it's been refreshed:
+ * sessions end for users who are no longer present, and start for those who are new.
+ * For users who were already in the room when the bot arrived, a session starts now.
+ */
+function _syncPresence(globalObject) {
+    var roomState = globalObject.roomState;
+
+    for (var userID in roomState.presence) {
+        if (!_findUser(roomState.usersInRoom, roomState.presence[userID].userID)) {
+            _endSession(globalObject, roomState.presence[userID].userID);
+        }
+    }
+
+    roomState.usersInRoom.forEach(function(user) {
+        _startSession(globalObject, user);
+    });
+}
+
+function _findWaitListPosition(waitList, userID) {
+    for (var i = 0; i < waitList.length; i++) {
+        if (waitList[i].user && waitList[i].user.userID === userID) {
+            return i;
+        }
+    }
+
+    return -1;
 }
 
 function _findUserIndex(users, userID) {
@@ -0,0 +1,322 @@
+"use strict";
+
+/**
+ * Fills in the placeholders in chat and log messages. A placeholder is written in curly
+ * braces, and may be:
+ *
+ *     {}                       - The next argument, in order
+ *     {1}                      - The argument at that index, counting from 0
+ *     {username}               - A property of the first argument which is a plain object
+ *     {play.media.fullTitle}   - A nested property of that object, by dotted path
+ *     {0.media.fullTitle}      - A nested property of the argument at that index
+ *
+ * Any placeholder can be followed by one or more formatters, separated by "|", some of
+ * which take a parameter after a ":":
+ *
+ *     {play.media.durationInSeconds|duration}  - "11 minutes, 40 seconds"
+ *     {play.media.durationInSeconds|clock}     - "11:40"
+ *     {play.startDate|relative}                - "5 minutes ago"
+ *     {woots|number}                           - "1,234"; {ratio|number:2} gives "0.75"
+ *     {play.media.fullTitle|truncate:30}       - Cut to at most 30 characters, ending with "…"
+ *     {user|mention}                           - "@username", from a user object or a username
+ *     {event|json}                             - The value as JSON
+ *
+ * More can be added with registerFormatter. Without a formatter, objects are written as
+ * JSON, and everything else as a string.
+ *
+ * Values are inserted as they are, and never searched for placeholders themselves, so a
+ * username which contains "{}" comes out intact. To write a literal brace, double it:
+ * "{{" and "}}". Anything in braces which isn't a valid placeholder, and any placeholder
+ * with no value to fill it (such as a {} beyond the last argument), is left as it is.
+ */
+
+var PLACEHOLDER_PATTERN = /\{\{|\}\}|\{([^{}]*)\}/g;
+var REFERENCE_PATTERN = /^(?:\d+|[A-Za-z_$][\w$]*)(?:\.[\w$]+)*$/;
+var FORMATTER_PATTERN = /^([A-Za-z_$][\w$]*)(?::(.*))?$/;
+
+// The units durations are split into, largest first, and how many seconds each is
+var DURATION_UNITS = [
+    { name: "days", seconds: 24 * 60 * 60 },
+    { name: "hours", seconds: 60 * 60 },
+    { name: "minutes", seconds: 60 },
+    { name: "seconds", seconds: 1 }
+];
+
+// The English names of each duration unit, for formatting durations without a message catalog
+var ENGLISH_DURATION_UNITS = {
+    days: ["day", "days"],
+    hours: ["hour", "hours"],
+    minutes: ["minute", "minutes"],
+    seconds: ["second", "seconds"]
+};
+
+var DEFAULT_LOCALE = "en";
+var DEFAULT_TRUNCATE_LENGTH = 50;
+
+/**
+ * The built-in formatters. Each is called as formatter(value, parameter, options), where
+ * parameter is whatever followed the ":" (or undefined) and options are those passed to
+ * format, and returns the text to insert.
+ */
+var _formatters = {
+    clock: function(value) {
+        var seconds = Math.max(0, Math.round(Number(value)));
+        var hours = Math.floor(seconds / 3600);
+        var minutes = Math.floor(seconds / 60) % 60;
+        var clock = _pad(seconds % 60);
+
+        return hours > 0 ? hours + ":" + _pad(minutes) + ":" + clock : minutes + ":" + clock;
+    },
+
+    duration: function(value) {
+        var parts = splitDuration(Number(value)).map(function(part) {
+            return part.count + " " + ENGLISH_DURATION_UNITS[part.unit][part.count === 1 ? 0 : 1];
+        });
+
+        return parts.join(", ");
+    },
+
+    json: function(value) {
+        return JSON.stringify(value);
+    },
+
+    mention: function(value) {
+        var username = value && typeof value === "object" ? value.username : String(value);
+        return username.charAt(0) === "@" ? username : "@" + username;
+    },
+
+    number: function(value, decimals, options) {
+        var numberOptions = {};
+
+        if (decimals !== undefined) {
+            numberOptions.minimumFractionDigits = Number(decimals);
+            numberOptions.maximumFractionDigits = Number(decimals);
+        }
+
+        return new Intl.NumberFormat(options.locale || DEFAULT_LOCALE, numberOptions).format(Number(value));
+    },
+
+    relative: function(value, parameter, options) {
+        var seconds = Math.round((new Date(value).getTime() - Date.now()) / 1000);
+
+        if (isNaN(seconds)) {
+            return String(value);
+        }
+
+        var formatter = new Intl.RelativeTimeFormat(options.locale || DEFAULT_LOCALE, { numeric: "auto" });
+
+        for (var i = 0; i < DURATION_UNITS.length; i++) {
+            if (Math.abs(seconds) >= DURATION_UNITS[i].seconds || i === DURATION_UNITS.length - 1) {
+                return formatter.format(Math.round(seconds / DURATION_UNITS[i].seconds), DURATION_UNITS[i].name);
+            }
+        }
+    },
+
+    truncate: function(value, length) {
+        var maxLength = length !== undefined ? Number(length) : DEFAULT_TRUNCATE_LENGTH;
+        var text = String(value);
+
+        return text.length > maxLength ? text.slice(0, Math.max(0, maxLength - 1)) + "…" : text;
+    }
+};
+
+/**
+ * Fills in a template's placeholders.
+ *
+ * @param {string} template - The template
+ * @param {array} args - The values for the template's placeholders
+ * @param {object} options - Optional. May contain a 'locale', which numbers without a formatter
+ *                           are then written in the style of, and which locale-aware formatters
+ *                           use (the default is English); and 'formatters', which are used in
+ *                           place of the registered formatters with the same names
+ * @returns {string} The filled-in template
+ */
+function format(template, args, options) {
+    args = args || [];
+    options = options || {};
+
+    var nextIndex = 0;
+    var namedValues = null;
+
+    for (var i = 0; i < args.length && namedValues === null; i++) {
+        if (_isPlainObject(args[i])) {
+            namedValues = args[i];
+        }
+    }
+
+    return String(template).replace(PLACEHOLDER_PATTERN, function(placeholder, contents) {
+        if (placeholder === "{{" || placeholder === "}}") {
+            return placeholder.charAt(0);
+        }
+
+        var pipes = contents.split("|");
+        var reference = pipes[0].trim();
+        var value;
+
+        if (reference === "") {
+            if (nextIndex >= args.length) {
+                return placeholder;
+            }
+
+            value = args[nextIndex++];
+        }
+        else if (!REFERENCE_PATTERN.test(reference)) {
+            return placeholder;
+        }
+        else {
+            var found = _resolve(reference, args, namedValues);
+
+            if (!found) {
+                return placeholder;
+            }
+
+            value = found.value;
+        }
+
+        var formatted = _applyFormatters(value, pipes.slice(1), options);
+        return formatted === null ? placeholder : formatted;
+    });
+}
+
+/**
+ * Adds a formatter which can be used in any template, or replaces the one with the same name.
+ *
+ * @param {string} name - The name used after "|" in placeholders
+ * @param {function} formatter - Called as formatter(value, parameter, options), where parameter
+ *                               is the text after ":" in the placeholder (or undefined) and options
+ *                               are those given to format. Returns the text to insert.
+ */
+function registerFormatter(name, formatter) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+        throw new Error("Invalid formatter name '" + name + "'");
+    }
+
+    if (typeof formatter !== "function") {
+        throw new Error("The formatter '" + name + "' must be a function");
+    }
+
+    _formatters[name] = formatter;
+}
+
+/**
+ * Splits a length of time into whole days, hours, minutes and seconds, leaving out any
+ * which are zero.
+ *
+ * @param {number} seconds - The length of time, in seconds
+ * @param {integer} maxUnits - Optional. The most units to give (default 2). Smaller units are
+ *                             dropped, so 90061 seconds is 1 day and 1 hour.
+ * @returns {array} An object for each unit, largest first, with the 'unit' ("days", "hours",
+ *                  "minutes" or "seconds") and the 'count'. Zero seconds is [{ unit: "seconds", count: 0 }].
+ */
+function splitDuration(seconds, maxUnits) {
+    maxUnits = maxUnits || 2;
+
+    var remaining = Math.max(0, Math.round(seconds)) || 0;
+    var parts = [];
+
+    for (var i = 0; i < DURATION_UNITS.length && parts.length < maxUnits; i++) {
+        var count = Math.floor(remaining / DURATION_UNITS[i].seconds);
+
+        if (count > 0) {
+            parts.push({ count: count, unit: DURATION_UNITS[i].name });
+            remaining -= count * DURATION_UNITS[i].seconds;
+        }
+        else if (parts.length > 0) {
+            // Only give adjacent units, so 1 day and 30 seconds is just "1 day"
+            break;
+        }
+    }
+
+    return parts.length > 0 ? parts : [{ count: 0, unit: "seconds" }];
+}
+
+/**
+ * Runs a value through each of a placeholder's formatters in turn.
+ *
+ * @returns {string} The formatted value, or null if a formatter doesn't exist or fails
+ */
+function _applyFormatters(value, pipes, options) {
+    if (pipes.length === 0) {
+        return _toText(value, options);
+    }
+
+    for (var i = 0; i < pipes.length; i++) {
+        var match = FORMATTER_PATTERN.exec(pipes[i].trim());
+        var name = match && match[1];
+        var formatter = name && ((options.formatters && options.formatters[name]) || _formatters[name]);
+
+        if (!formatter) {
+            return null;
+        }
+
+        try {
+            value = formatter(value, match[2], options);
+        }
+        catch (e) {
+            // Leave the placeholder as it was, rather than losing the whole message
+            return null;
+        }
+    }
+
+    return String(value);
+}
+
+function _isPlainObject(value) {
+    return !!value && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function _pad(number) {
+    return (number < 10 ? "0" : "") + number;
+}
+
+/**
+ * Looks up a reference such as "2", "username" or "play.media.fullTitle". References which
+ * start with a number start from the argument at that index; others start from the named values.
+ *
+ * @returns {object} The 'value' found, or null if the reference leads nowhere
+ */
+function _resolve(reference, args, namedValues) {
+    var keys = reference.split(".");
+    var value;
+
+    if (/^\d+$/.test(keys[0])) {
+        var index = Number(keys.shift());
+
+        if (index >= args.length) {
+            return null;
+        }
+
+        value = args[index];
+    }
+    else {
+        value = namedValues;
+    }
+
+    for (var i = 0; i < keys.length; i++) {
+        if (value === null || value === undefined || typeof value !== "object" || !(keys[i] in value)) {
+            return null;
+        }
+
+        value = value[keys[i]];
+    }
+
+    return { value: value };
+}
+
+function _toText(value, options) {
+    if (typeof value === "object") {
+        return JSON.stringify(value);
+    }
+
+    if (typeof value === "number" && options.locale) {
+        return new Intl.NumberFormat(options.locale).format(value);
+    }
+
+    return String(value);
+}
+
+module.exports = {
+    format: format,
+    registerFormatter: registerFormatter,
+    splitDuration: splitDuration
+};
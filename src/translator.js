@@ -11,6 +11,8 @@ var Types = require("./types");
 
 var LOG = new Log("Translator");
 
+var DEFAULT_COMMAND_PREFIXES = ["!"];
+
 function _repairTitle(author, title) {
     return (author ? author + " - " : "") + title;
 }
@@ -39,7 +41,8 @@ function translateMediaObject(media) {
     return {
         contentID: media.fkid, // the Youtube or Soundcloud ID
         durationInSeconds: media.songLength / 1000, // how long the media is, in seconds
-        fullTitle: media.name // our guess of what the song's original title was
+        fullTitle: media.name, // our guess of what the song's original title was
+        source: media.type || null // where the media is hosted, e.g. "youtube" or "soundcloud"
     };
 }
 
@@ -94,22 +97,33 @@ function translateAdvanceEvent(event) {
     return obj;
 }
 
-function translateChatEvent(event) {
+/**
+ * Translates a chat message. Messages which start with one of the command prefixes
+ * are commands; for those, the command and its arguments are split out.
+ *
+ * @param {object} event - The DubAPI chat event
+ * @param {object} options - Optional. May contain 'commandPrefixes', an array of the
+ *                           prefixes which mark a message as a command (default ["!"])
+ * @returns {object} The translated chat event
+ */
+function translateChatEvent(event, options) {
+    var prefixes = (options && options.commandPrefixes) || DEFAULT_COMMAND_PREFIXES;
+    var parsedCommand = parseCommand(event.message, prefixes);
+
     var obj = {
         chatID: event.id, // an ID assigned by dubtrack uniquely identifying this message
         message: event.message, // the chat message sent
-        type: translateChatType(event), // what type of message was sent
+        type: parsedCommand ? Types.ChatType.COMMAND : translateChatType(event), // what type of message was sent
         userID: event.user ? event.user.id : event.raw.user._id, // the ID of the user chatting
         username: event.user ? event.user.username : event.raw.user.username, // the username of the user chatting
         userRole: translateRole(event.user ? event.user.role : event.raw.user.roleid)
     };
 
-    if (obj.type === Types.ChatType.COMMAND) {
-        // Trim the message and split it into the command and the args
-        var words = event.message.trim().split(/\s+/);
-
-        obj.command = words[0].replace("!", "");
-        obj.args = words.splice(1);
+    if (parsedCommand) {
+        obj.prefix = parsedCommand.prefix; // the prefix the user typed, e.g. "!"
+        obj.command = parsedCommand.command;
+        obj.args = parsedCommand.args;
+        obj.argsText = parsedCommand.argsText; // everything after the command, unsplit
     }
 
     return obj;
@@ -124,10 +138,6 @@ function translateChatDeleteEvent(event) {
 }
 
 function translateChatType(event) {
-    if (event.message[0] === "!") {
-        return Types.ChatType.COMMAND;
-    }
-
     // Look if it starts with "/me", but only if it's longer than
     // 4 characters, because "/me" by itself is a valid message
     // for some reason (and add a space at the end)
@@ -146,6 +156,55 @@ function translateChatType(event) {
     return Types.ChatType.MESSAGE;
 }
 
+/**
+ * Splits a chat message into a command and its arguments, if it starts with one of
+ * the given prefixes. A prefix which ends in a letter or digit (such as "@botname")
+ * must be followed by whitespace; other prefixes (such as "!") must be followed
+ * directly by the command. Prefixes are matched without regard to case.
+ *
+ * @param {string} message - The chat message
+ * @param {array} prefixes - The prefixes which mark a message as a command
+ * @returns {object} An object with prefix, command, args and argsText; or null if the message isn't a command
+ */
+function parseCommand(message, prefixes) {
+    var trimmedMessage = message.trim();
+
+    // Try longer prefixes first, so "!!" wins over "!"
+    var sortedPrefixes = prefixes.slice().sort(function(a, b) {
+        return b.length - a.length;
+    });
+
+    for (var i = 0; i < sortedPrefixes.length; i++) {
+        var prefix = sortedPrefixes[i];
+
+        if (trimmedMessage.substring(0, prefix.length).toLowerCase() !== prefix.toLowerCase()) {
+            continue;
+        }
+
+        var rest = trimmedMessage.substring(prefix.length);
+        var needsSpace = /\w$/.test(prefix);
+
+        if ((needsSpace && !/^\s/.test(rest)) || (!needsSpace && /^\s/.test(rest))) {
+            continue;
+        }
+
+        var words = rest.trim().split(/\s+/);
+
+        if (!words[0]) {
+            continue;
+        }
+
+        return {
+            args: words.slice(1),
+            argsText: rest.trim().substring(words[0].length).trim(),
+            command: words[0],
+            prefix: trimmedMessage.substring(0, prefix.length)
+        };
+    }
+
+    return null;
+}
+
 function translateGrabEvent(event) {
     return {
         user: translateUserObject(event.user) // ID of the user who grabbed the song
@@ -162,6 +221,14 @@ function translateModBanEvent(event) {
     };
 }
 
+function translateModKickEvent(event) {
+    return {
+        kickedUser: translateUserObject(event.user), // the user who's been kicked
+        message: event.message || "", // the reason the mod gave, if any
+        mod: translateUserObject(event.mod)
+    };
+}
+
 function translateModMuteEvent(event) {
     return {
         mutedUser: translateUserObject(event.user), // the user who's been muted
@@ -176,6 +243,13 @@ function translateModSkipEvent(event) {
     };
 }
 
+function translateModUnbanEvent(event) {
+    return {
+        mod: translateUserObject(event.mod),
+        unbannedUser: translateUserObject(event.user) // the user who's been unbanned; null if they're not in the room
+    };
+}
+
 function translateSkipEvent(event) {
     return {
         userID: event.user.id, // ID of the user who chose to skip their own song
@@ -232,6 +306,44 @@ function translateRole(role) {
     }
 }
 
+/**
+ * Translates an internal role back into the role ID used by the dubtrack.fm API.
+ * This is the inverse of translateRole.
+ *
+ * @param {object} role - An object from the UserRole enum
+ * @returns {string} The dubtrack.fm role ID, or null if the role has no dubtrack equivalent
+ */
+function translateRoleToDubtrack(role) {
+    if (!role) {
+        return null;
+    }
+
+    switch (role.name) {
+        case Types.UserRole.COOWNER.name:
+            return "5615fa9ae596154a5c000000";
+        case Types.UserRole.MANAGER.name:
+            return "5615fd84e596150061000003";
+        case Types.UserRole.MOD.name:
+            return "52d1ce33c38a06510c000001";
+        case Types.UserRole.VIP.name:
+            return "5615fe1ee596154fc2000001";
+        case Types.UserRole.RESIDENT_DJ.name:
+            return "5615feb8e596154fc2000002";
+        case Types.UserRole.DJ.name:
+            return "564435423f6ba174d2000001";
+        default:
+            return null;
+    }
+}
+
+function translateRoleChangeEvent(event) {
+    return {
+        mod: translateUserObject(event.mod), // the mod who changed the role
+        role: translateRole(event.user ? event.user.role : null), // the user's new role; NONE if their role was removed
+        user: translateUserObject(event.user)
+    };
+}
+
 /**
  * TODO
  */
@@ -253,6 +365,7 @@ function translateRoomPlaylistQueueUpdateEvent(event) {
 }
 
 module.exports = {
+    parseCommand: parseCommand,
     translateAdvanceEvent: translateAdvanceEvent,
     translateChatEvent: translateChatEvent,
     translateChatDeleteEvent: translateChatDeleteEvent,
@@ -260,9 +373,13 @@ module.exports = {
     translateGrabEvent: translateGrabEvent,
     translateMediaObject: translateMediaObject,
     translateModBanEvent: translateModBanEvent,
+    translateModKickEvent: translateModKickEvent,
     translateModMuteEvent: translateModMuteEvent,
     translateModSkipEvent: translateModSkipEvent,
+    translateModUnbanEvent: translateModUnbanEvent,
     translateRole: translateRole,
+    translateRoleChangeEvent: translateRoleChangeEvent,
+    translateRoleToDubtrack: translateRoleToDubtrack,
     translateRoomPlaylistQueueUpdateEvent: translateRoomPlaylistQueueUpdateEvent,
     translateScoreObject: translateScoreObject,
     translateSkipEvent: translateSkipEvent,
@@ -2,6 +2,32 @@
  * Contains various types and enums used throughout DubBotBase.
  */
 
+var ActionFailureReason = {
+    ALREADY_IN_POSITION: "alreadyInPosition", // the user is already at the requested wait list position
+    ALREADY_IN_WAIT_LIST: "alreadyInWaitList", // the bot is already in the wait list
+    ALREADY_VOTED: "alreadyVoted", // the bot has already cast this vote on the current song
+    INVALID_ROLE: "invalidRole", // the role isn't one which dubtrack.fm rooms have
+    MESSAGE_DROPPED: "messageDropped", // a chat message was dropped from the outgoing queue without being sent
+    NO_SUCH_MESSAGE: "noSuchMessage", // there's no message with the given key in the message catalog
+    NOT_CONNECTED: "notConnected", // the bot isn't connected to a room
+    NOT_IN_WAIT_LIST: "notInWaitList", // the user (or the bot) isn't in the wait list
+    NOT_PERMITTED: "notPermitted", // the bot's role doesn't allow the action
+    NOT_SUPPORTED: "notSupported", // dubtrack.fm's API has no way to perform the action
+    NOTHING_PLAYING: "nothingPlaying", // there's no song playing
+    REQUEST_FAILED: "requestFailed", // dubtrack.fm rejected the request
+    UNKNOWN: "unknown", // the action failed for a reason we couldn't determine
+    USER_HAS_NO_ROLE: "userHasNoRole", // the user has no room role to remove
+    USER_IS_STAFF: "userIsStaff", // dubtrack.fm doesn't allow the action against users with a room role
+    USER_NOT_FOUND: "userNotFound", // the user isn't in the room
+    WAIT_LIST_LOCKED: "waitListLocked" // the wait list is locked
+};
+
+var ChatPriority = {
+    HIGH: 2, // e.g. moderation notices, which should go out ahead of anything else
+    NORMAL: 1,
+    LOW: 0 // e.g. fun replies, which can wait
+};
+
 var ChatType = {
     COMMAND: "command",
     EMOTE : "emote",
@@ -12,21 +38,32 @@ var Event = {
     ADVANCE: 'room_playlist-update', // when the next song is up for play
     CHAT: 'chat-message', // someone sends a chat message
     CHAT_DELETE: 'delete-chat-message', // a mod deletes a chat message
+    CONNECTED: 'bot-connected', // the bot joins the room, or rejoins it after losing its connection (raised by DubBotBase)
+    DISCONNECTED: 'bot-disconnected', // the bot loses its connection to the room, or gives up reconnecting (raised by DubBotBase)
     GRAB: 'room_playlist-queue-update-grabs', // someone grabs the current song
+    HANDLER_ERROR: 'handler-error', // a command, event listener or middleware throws an error (raised by DubBotBase, not dubtrack.fm)
+    MEDIA_POLICY_VIOLATION: 'media-policy-violation', // a song which breaks DubBotBase.mediaPolicy starts playing (raised by DubBotBase)
     MODERATE_BAN: 'user-ban', // a mod bans a user from the room
+    MODERATE_KICK: 'user-kick', // a mod kicks a user from the room
     MODERATE_MUTE: 'user-mute', // a mod mutes a user temporarily
+    RECONNECTING: 'bot-reconnecting', // the bot is about to retry connecting to the room (raised by DubBotBase)
+    REPEAT_RULE_VIOLATION: 'repeat-rule-violation', // a song which breaks DubBotBase.repeatRules starts playing (raised by DubBotBase)
     ROOM_PLAYLIST_QUEUE_UPDATE: 'room_playlist-queue-update-dub',
     ROOM_UPDATE: 'room-update',
     SKIP: 'chat-skip', // the current DJ chooses to skip
+    USER_AFK: 'user-afk', // a user in the wait list goes AFK (raised by DubBotBase)
     USER_IMAGE_UPDATE: 'user-update',
     USER_JOIN: 'user-join', // a user joins the room
     USER_LEAVE: 'user-leave', // a user leaves the room
-    USER_SET_ROLE: 'user-setrole',
-    USER_UNBAN: 'user-unban',
-    USER_UNMUTE: 'user-unmute',
-    USER_UNSET_ROLE: 'user-unsetrole',
+    USER_SET_ROLE: 'user-setrole', // a user is given a room role
+    USER_UNBAN: 'user-unban', // a mod lifts a user's ban
+    USER_UNMUTE: 'user-unmute', // a mod unmutes a user
+    USER_UNSET_ROLE: 'user-unsetrole', // a user's room role is removed
     USER_UPDATE: 'user_update', // something changes about a user (e.g. name, avatar, etc)
-    VOTE: 'room_playlist-dub' // a user updubs or downdubs
+    VOTE: 'room_playlist-dub', // a user updubs or downdubs
+    WAITLIST_JOIN: 'waitlist-join', // a user joins the wait list (raised by DubBotBase)
+    WAITLIST_LEAVE: 'waitlist-leave', // a user leaves the wait list, or is removed from it (raised by DubBotBase)
+    WAITLIST_MOVE: 'waitlist-move' // a user is moved to a different place in the wait list (raised by DubBotBase)
 };
 
 var Role = {
@@ -35,10 +72,13 @@ var Role = {
     RESIDENT_DJ : { name: "residentDj", level: 2 },
     VIP : { name: "vip", level: 2 },
     MOD : { name: "mod", level: 3 },
+    MANAGER : { name: "manager", level: 3 },
     COOWNER : { name: "co-owner", level: 4 },
     OWNER : { name: "owner", level: 5 }
 };
 
+exports.ActionFailureReason = ActionFailureReason;
+exports.ChatPriority = ChatPriority;
 exports.ChatType = ChatType;
 exports.Event = Event;
 exports.UserRole = Role;
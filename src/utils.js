@@ -7,6 +7,8 @@
 var fs = require("fs");
 var path = require("path");
 
+var Template = require("./template");
+
 /**
  * Checks that the value provided has the expected type. If it does not,
  * throws an error with the message provided. If the message contains "{{actual}}",
@@ -180,23 +182,19 @@ function getAllFilePathsUnderDirectory(directory) {
 }
 
 /**
- * Replaces each instance of "{}" in the input string with a string value corresponding
- * to the arguments passed in to the function.
+ * Fills in the placeholders in the input string with the arguments passed in to the
+ * function. Each "{}" is replaced by the next argument in order; see Template.format
+ * for named placeholders, formatters and escaping. "{{" and "}}" are unescaped whether
+ * or not there are any arguments; placeholders with nothing to fill them are left as
+ * they are.
  *
  * @param {string} string - The string to replace in
+ * @param {array} args - The arguments the function was called with: the string itself, followed
+ *                       by the values for its placeholders
  * @returns {string} A string with placeholders replaced
  */
 function replaceStringPlaceholders(string, args) {
-    for (var i = 1; i < args.length; i++) {
-        var value = args[i];
-        if (typeof value === "object") {
-            value = JSON.stringify(value);
-        }
-
-        string = string.replace("{}", value);
-    }
-
-    return string;
+    return Template.format(string, Array.prototype.slice.call(args, 1));
 }
 
 /**